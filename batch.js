@@ -0,0 +1,255 @@
+// Cable Size Calculator AS/NZS 3008 - Batch sizing of cable schedules
+// Maps the columns of a schedule (one row per circuit) to design state fields,
+// runs every row through CableSizingEngine and appends the calculated columns.
+
+// In the browser the engine is the global from engine.js; in Node it is required
+const SizingEngine = typeof CableSizingEngine !== 'undefined' ? CableSizingEngine : require('./engine.js');
+
+class CableSchedule {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    // Design state fields a schedule column can map to, with extra header names
+    // recognised when suggesting a mapping
+    static get FIELD_ALIASES() {
+        return {
+            rating: ['load current', 'current', 'ib', 'design current', 'load'],
+            distance: ['length', 'route length', 'run length', 'cable length'],
+            installation: ['installation method', 'method'],
+            insulation: ['insulation type'],
+            cableType: ['cable type', 'cable'],
+            conductor: ['conductor material', 'material'],
+            phase: ['phases', 'supply'],
+            voltage: ['nominal voltage', 'volts'],
+            maxVoltageDrop: ['max vd', 'vd limit', 'max voltage drop', 'voltage drop limit'],
+            activeSize: ['active size', 'size'],
+            earthSize: ['earth size'],
+            groupCircuits: ['grouping', 'grouped circuits', 'circuits'],
+            ambientTemp: ['ambient', 'ambient temperature'],
+            powerFactor: ['pf', 'power factor'],
+            faultCurrent: ['fault current', 'psc', 'fault level', 'short circuit current'],
+            earthFaultCurrent: ['earth fault current', 'pefc'],
+            transformerKva: ['transformer kva', 'transformer rating'],
+            transformerImpedance: ['transformer impedance', 'transformer z'],
+            breakingCapacity: ['breaking capacity', 'icn', 'icu'],
+            loadType: ['load type', 'circuit type'],
+            motorPower: ['motor kw', 'motor rating', 'kw'],
+            motorEfficiency: ['efficiency', 'motor efficiency'],
+            motorPowerFactor: ['motor pf', 'motor power factor'],
+            motorStarting: ['starting method', 'starter', 'starting'],
+            motorStartingMultiple: ['starting multiple', 'lrc ratio'],
+            maxStartingVoltageDrop: ['starting vd limit', 'max starting voltage drop'],
+            motorProtection: ['motor protection']
+        };
+    }
+
+    // Columns appended to the schedule on export
+    static get RESULT_COLUMNS() {
+        return ['Selected size (mm²)', 'Parallel sets', 'Earth size (mm²)', 'Voltage drop (%)', 'Protective device', 'Device rating (A)', 'Failures'];
+    }
+
+    // Fields that take a value per circuit (lists, the maximum demand options that
+    // only apply with a list of loads, and view-only options are left out)
+    static get FIELDS() {
+        const excluded = ['conduitCircuits', 'useMaximumDemand', 'demandInstallation', 'demandLoads', 'showDerating', 'advancedOptions'];
+        return ['name', ...Object.keys(SizingEngine.DEFAULT_DESIGN_STATE).filter(field => !excluded.includes(field))];
+    }
+
+    static normaliseHeader(header) {
+        return String(header).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+    }
+
+    // Field for each column: the field whose name or an alias matches the header, or null
+    static suggestMapping(headers) {
+        const aliases = CableSchedule.FIELD_ALIASES;
+        const used = new Set();
+        return headers.map(header => {
+            const key = CableSchedule.normaliseHeader(header);
+            const field = CableSchedule.FIELDS.find(candidate => !used.has(candidate) && (
+                candidate.toLowerCase() === key ||
+                (candidate === 'name' && ['name', 'circuit', 'circuitname', 'circuitid', 'id'].includes(key)) ||
+                (aliases[candidate] || []).some(alias => CableSchedule.normaliseHeader(alias) === key)
+            ));
+            if (field) used.add(field);
+            return field || null;
+        });
+    }
+
+    // Parse comma-separated text (RFC 4180 quoting) into rows of cells
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => String(value).trim() !== ''));
+    }
+
+    static toCSV(rows) {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Convert a cell to the type of the field's default value
+    static convertValue(field, value) {
+        const text = String(value).trim();
+        const fallback = SizingEngine.DEFAULT_DESIGN_STATE[field];
+        if (field === 'phase') {
+            // e.g. "3", "3 phase", "three phase", "3p_ac", "dc" or "2P 120°"
+            const phase = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            if (['3', '3P', '3PH', '3PHASE', '3PAC', 'THREEPHASE'].includes(phase)) return '3P_AC';
+            if (['1', '1P', '1PH', '1PHASE', '1PAC', 'SINGLEPHASE'].includes(phase)) return '1P_AC';
+            if (['DC', 'DIRECTCURRENT'].includes(phase)) return 'DC';
+            if (['2P120', '2P120DEG', '2PH120', '2PHASE120'].includes(phase)) return '2P_120deg';
+            if (['2P180', '2P180DEG', '2PH180', '2PHASE180', 'SPLITPHASE'].includes(phase)) return '2P_180deg';
+            throw new Error(`"${text}" is not a supply system for phase`);
+        }
+        if (field === 'loadType') {
+            return /^motor/i.test(text) ? 'MOTOR' : 'GENERAL';
+        }
+        if (field === 'motorStarting') {
+            // e.g. "Star-delta" or "soft starter"
+            return text.toUpperCase().replace(/[\s-]+/g, '_');
+        }
+        if (field === 'conductor') {
+            const material = text.toUpperCase();
+            if (material.startsWith('CU') || material === 'COPPER') return 'CU';
+            if (material.startsWith('AL')) return 'AL';
+            return text;
+        }
+        if (typeof fallback === 'number') {
+            const number = parseFloat(text);
+            if (Number.isNaN(number)) {
+                throw new Error(`"${text}" is not a number for ${field}`);
+            }
+            return number;
+        }
+        if (typeof fallback === 'boolean') {
+            return /^(true|yes|y|1|x)$/i.test(text);
+        }
+        return /^auto$/i.test(text) ? 'AUTO' : text;
+    }
+
+    // Design state for one row; empty cells keep the defaults
+    createDesignState(row, mapping, defaults = {}) {
+        const overrides = { ...defaults };
+        mapping.forEach((field, column) => {
+            if (!field || field === 'name') return;
+            const value = row[column];
+            if (value === undefined || value === null || String(value).trim() === '') return;
+            overrides[field] = CableSchedule.convertValue(field, value);
+        });
+        return SizingEngine.createDesignState(overrides);
+    }
+
+    // Size every row; a row that cannot be read or calculated keeps its error
+    run(rows, mapping, defaults = {}) {
+        const nameColumn = mapping.indexOf('name');
+        return rows.map((row, index) => {
+            const name = nameColumn >= 0 && row[nameColumn] ? String(row[nameColumn]) : `Row ${index + 1}`;
+            try {
+                const designState = this.createDesignState(row, mapping, defaults);
+                const results = this.engine.calculate(designState);
+                return { name, designState, results, ...CableSchedule.summarise(results) };
+            } catch (error) {
+                return { name, designState: null, results: null, failures: [error.message] };
+            }
+        });
+    }
+
+    // Selected size, earth, voltage drop and device, and every check the selected size fails
+    static summarise(results) {
+        const option = results.sizeOptions.find(size => size.size === results.selectedSize);
+        const labels = {
+            currentRating: 'Current rating / protection',
+            voltageDrop: 'Voltage drop',
+            startingVoltageDrop: 'Starting voltage drop',
+            shortCircuit: 'Short circuit',
+            loopImpedance: 'Loop impedance'
+        };
+        const failures = option
+            ? Object.entries(option.checks).filter(([, passes]) => passes === false).map(([check]) => labels[check])
+            : ['Selected size not tabulated'];
+        if (results.conduit && !results.conduit.passes) {
+            failures.push('Conduit fill');
+        }
+        if (!results.breakingCapacity.passes) {
+            failures.push('Breaking capacity');
+        }
+        if (results.motorStarting && !results.motorStarting.passes) {
+            failures.push('Motor starting');
+        }
+        results.trace.errors.forEach(error => failures.push(error.message));
+
+        return {
+            selectedSize: results.selectedSize,
+            parallelSets: results.parallelSets,
+            earthSize: option ? option.earthSize : results.earthConductor.size,
+            voltageDropPercent: option ? option.voltageDropPercent : results.voltageDrop.voltageDropPercent,
+            device: results.protectionDevice.description,
+            deviceRating: results.protectionDevice.rating,
+            failures: failures
+        };
+    }
+
+    // The schedule with the calculated columns appended, as rows of cells
+    static appendResults(headers, rows, batchResults) {
+        return [
+            [...headers, ...CableSchedule.RESULT_COLUMNS],
+            ...rows.map((row, index) => {
+                const result = batchResults[index];
+                const cells = headers.map((header, column) => (row[column] === undefined ? '' : row[column]));
+                if (!result.results) {
+                    return [...cells, '', '', '', '', '', '', result.failures.join('; ')];
+                }
+                return [
+                    ...cells,
+                    result.selectedSize,
+                    result.parallelSets,
+                    result.earthSize,
+                    Math.round(result.voltageDropPercent * 100) / 100,
+                    result.device,
+                    result.deviceRating,
+                    result.failures.join('; ')
+                ];
+            })
+        ];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CableSchedule;
+}
@@ -0,0 +1,2983 @@
+// Cable Size Calculator AS/NZS 3008 - Sizing Engine
+// Headless rules engine: takes a plain design state plus the loaded
+// as_nzs_3008_scaffold_v2.json database and returns the full results object.
+// Has no DOM or network access so it can run in the browser, in Node and in tests.
+class CableSizingEngine {
+    constructor(database) {
+        if (!database) {
+            throw new Error('CableSizingEngine requires the AS/NZS 3008 database');
+        }
+        this.database = database;
+        this.issues = [];
+    }
+
+    // Default design state, matching the initial values of the web form
+    static get DEFAULT_DESIGN_STATE() {
+        return {
+            standard: 'AUSTRALIAN_CONDITIONS',
+            insulation: 'PVC_V90',
+            installation: 'Spaced from surface',
+            phase: '3P_AC',
+            voltage: 400,
+            rating: 63,
+            useMaximumDemand: false,
+            demandInstallation: 'DOMESTIC',
+            demandLoads: [],
+            loadType: 'GENERAL',
+            motorPower: 7.5,
+            motorEfficiency: 90,
+            motorPowerFactor: 0.85,
+            motorStarting: 'DOL',
+            motorStartingMultiple: 'AUTO',
+            maxStartingVoltageDrop: 15,
+            motorProtection: 'MOTOR_BREAKER',
+            cableType: 'MULTICORE',
+            conductor: 'CU',
+            maxVoltageDrop: 3,
+            activeSize: 'AUTO',
+            distance: 40,
+            earthSize: 'AUTO',
+            flexibleCable: false,
+            mimsGrade: 'HEAVY',
+            aerialConstruction: 'XLPE_ABC_MULTICORE',
+            windSpeed: 'STILL',
+            useParallel: false,
+            parallelSets: 'AUTO',
+            calculateConduit: true,
+            conduitType: 'heavy-duty-rigid',
+            conduitSize: 'AUTO',
+            conduitCircuits: [],
+            groupCircuits: 1,
+            groupArrangement: 'BUNCHED_ENCLOSED',
+            groupTiers: 1,
+            groupSpacing: 0.3,
+            ambientTemp: 40,
+            groundTemp: 25,
+            powerFactor: 0.8,
+            thirdHarmonic: 0,
+            voltageDropMethod: 'MAX',
+            layingDepth: 0.5,
+            soilResistivity: 1.2,
+            checkShortCircuit: false,
+            faultLevelMethod: 'FAULT_CURRENT',
+            faultCurrent: 6,
+            earthFaultCurrent: 6,
+            transformerKva: 1000,
+            transformerImpedance: 5,
+            shortCircuitMode: 'TIME',
+            clearingTime: 0.1,
+            letThroughI2t: 0,
+            checkLoopImpedance: false,
+            sourceImpedanceMethod: 'ESTIMATED',
+            sourceImpedance: 0.3,
+            deviceType: 'AUTO',
+            deviceCurve: 'B',
+            deviceRating: 'AUTO',
+            breakingCapacity: 'AUTO',
+            mccbIrSetting: 'AUTO',
+            mccbImSetting: 10,
+            showDerating: false,
+            advancedOptions: false
+        };
+    }
+
+    // Fill in any missing fields of a partial design state with the defaults
+    static createDesignState(overrides = {}) {
+        return { ...CableSizingEngine.DEFAULT_DESIGN_STATE, ...overrides };
+    }
+
+    // Record a warning or error for a fallback taken during the calculation.
+    // The same issue raised again (e.g. while searching sizes) is kept once.
+    addIssue(level, step, message) {
+        const exists = this.issues.some(issue =>
+            issue.level === level && issue.step === step && issue.message === message
+        );
+        if (!exists) {
+            this.issues.push({ level, step, message });
+        }
+    }
+
+    warn(step, message) {
+        this.addIssue('warning', step, message);
+    }
+
+    recordError(step, message) {
+        this.addIssue('error', step, message);
+    }
+
+    calculate(designState) {
+        this.issues = [];
+        // A partial design state (e.g. from a script or an older saved project)
+        // takes the defaults for its missing fields
+        designState = CableSizingEngine.createDesignState(designState);
+
+        // Step 1: Design current, from the motor's full-load current or the maximum
+        // demand of the listed loads when used
+        const motor = designState.loadType === 'MOTOR' ? this.calculateMotorLoad(designState) : null;
+        const maximumDemand = !motor && designState.useMaximumDemand ? this.calculateMaximumDemand(designState) : null;
+        if (motor) {
+            designState = { ...designState, rating: motor.fullLoadCurrent, powerFactor: motor.powerFactor };
+        } else if (maximumDemand) {
+            designState = { ...designState, rating: maximumDemand.designCurrent };
+        }
+
+        // Resolve the number of parallel cable sets before sizing
+        designState = { ...designState, parallelSets: this.selectParallelSets(designState) };
+
+        // Step 2: Base current rating lookup
+        // Returns table, column, and all columnData (rows with I_z(S) values)
+        const baseRating = this.lookupBaseCurrentRating(designState);
+
+        // Step 3: Apply derating factors per row
+        // Compute C_total and calculate I_z,adj(S) = I_z(S) · C_total for each row
+        // Mark sizes where I_z,adj(S) >= I_b
+        const deratedRating = this.applyDeratingFactors(baseRating.columnData, designState);
+
+        // Step 4: Auto size search, and the size the checks are run on: the entered
+        // size when there is one (an engineer override if it differs), else the auto size
+        const issueCount = this.issues.length;
+        const autoSize = this.performAutoSizeSearch(designState);
+        const selectedSize = designState.activeSize === 'AUTO' ? autoSize : CableSizingEngine.parseConductorSize(designState.activeSize);
+        if (designState.activeSize !== 'AUTO') {
+            // Why the search found no size is irrelevant when the size is entered
+            this.issues.length = issueCount;
+        }
+        const sizedState = { ...designState, activeSize: String(selectedSize) };
+
+        // Step 5: Cable R, X, Z versus temperature (maximum and operating)
+        const cableImpedance = this.calculateCableImpedance(sizedState, deratedRating);
+
+        // Step 6: Voltage drop check, running and (for a motor) while starting
+        const voltageDrop = this.calculateVoltageDrop(sizedState, cableImpedance, deratedRating);
+        const startingVoltageDrop = motor ? this.calculateStartingVoltageDrop(sizedState, cableImpedance, deratedRating) : null;
+
+        // Step 7: Loop impedance and max distance
+        const loopImpedance = this.calculateLoopImpedance(sizedState, cableImpedance);
+
+        // Step 8: Prospective fault currents at the origin and load end, and short
+        // circuit thermal withstand
+        const faultCurrents = this.calculateFaultCurrents(sizedState, cableImpedance);
+        const shortCircuitCheck = this.checkShortCircuitRating(sizedState);
+
+        // Step 9: Protection device logic, including its breaking capacity
+        const protectionDevice = this.calculateProtectionDevice(sizedState);
+        const breakingCapacity = this.checkBreakingCapacity(sizedState, protectionDevice);
+        const motorStarting = motor ? this.checkMotorStarting(sizedState, protectionDevice) : null;
+
+        // Step 10: Earth conductor sizing
+        const earthConductor = this.calculateEarthConductor(sizedState);
+
+        // Overload coordination between the protective device and the selected size
+        const selectedRow = deratedRating.deratedRows.find(row => row.size === selectedSize);
+        const coordination = this.checkCoordination(designState, protectionDevice, selectedRow ? selectedRow.I_z_adj : null);
+
+        // Neutral conductor, sized on the triplen harmonic neutral current where required
+        const neutralConductor = this.calculateNeutralConductor(designState, deratedRating, selectedSize);
+
+        // Step 11: Pass/fail of every tabulated size, for the selection table
+        const sizeOptions = this.evaluateSizeOptions(designState, deratedRating);
+
+        // Conduit size from the cable outside diameters and space factor; bare MIMS
+        // and aerial cables are not installed in conduit
+        const family = this.getCableFamily(designState);
+        const conduit = designState.calculateConduit && family !== 'MIMS' && family !== 'AERIAL'
+            ? this.calculateConduit(designState, selectedSize, neutralConductor, earthConductor)
+            : null;
+
+        const results = {
+            designState,
+            baseRating,
+            deratedRating,
+            cableImpedance,
+            voltageDrop,
+            loopImpedance,
+            faultCurrents,
+            shortCircuitCheck,
+            protectionDevice,
+            breakingCapacity,
+            coordination,
+            earthConductor,
+            neutralConductor,
+            selectedSize,
+            autoSize,
+            override: selectedSize !== autoSize,
+            sizeOptions,
+            conduit,
+            maximumDemand,
+            motor,
+            startingVoltageDrop,
+            motorStarting,
+            parallelSets: designState.parallelSets
+        };
+
+        // Audit trail of the tables, columns, rows and factors used, with any fallbacks
+        results.trace = {
+            steps: this.buildCalculationTrace(results),
+            warnings: this.issues.filter(issue => issue.level === 'warning'),
+            errors: this.issues.filter(issue => issue.level === 'error')
+        };
+
+        return results;
+    }
+
+    buildCalculationTrace(results) {
+        // One entry per step: what was used (value), where it came from (reference) and why (basis)
+        const { designState, baseRating, deratedRating, cableImpedance, voltageDrop, loopImpedance, faultCurrents,
+            shortCircuitCheck, protectionDevice, breakingCapacity, coordination, earthConductor, neutralConductor, selectedSize } = results;
+        const harmonics = deratedRating.harmonics;
+        const columnData = baseRating.table.columns[baseRating.column] || {};
+        const selectedRow = deratedRating.deratedRows.find(row => row.size === selectedSize);
+        const steps = [];
+
+        if (results.motor) {
+            const motor = results.motor;
+            steps.push({
+                step: 'Motor',
+                entries: [
+                    { label: 'Full-load current', value: `${motor.fullLoadCurrent} A`, reference: motor.reference, basis: `${motor.power} kW, η = ${motor.efficiency}%, cos φ = ${motor.powerFactor}` },
+                    { label: 'Starting current', value: `${Math.round(motor.startingCurrent)} A`, reference: motor.startingName, basis: `${motor.startingMultiple} × full-load current at cos φ = ${motor.startingPowerFactor}` }
+                ]
+            });
+        }
+
+        if (results.maximumDemand) {
+            const maximumDemand = results.maximumDemand;
+            const perPhase = values => maximumDemand.phases.map(phase => `${phase} ${values[phase].toFixed(1)} A`).join(', ');
+            steps.push({
+                step: 'Maximum demand',
+                entries: [
+                    ...maximumDemand.categories.map(category => ({
+                        label: category.name,
+                        value: perPhase(category.demand),
+                        reference: maximumDemand.reference,
+                        basis: ['POINTS', 'OUTLETS'].includes(category.rule)
+                            ? `${category.basis}; ${maximumDemand.phases.map(phase => `${phase} ${category.points[phase]}`).join(', ')} points`
+                            : `${category.basis}; connected ${perPhase(category.connected)}`
+                    })),
+                    { label: 'Design current Ib', value: `${maximumDemand.designCurrent} A`, reference: maximumDemand.reference, basis: `Phase ${maximumDemand.worstPhase}, the most heavily loaded of ${perPhase(maximumDemand.perPhase)}` }
+                ]
+            });
+        }
+
+        steps.push({
+            step: 'Base current rating',
+            entries: [
+                {
+                    label: 'Current rating table',
+                    value: baseRating.table.table_id,
+                    reference: `Table ${baseRating.table.table_id.replace('T', '')}`,
+                    basis: `${[].concat(baseRating.table.cable_type || baseRating.table.cable_types || 'Unknown cable type').join(', ')}, ` +
+                        `${[].concat(baseRating.table.insulation_type || baseRating.table.insulation_types || 'any insulation').join(', ')}, ` +
+                        `${this.getRatingTemperature(designState)}°C for ${designState.cableType}, ${designState.insulation}`
+                },
+                {
+                    label: 'Column',
+                    value: baseRating.column,
+                    reference: baseRating.reference,
+                    basis: `${columnData.arrangement || 'Unknown arrangement'}, ${columnData.material || 'unknown material'} for "${designState.installation}", ${designState.conductor}`
+                },
+                {
+                    label: 'Row',
+                    value: CableSizingEngine.formatSize(selectedSize),
+                    reference: baseRating.reference,
+                    basis: selectedRow ? `Iz = ${selectedRow.I_z} A` : 'Size not tabulated'
+                }
+            ]
+        });
+
+        steps.push({
+            step: 'Derating',
+            entries: [
+                { label: 'Ambient temperature factor Ca', value: deratedRating.factors.C_a.toFixed(2), reference: deratedRating.references.C_a, basis: `${deratedRating.ambientTemperature}°C ${deratedRating.ambientMedium}` },
+                { label: 'Grouping factor Cg', value: deratedRating.factors.C_g.toFixed(2), reference: deratedRating.references.C_g, basis: `${designState.groupCircuits} circuit(s), ${designState.groupArrangement}` },
+                { label: 'Soil thermal resistivity factor Cs', value: deratedRating.factors.C_s.toFixed(2), reference: deratedRating.references.C_s || 'Not buried', basis: `${designState.soilResistivity} K·m/W` },
+                { label: 'Depth of laying factor Cd', value: selectedRow ? selectedRow.C_d.toFixed(2) : '1.00', reference: (selectedRow && selectedRow.depthReference) || 'Not buried', basis: `${designState.layingDepth} m` },
+                { label: 'Harmonic reduction factor', value: deratedRating.factors.C_h.toFixed(2), reference: deratedRating.references.C_h || 'Not applicable', basis: `${harmonics.thirdHarmonic}% third harmonic, sized on ${harmonics.basis === 'NEUTRAL' ? `neutral current ${Math.round(harmonics.neutralCurrent)} A` : 'phase current'}` },
+                { label: 'Derated current rating Iz', value: selectedRow ? `${Math.round(selectedRow.I_z_adj)} A` : '-', reference: baseRating.reference, basis: selectedRow ? `${selectedRow.I_z} A × ${selectedRow.C_total.toFixed(3)}` : 'Size not tabulated' }
+            ]
+        });
+
+        steps.push({
+            step: 'Cable impedance',
+            entries: [
+                { label: 'Resistance', value: `${cableImpedance.resistance} Ω/km`, reference: cableImpedance.resistanceRef, basis: `${CableSizingEngine.formatSize(cableImpedance.cableSize)} at ${Math.round(cableImpedance.operatingTemperature)}°C operating temperature` },
+                { label: 'Resistance at maximum temperature', value: `${cableImpedance.resistanceMaxTemp} Ω/km`, reference: cableImpedance.resistanceMaxTempRef, basis: `${cableImpedance.maxTemperature}°C` },
+                { label: 'Reactance', value: `${cableImpedance.reactance} Ω/km`, reference: cableImpedance.reactanceRef, basis: designState.cableType }
+            ]
+        });
+
+        steps.push({
+            step: 'Voltage drop',
+            entries: [
+                { label: 'Unit voltage drop Vc', value: `${voltageDrop.unitVoltageDrop.toFixed(3)} mV/A.m`, reference: voltageDrop.reference, basis: `${voltageDrop.method} at ${Math.round(voltageDrop.conductorTemperature)}°C` },
+                { label: 'Voltage drop', value: `${voltageDrop.voltageDropPercent.toFixed(2)}%`, reference: voltageDrop.reference, basis: `${designState.distance} m, ${voltageDrop.basis} ${Math.round(voltageDrop.nominalVoltage)} V, limit ${designState.maxVoltageDrop}%` },
+                ...(results.startingVoltageDrop ? [{
+                    label: 'Starting voltage drop',
+                    value: `${results.startingVoltageDrop.voltageDropPercent.toFixed(2)}%`,
+                    reference: results.startingVoltageDrop.reference,
+                    basis: `${Math.round(results.startingVoltageDrop.current)} A starting, limit ${results.startingVoltageDrop.limit}%`
+                }] : [])
+            ]
+        });
+
+        if (designState.checkLoopImpedance) {
+            steps.push({
+                step: 'Earth fault loop impedance',
+                entries: [
+                    { label: 'Maximum route length', value: `${Math.round(loopImpedance.maxLength)} m`, reference: loopImpedance.reference, basis: `Ia = ${Math.round(loopImpedance.tripCurrent)} A, ${loopImpedance.passes ? 'pass' : 'fail'}` }
+                ]
+            });
+        }
+
+        const kA = current => `${(current / 1000).toFixed(2)} kA`;
+        steps.push({
+            step: 'Fault currents',
+            entries: [
+                { label: 'Fault level at origin', value: `${kA(faultCurrents.origin.shortCircuit)} / ${kA(faultCurrents.origin.earthFault)}`, reference: faultCurrents.reference, basis: `${faultCurrents.basis} / phase-earth` },
+                { label: 'Fault level at load end', value: `${kA(faultCurrents.load.shortCircuit)} / ${kA(faultCurrents.load.earthFault)}`, reference: `IEC 60909-0, c = ${faultCurrents.voltageFactor}`, basis: `${designState.distance} m, conductors at 20°C` }
+            ]
+        });
+
+        if (designState.checkShortCircuit) {
+            steps.push({
+                step: 'Short circuit withstand',
+                entries: [
+                    { label: 'K', value: `${shortCircuitCheck.K}`, reference: shortCircuitCheck.kReference, basis: `${shortCircuitCheck.initialTemperature}°C to ${shortCircuitCheck.finalTemperature}°C` },
+                    { label: 'Minimum size', value: shortCircuitCheck.minimumSize ? `${shortCircuitCheck.minimumSize} mm²` : '-', reference: 'AS/NZS 3008.1.1 Clause 5.3', basis: `I²t = ${Math.round(shortCircuitCheck.I2t)} A²s` }
+                ]
+            });
+        }
+
+        steps.push({
+            step: 'Protection and earth',
+            entries: [
+                { label: 'Protective device', value: protectionDevice.description, reference: protectionDevice.reference, basis: `Ib = ${designState.rating} A` },
+                { label: 'Coordination', value: coordination.passes ? 'Pass' : 'Fail', reference: coordination.reference, basis: `Ib ${Math.round(coordination.I_b)} A, In ${Math.round(coordination.I_n)} A, Iz ${coordination.I_z !== null ? Math.round(coordination.I_z) : '-'} A` },
+                ...(results.motorStarting ? [{
+                    label: 'Motor starting',
+                    value: results.motorStarting.passes ? 'Pass' : 'Fail',
+                    reference: results.motorStarting.reference,
+                    basis: `${Math.round(results.motorStarting.startingCurrent)} A starting ≤ ${Math.round(results.motorStarting.withstand)} A (${results.motorStarting.basis})`
+                }] : []),
+                { label: 'Breaking capacity', value: `${breakingCapacity.breakingCapacity} kA`, reference: breakingCapacity.reference, basis: `${kA(breakingCapacity.faultCurrent)} at the origin, ${breakingCapacity.passes ? 'pass' : 'fail'}` },
+                { label: 'Neutral conductor', value: CableSizingEngine.formatSize(neutralConductor.size), reference: neutralConductor.reference || 'Same as phase conductors', basis: `IN = ${Math.round(neutralConductor.current)} A` },
+                { label: 'Earth conductor', value: `${earthConductor.size} mm²`, reference: 'AS/NZS 3000 Table 5.1', basis: designState.earthSize === 'AUTO' ? 'Copper, sized from the active conductor' : 'Copper, entered' }
+            ]
+        });
+
+        if (results.conduit) {
+            const conduit = results.conduit;
+            steps.push({
+                step: 'Conduit',
+                entries: [
+                    ...conduit.cables.map(cable => ({
+                        label: `${cable.circuit ? 'Other circuit' : 'This circuit'}: ${cable.role.toLowerCase()}`,
+                        value: `${cable.count} × ${cable.size} mm²`,
+                        reference: 'Typical outside diameter',
+                        basis: `${cable.diameter} mm ${cable.construction.toLowerCase().replace('_', '-')}`
+                    })),
+                    { label: 'Conduit size', value: `${conduit.size} mm`, reference: conduit.reference, basis: `${conduit.conduitName}, fill ${(conduit.fill * 100).toFixed(1)}% of ${conduit.internalDiameter} mm bore, ${conduit.passes ? 'pass' : 'fail'}` }
+                ]
+            });
+        }
+
+        // The criteria the auto-size search applied to this design state
+        const criteria = [
+            'current rating',
+            'protection',
+            designState.checkShortCircuit ? 'short circuit' : null,
+            'voltage drop',
+            results.motor ? 'starting voltage drop' : null,
+            designState.checkLoopImpedance ? 'loop impedance' : null
+        ].filter(Boolean);
+        const criteriaText = `${criteria.slice(0, -1).join(', ')} and ${criteria[criteria.length - 1]}`;
+        steps.push({
+            step: 'Size selection',
+            entries: [
+                { label: 'Selected size', value: `${results.parallelSets > 1 ? `${results.parallelSets} × ` : ''}${CableSizingEngine.formatSize(selectedSize)}`, reference: baseRating.reference, basis: designState.activeSize === 'AUTO' ? `Smallest size meeting ${criteriaText}` : (results.override ? `Engineer override, auto size ${CableSizingEngine.formatSize(results.autoSize)}` : 'Entered') }
+            ]
+        });
+
+        return steps;
+    }
+
+    lookupBaseCurrentRating(designState) {
+        // Step 1: Find the correct current table based on:
+        // - Cable type
+        // - Insulation type (from insulation option)
+        // - Maximum temp (from insulation option - these two are combined)
+        const table = this.findCurrentRatingTable(designState);
+        if (!table) {
+            throw new Error('No suitable current rating table found');
+        }
+
+        // Step 2: Choose the correct column using:
+        // - Installation from user input (which is the arrangement in the JSON file)
+        // - Conductor material
+        const column = this.findCurrentRatingColumn(table, designState);
+        if (!column) {
+            throw new Error('No suitable column found in current rating table');
+        }
+
+        // Step 3: Record all rows of the correct column for later use
+        const columnData = this.getAllRowsForColumn(table, column, designState);
+
+        return {
+            table: table,
+            column: column,
+            columnData: columnData, // All rows with I_z(S) values
+            reference: `${table.table_id}, ${column}`
+        };
+    }
+
+    findCurrentRatingTable(designState) {
+        // Find table matching:
+        // 1. Cable type
+        // 2. Insulation type (from insulation option)
+        // 3. Maximum temp (from insulation option - these two are combined)
+        const tables = this.database.current_rating_tables;
+
+        // Flexible cords, MIMS and aerial cables each have their own table
+        const familyTableId = this.getFamilyCurrentRatingTableId(designState);
+        if (familyTableId) {
+            const table = tables.find(t => this.getTableId(t) === familyTableId);
+            if (table) {
+                this.checkFamilyTableApplies(familyTableId, designState);
+                return { ...table, table_id: familyTableId };
+            }
+        }
+
+        // Find table matching all criteria
+        for (const table of tables) {
+            if (this.tableMatchesDesignState(table, designState)) {
+                return table;
+            }
+        } // return table that matches the design state
+
+        // Fallback to first available table
+        this.recordError('Base current rating', `No current rating table for ${designState.cableType} with ${designState.insulation} insulation, using ${tables[0].table_id}`);
+        return tables[0];
+    }
+
+    // Table id, for tables stored with only a table number
+    getTableId(table) {
+        return table.table_id || (table.table_number ? `T${String(table.table_number).padStart(2, '0')}` : null);
+    }
+
+    // Cable family: sheathed and single-core cables (Tables 4-15), flexible cords and
+    // cables (Tables 16-17), bare MIMS (Tables 18-19) and aerial cables (Tables 20-21)
+    getCableFamily(designState) {
+        const cableType = designState.cableType || '';
+        if (cableType === 'FLEXIBLE_CORD' || cableType === 'CABLE_AND_FLEXIBLE_CORDS') return 'FLEXIBLE';
+        if (cableType.includes('MIMS')) return 'MIMS';
+        if (cableType === 'AERIAL') return 'AERIAL';
+        return 'STANDARD';
+    }
+
+    // Flexible cords, and cables with flexible conductors, use the flexible impedance and Vc tables
+    hasFlexibleConductors(designState) {
+        return this.getCableFamily(designState) === 'FLEXIBLE' || !!designState.flexibleCable;
+    }
+
+    getFamilyCurrentRatingTableId(designState) {
+        const tableIds = {
+            'FLEXIBLE_CORD': 'T16',
+            'CABLE_AND_FLEXIBLE_CORDS': 'T17',
+            'BARE_SINGLE_CORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': 'T18',
+            'BARE_MULTICORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': 'T19',
+            'AERIAL': designState.conductor === 'AL' ? 'T21' : 'T20'
+        };
+        return tableIds[designState.cableType] || null;
+    }
+
+    checkFamilyTableApplies(tableId, designState) {
+        // Flexible cords and MIMS are tabulated for copper only; Table 17 for 150°C insulation only
+        if ((tableId === 'T16' || tableId === 'T18' || tableId === 'T19') && designState.conductor === 'AL') {
+            this.warn('Base current rating', `Table ${tableId.replace('T', '')} is for copper conductors, ratings used for aluminium`);
+        }
+        if (tableId === 'T17' && this.getMaxTemperature(designState.insulation) !== 150) {
+            this.warn('Base current rating', `Table 17 is for R-S-150, Type 150 fibrous and 150°C fluoropolymer insulation, not ${designState.insulation}`);
+        }
+    }
+
+    tableMatchesDesignState(table, designState) {
+        // Step 1: Match cable type (number of cores)
+        const cableTypeMatch = this.matchCableType(table, designState);
+        if (!cableTypeMatch) return false;
+
+        // Step 2: Match insulation type and max temperature (combined in insulation option)
+        const insulationMatch = this.matchInsulationAndTemp(table, designState);
+        if (!insulationMatch) return false;
+
+        return true;
+    }
+
+    matchCableType(table, designState) {
+        // Map cable_type enum to table cable_type
+        const cableTypeMap = {
+            'TWO_CORE_SHEATHED': ['Two-core sheathed'],   //Name in frontend:name in json
+            'TWO_SINGLE_CORE': ['Two single-core'],
+            'THREE_SINGLE_CORE': ['Three single-core'],
+            'MULTICORE': ['Multicore'],
+            'THREE_CORE_AND_FOUR_CORE_SHEATHED': ['Three-core and four-core sheathed'],
+            'THREE_CORE_AND_FOUR_CORE': ['Three-core and four-core'],
+            'FLEXIBLE_CORD': ['Flexible cords'],
+            'CABLE_AND_FLEXIBLE_CORDS': ['Cables and flexible cords'],
+            'BARE_SINGLE_CORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': ['Bare single-core MIMS cables with copper conductors'],
+            'BARE_MULTICORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': ['Bare multicore MIMS cables with copper conductors']
+        };
+
+        const tableCableType = table.cable_type;
+        if (!tableCableType) return false;
+
+        const expectedTypes = cableTypeMap[designState.cableType] || [];
+        const tableTypeLower = tableCableType.toLowerCase();
+
+        return expectedTypes.some(type =>
+            tableTypeLower.includes(type.toLowerCase()) ||
+            type.toLowerCase().includes(tableTypeLower)
+        );
+    }
+
+    matchInsulationAndTemp(table, designState) {   //Name in frontend:name in json(insulation_type)
+        // Match both insulation type and max temperature from insulation option
+        const insulationMap = {
+            'PVC_V75': { type: 'Thermoplastic', temp: 75 },
+            'PVC_V90': { type: 'Thermoplastic', temp: 75 }, // PVC_V90 also uses Thermoplastic at 75°C
+            'PVC_V60': { type: 'Thermoplastic', temp: 60 },
+            'XLPE_90': { type: 'XLPE', temp: 90 },
+            'X-90': { type: 'X-90', temp: 90 },
+            'X-H-90': { type: 'X-90', temp: 90 },
+            'X-HF-90': { type: 'X-HF-90', temp: 90 },
+            'X-HF-110': { type: 'X-HF-110', temp: 110 },
+            'R-E-110': { type: 'R-E-110', temp: 110 },
+            'R-EP-90': { type: 'R-EP-90', temp: 90 },
+            'R-CPE-90': { type: 'R-CPE-90', temp: 90 },
+            'R-HF-90': { type: 'R-HF-90', temp: 90 },
+            'R-HF-110': { type: 'R-HF-110', temp: 110 },
+            'R-CSP-90': { type: 'R-CSP-90', temp: 90 },
+            'R-S-150': { type: 'R-S-150', temp: 150 },
+            'Cross-linked Polyethylene': { type: 'Cross-linked', temp: 60 },
+            'Type 150 fibrous': { type: 'Type 150 fibrous', temp: 150 },
+            '150°C Rated Fluoropolymer': { type: '150°C Rated Fluoropolymer', temp: 150 }
+        };
+
+        const expected = insulationMap[designState.insulation];
+        if (!expected) return false;
+
+        const tableInsulationType = table.insulation_type;
+        const tableTemp = table.max_temp_C;
+
+        // Match insulation type
+        let insulationMatch = false;
+        if (Array.isArray(tableInsulationType)) { //check if tableInsulationType is an array
+            insulationMatch = tableInsulationType.some(type =>
+                type.toLowerCase().includes(expected.type.toLowerCase())
+            );
+        } else {
+            insulationMatch =
+            tableInsulationType &&
+            tableInsulationType.toLowerCase().includes(expected.type.toLowerCase());
+        }
+
+        // Match temperature (exact match preferred)
+        const tempMatch = tableTemp === expected.temp;
+
+        return insulationMatch && tempMatch;
+    }
+
+    findCurrentRatingColumn(table, designState) {
+        const columns = table.columns;
+
+        // Flexible cord, MIMS and aerial tables have their own column layouts
+        const familyColumn = this.findFamilyCurrentRatingColumn(table, designState);
+        if (familyColumn) {
+            return familyColumn;
+        }
+
+        // Find column matching installation arrangement and conductor material
+        for (const [colId, colData] of Object.entries(columns)) {
+            if (this.columnMatchesDesignState(colData, designState)) {
+                return colId;
+            }
+        }
+
+        // Fallback to first available column
+        const fallbackColumn = Object.keys(columns)[0];
+        this.recordError('Base current rating', `${table.table_id} has no column for "${designState.installation}" with ${designState.conductor} conductors, using ${fallbackColumn}`);
+        return fallbackColumn;
+    }
+
+    findFamilyCurrentRatingColumn(table, designState) {
+        // Two actives 120° apart load the neutral as well: three loaded conductors
+        const threePhase = this.getPhaseSystem(designState).loadedConductors === 3;
+        const clipped = designState.installation === 'Touching surface';
+        const columns = Object.entries(table.columns);
+        const tableId = table.table_id;
+        let match = null;
+
+        if (tableId === 'T16') {
+            // Single current-carrying capacity column
+            return 'C2';
+        } else if (tableId === 'T17') {
+            // Two or three/four loaded conductors, enclosed or unenclosed in air
+            const enclosed = (designState.installation || '').toLowerCase().includes('enclosure');
+            match = columns.find(([, colData]) =>
+                colData.arrangement.startsWith(threePhase ? 'THREE' : 'TWO') &&
+                colData.arrangement.endsWith(enclosed ? '_ENCLOSED_IN_AIR' : '_UNENCLOSED_IN_AIR'));
+        } else if (tableId === 'T18') {
+            // Single-core: spaced from or clipped to the wall, single or three phase
+            const arrangement = clipped ? 'Flat vertical — clipped to wall' : 'Vertical spaced — spaced from wall';
+            match = columns.find(([, colData]) => colData.arrangement === (threePhase ? `${arrangement} (3-phase)` : arrangement));
+        } else if (tableId === 'T19') {
+            // Multicore: two core, or three and four core
+            const arrangement = `${threePhase ? 'Three and four core' : 'Two core'} — ${clipped ? 'clipped to wall' : 'spaced from wall'}`;
+            match = columns.find(([, colData]) => colData.arrangement === arrangement);
+        } else if (tableId === 'T20' || tableId === 'T21') {
+            // Aerial construction and wind speed
+            const construction = CableSizingEngine.AERIAL_CONSTRUCTIONS[designState.aerialConstruction] ||
+                CableSizingEngine.AERIAL_CONSTRUCTIONS.XLPE_ABC_MULTICORE;
+            const airCondition = { 'STILL': 'Still air', '1': '1 m/s wind', '2': '2 m/s wind' }[designState.windSpeed] || 'Still air';
+            match = columns.find(([, colData]) =>
+                colData.arrangement.startsWith(construction.arrangement) && colData['air condition'] === airCondition);
+        } else {
+            return null;
+        }
+
+        return match ? match[0] : null;
+    }
+
+    // Aerial cable constructions (Tables 20-21 columns) and their maximum conductor temperature
+    static get AERIAL_CONSTRUCTIONS() {
+        return {
+            BARE: { arrangement: 'Bare conductors', maxTemp: 75, singleCore: true },
+            PVC_SINGLE_CORE: { arrangement: 'PVC insulated single-core', maxTemp: 75, singleCore: true },
+            PVC_TWO_CORE: { arrangement: 'PVC insulated two-core', maxTemp: 75, singleCore: false },
+            PVC_MULTICORE: { arrangement: 'PVC insulated three-core', maxTemp: 75, singleCore: false },
+            XLPE_ABC_TWO_CORE: { arrangement: 'XLPE insulated two-core', maxTemp: 80, singleCore: false },
+            XLPE_ABC_MULTICORE: { arrangement: 'XLPE insulated three-core', maxTemp: 80, singleCore: false }
+        };
+    }
+
+    columnMatchesDesignState(colData, designState) {
+        // Match conductor material
+        const materialMatch = colData.material === designState.conductor;
+
+        // Match installation arrangement (simplified)
+        const arrangementMatch = this.mapInstallationToArrangement(designState.installation, colData.arrangement);
+
+        return materialMatch && arrangementMatch;
+    }
+
+    mapInstallationToArrangement(installation, arrangement) {
+        const mapping = {
+            'Spaced from surface': 'UNENCLOSED_SPACED',
+            'Touching surface': 'UNENCLOSED_TOUCHING',
+            'Exposed to sun': 'UNENCLOSED_EXPOSED_TO_SUN',
+            'Wiring enclosure in air': 'ENCLOSED_IN_AIR',
+            'Partially surrounded by thermal insulation, in wiring enclosure': 'THERMAL_INSULATION_PARTIAL_ENCLOSED',
+            'Partially surrounded by thermal insulation, unenclosed': 'THERMAL_INSULATION_PARTIAL_UNENCLOSED',
+            'Completely surrounded by thermal insulation, in wiring enclosure': 'THERMAL_INSULATION_COMPLETE_ENCLOSED',
+            'Completely surrounded by thermal insulation, unenclosed': 'THERMAL_INSULATION_COMPLETE_UNENCLOSED',
+            'Buried direct': 'BURIED_DIRECT',
+            'Underground duct same': 'UNDERGROUND_DUCT_SAME',
+            'Underground duct separate': 'UNDERGROUND_DUCT_SEPARATE'
+        };
+
+        const mappedArrangement = mapping[installation];
+        return mappedArrangement === arrangement;
+    }
+
+    getAllRowsForColumn(table, column, designState) {
+        // Record all rows of the correct column for later use
+        // Each row contains: { size: S, I_z: I_z(S) }
+        // (Table 16 has a single capacity per size, aerial sizes may be strandings)
+        return this.getTableRows(table, designState).map(row => ({
+            size: this.getRowSize(row),
+            I_z: (row.values ? row.values[column] : row.capacity) || null // I_z(S) - base current rating
+        })).filter(row => row.I_z !== null) // Only include rows with valid data
+            .sort((a, b) => CableSizingEngine.getConductorArea(a.size) - CableSizingEngine.getConductorArea(b.size));
+    }
+
+    getCurrentRatingForSize(table, column, cableSize) {
+        const row = table.rows.find(r => r.size === cableSize);
+        return row ? row.values[column] : null;
+    }
+
+    // Rows of a table; MIMS tables are split by voltage grade (0.6/0.6 kV light duty,
+    // 1/1 kV heavy duty), stored as sections, a section map or section marker rows
+    getTableRows(table, designState) {
+        const grade = designState.mimsGrade === 'LIGHT' ? '0.6/0.6' : '1/1';
+        if (Array.isArray(table.sections)) {
+            const section = table.sections.find(s => (s.voltage_rating || '').startsWith(grade));
+            return section ? section.rows : [];
+        }
+        if (table.sections) {
+            const key = Object.keys(table.sections).find(k => k.startsWith(grade));
+            return key ? table.sections[key] : [];
+        }
+        const rows = table.rows || [];
+        if (rows.some(r => r.section)) {
+            let inSection = false;
+            return rows.filter(r => {
+                if (r.section) {
+                    inSection = r.section.startsWith(grade);
+                    return false;
+                }
+                return inSection;
+            });
+        }
+        return rows;
+    }
+
+    // Conductor size of a table row
+    getRowSize(row) {
+        const size = [row.size, row.conductor_size_mm2, row.conductor_size_or_stranding, row.conductor_size_mm2_or_stranding]
+            .find(value => value !== undefined && value !== null);
+        return CableSizingEngine.parseConductorSize(size);
+    }
+
+    // A size is kept as tabulated: a nominal area in mm², or for aerial conductors a
+    // stranding ("7/1.00" = 7 wires of 1.00 mm), so that it matches the rows of the
+    // other tables and is shown as the standard designation
+    static parseConductorSize(value) {
+        if (typeof value === 'string' && value.includes('/')) {
+            const [strands, diameter] = value.split('/').map(parseFloat);
+            return `${strands}/${diameter.toFixed(2)}`;
+        }
+        return parseFloat(value);
+    }
+
+    static isStranding(size) {
+        return typeof size === 'string' && size.includes('/');
+    }
+
+    // Cross-sectional area (mm²) of a size, for arithmetic and comparing sizes
+    static getConductorArea(size) {
+        if (CableSizingEngine.isStranding(size)) {
+            const [strands, diameter] = size.split('/').map(parseFloat);
+            return Math.round(strands * Math.PI * diameter * diameter / 4 * 100) / 100;
+        }
+        return parseFloat(size);
+    }
+
+    static formatSize(size) {
+        return CableSizingEngine.isStranding(size) ? size : `${size} mm²`;
+    }
+
+    applyDeratingFactors(columnData, designState) {
+        // Apply derating per row (not per column globally)
+        // Compute combined factor: C_total = C_a · C_g · C_s · C_i · C_d(S)
+
+        // Get individual derating factors
+        const ambient = this.lookupAmbientTemperatureFactor(designState); // Ambient temperature (Table 27)
+        const C_a = ambient.value;
+        const grouping = this.lookupGroupingFactor(designState);       // Grouping/bunching (Tables 22-26)
+        const C_g = grouping.value;
+        const soil = this.lookupSoilThermalFactor(designState);          // Soil thermal resistivity (Table 29)
+        const C_s = soil.value;
+        const C_i = this.getInstallationFactor(designState);            // Installation method
+        const harmonics = this.calculateHarmonicSizing(designState);     // Triplen harmonics (Table 2)
+        const C_h = harmonics.factor;
+
+        // Compute combined derating factor for the size-independent factors
+        // (the depth of laying factor C_d depends on conductor size, so it is applied per row)
+        const C_total = C_a * C_g * C_s * C_i * C_h;
+
+        // For each size: I_z,adj(S) = I_z(S) · C_total · C_d(S)
+        // Mark sizes where I_z,adj(S) >= I_b (I_b is the load current, or the
+        // neutral current when Table 2 bases the sizing on it)
+        const I_b = harmonics.designCurrent / this.getParallelSets(designState); // Design current per parallel set
+
+        const deratedRows = columnData.map(row => {
+            const depth = this.lookupDepthOfLayingFactor(designState, row.size); // Depth of laying (Table 28)
+            const C_row = C_total * depth.value;
+            const I_z_adj = row.I_z * C_row; // Adjusted current rating
+            const meetsRequirement = I_z_adj >= I_b; // Mark if meets load current requirement
+
+            return {
+                size: row.size,
+                I_z: row.I_z,                    // Base current rating I_z(S)
+                I_z_adj: I_z_adj,                // Adjusted current rating I_z,adj(S)
+                meetsRequirement: meetsRequirement, // I_z,adj(S) >= I_b
+                C_d: depth.value,                // Depth of laying factor for this size
+                depthReference: depth.reference,
+                C_total: C_row                   // Combined derating factor including C_d
+            };
+        });
+
+        return {
+            deratedRows: deratedRows,
+            C_total: C_total,
+            factors: {
+                C_a: C_a,
+                C_g: C_g,
+                C_s: C_s,
+                C_i: C_i,
+                C_h: C_h
+            },
+            references: {
+                C_a: ambient.reference,
+                C_g: grouping.reference,
+                C_s: soil.reference,
+                C_h: harmonics.reference
+            },
+            harmonics: harmonics,
+            ambientTemperature: ambient.temperature,
+            ambientMedium: ambient.medium,
+            I_b: I_b
+        };
+    }
+
+    // Table 2: reduction factors for triplen harmonic currents in 4- and 5-core cables,
+    // by third harmonic content of the phase current (%)
+    static get HARMONIC_REDUCTION_FACTORS() {
+        return [
+            { maxContent: 15, basis: 'PHASE', factor: 1.0, label: '0-15%' },
+            { maxContent: 33, basis: 'PHASE', factor: 0.86, label: '15-33%' },
+            { maxContent: 45, basis: 'NEUTRAL', factor: 0.86, label: '33-45%' },
+            { maxContent: Infinity, basis: 'NEUTRAL', factor: 1.0, label: '> 45%' }
+        ];
+    }
+
+    calculateHarmonicSizing(designState) {
+        // Neutral current from triplen harmonics: I_N = 3 · h · I_b (the third
+        // harmonic currents of the three phases add in the neutral)
+        const threePhase = designState.phase === '3P_AC';
+        const thirdHarmonic = threePhase ? Math.min(100, Math.max(0, this.toNumber(designState.thirdHarmonic, 0))) : 0;
+        const phaseCurrent = designState.rating;
+        const neutralCurrent = 3 * (thirdHarmonic / 100) * phaseCurrent;
+
+        // Table 2 only applies where the neutral is a core of the same cable;
+        // single-core circuits keep the phase current and size the neutral separately
+        if (!threePhase || this.isSingleCoreCable(designState)) {
+            return {
+                thirdHarmonic: thirdHarmonic,
+                basis: 'PHASE',
+                factor: 1.0,
+                phaseCurrent: phaseCurrent,
+                neutralCurrent: neutralCurrent,
+                designCurrent: phaseCurrent,
+                reference: null
+            };
+        }
+
+        const band = CableSizingEngine.HARMONIC_REDUCTION_FACTORS.find(b => thirdHarmonic <= b.maxContent);
+        return {
+            thirdHarmonic: thirdHarmonic,
+            basis: band.basis,
+            factor: band.factor,
+            phaseCurrent: phaseCurrent,
+            neutralCurrent: neutralCurrent,
+            designCurrent: band.basis === 'NEUTRAL' ? neutralCurrent : phaseCurrent,
+            reference: `Table 2, ${band.label} third harmonic`
+        };
+    }
+
+    calculateNeutralConductor(designState, deratedRating, selectedSize) {
+        // The neutral of a 4- or 5-core cable is the same size as the phase cores.
+        // A separate (single-core) neutral is sized independently when the triplen
+        // harmonic neutral current exceeds the phase current.
+        const harmonics = deratedRating.harmonics;
+        const sets = this.getParallelSets(designState);
+
+        if (!this.isSingleCoreCable(designState) || harmonics.neutralCurrent <= harmonics.phaseCurrent) {
+            return {
+                size: selectedSize,
+                current: harmonics.neutralCurrent,
+                independent: false,
+                reference: harmonics.reference
+            };
+        }
+
+        const neutralRow = deratedRating.deratedRows
+            .filter(row => CableSizingEngine.getConductorArea(row.size) >= CableSizingEngine.getConductorArea(selectedSize) &&
+                row.I_z_adj >= harmonics.neutralCurrent / sets)
+            .sort((a, b) => CableSizingEngine.getConductorArea(a.size) - CableSizingEngine.getConductorArea(b.size))[0];
+        let size = neutralRow ? neutralRow.size : null;
+        if (!neutralRow) {
+            const largestRow = deratedRating.deratedRows[deratedRating.deratedRows.length - 1];
+            size = largestRow.size;
+            this.recordError('Neutral conductor', `No size carries the ${Math.round(harmonics.neutralCurrent)} A neutral current, using ${CableSizingEngine.formatSize(size)}`);
+        }
+
+        return {
+            size: size,
+            current: harmonics.neutralCurrent,
+            independent: true,
+            reference: 'Sized on neutral current (triplen harmonics)'
+        };
+    }
+
+    getAmbientTemperatureFactor(designState) {
+        // C_a: Ambient temperature factor from Table 27
+        return this.lookupAmbientTemperatureFactor(designState).value;
+    }
+
+    isUndergroundInstallation(designState) {
+        return ['Buried direct', 'Underground duct same', 'Underground duct separate'].includes(designState.installation);
+    }
+
+    // Ambient temperature the cable sees: ground temperature for buried/underground
+    // installations, air temperature otherwise
+    getAmbientTemperature(designState) {
+        if (this.isUndergroundInstallation(designState)) {
+            return this.toNumber(designState.groundTemp, 25);
+        }
+        return this.toNumber(designState.ambientTemp, 40);
+    }
+
+    toNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    lookupAmbientTemperatureFactor(designState) {
+        const underground = this.isUndergroundInstallation(designState);
+        const ambientTemp = this.getAmbientTemperature(designState);
+        const maxTemp = this.getRatingTemperature(designState);
+        const medium = underground ? 'soil' : 'air';
+
+        // Table 27(1): air and concrete slab ambient, ratings based on 40°C
+        // Table 27(2): soil ambient, ratings based on 25°C
+        const tableId = underground ? 'T27(2)' : 'T27(1)';
+        const referenceTemp = underground ? 25 : 40;
+        const table = (this.database.derating_rating_factors || []).find(t => t.table_id === tableId);
+
+        if (ambientTemp >= maxTemp) {
+            throw new Error(`Ambient ${medium} temperature ${ambientTemp}°C is not below the conductor operating temperature of ${maxTemp}°C`);
+        }
+
+        if (!table) {
+            // Table 27(2) is not in the database yet; its factors follow the same
+            // relationship the standard uses: C_a = sqrt((θ_c - θ_a) / (θ_c - θ_ref))
+            this.warn('Derating', `${tableId} not found in database, calculating ambient temperature factor`);
+            return {
+                value: Math.round(Math.sqrt((maxTemp - ambientTemp) / (maxTemp - referenceTemp)) * 100) / 100,
+                reference: `Table ${tableId.replace('T', '')} basis, θc = ${maxTemp}°C, θa = ${ambientTemp}°C (calculated)`,
+                temperature: ambientTemp,
+                medium: medium
+            };
+        }
+
+        // Use the row for the rating table's conductor temperature, or the
+        // nearest lower row when that temperature is not tabulated
+        const rows = table.rows
+            .map(r => ({ temp: parseFloat(r.conductor_temperature_c), values: r.values }))
+            .sort((a, b) => b.temp - a.temp);
+        const row = rows.find(r => r.temp <= maxTemp) || rows[rows.length - 1];
+        if (row.temp !== maxTemp) {
+            this.warn('Derating', `${tableId} has no row for ${maxTemp}°C conductor temperature, using ${row.temp}°C`);
+        }
+
+        // Interpolate linearly between the tabulated ambient temperatures
+        const points = Object.entries(table.columns)
+            .map(([colId, colData]) => ({ x: parseFloat(colData.ambient_temperature_c), value: row.values[colId] }));
+        if (ambientTemp < Math.min(...points.map(p => p.x))) {
+            this.warn('Derating', `Ambient temperature ${ambientTemp}°C below ${tableId} range, using lowest tabulated temperature`);
+        }
+        const value = this.interpolateFactor(points, ambientTemp);
+
+        if (value === null || value === undefined) {
+            throw new Error(`No ${tableId} rating factor for ${ambientTemp}°C ambient and ${row.temp}°C conductor temperature`);
+        }
+
+        return {
+            value: Math.round(value * 1000) / 1000,
+            reference: `Table ${tableId.replace('T', '')}, θc = ${row.temp}°C, θa = ${ambientTemp}°C`,
+            temperature: ambientTemp,
+            medium: medium
+        };
+    }
+
+    getGroupingFactor(designState) {
+        // C_g: Grouping/bunching factor from Tables 22-26
+        return this.lookupGroupingFactor(designState).value;
+    }
+
+    lookupGroupingFactor(designState) {
+        // Choose the grouping table from the installation method:
+        // - Buried direct                → Table 25(1) single-core / 25(2) multicore
+        // - Underground wiring enclosure → Table 26(1) single-core enclosed separately / 26(2) otherwise
+        // - In air or enclosed in air    → Table 23 / 24 on trays and ladders, Table 22 otherwise
+        // Each additional parallel set counts as another circuit in the group
+        const circuits = Math.max(1, Math.round(designState.groupCircuits || 1)) + this.getParallelSets(designState) - 1;
+        const arrangement = designState.groupArrangement || 'BUNCHED_ENCLOSED';
+        const singleCore = this.isSingleCoreCable(designState);
+
+        if (designState.installation === 'Buried direct') {
+            return this.lookupUndergroundGroupingFactor(singleCore ? 'T25(1)' : 'T25(2)', circuits, designState);
+        }
+
+        if (this.isUndergroundInstallation(designState)) {
+            const tableId = singleCore && designState.installation === 'Underground duct separate' ? 'T26(1)' : 'T26(2)';
+            return this.lookupUndergroundGroupingFactor(tableId, circuits, designState);
+        }
+
+        if (this.getTraySupport(arrangement)) {
+            return this.lookupTrayGroupingFactor(singleCore ? 'T23' : 'T24', circuits, designState);
+        }
+
+        return this.lookupBunchedGroupingFactor(circuits, arrangement);
+    }
+
+    isSingleCoreCable(designState) {
+        return (designState.cableType || '').includes('SINGLE_CORE');
+    }
+
+    getDeratingTable(tableId) {
+        const table = (this.database.derating_rating_factors || []).find(t => t.table_id === tableId);
+        if (!table) {
+            throw new Error(`Derating table ${tableId} not found in database`);
+        }
+        return table;
+    }
+
+    getTraySupport(arrangement) {
+        // Grouping arrangement → installation text of Tables 23 and 24
+        const supportMap = {
+            'TRAY_UNPERFORATED_TOUCHING': { support: 'Unperforated trays', condition: 'Touching' },
+            'TRAY_UNPERFORATED_SPACED': { support: 'Unperforated trays', condition: 'Spaced' },
+            'TRAY_PERFORATED_TOUCHING': { support: 'Perforated trays', condition: 'Touching' },
+            'TRAY_PERFORATED_SPACED': { support: 'Perforated trays', condition: 'Spaced' },
+            'TRAY_VERTICAL_TOUCHING': { support: 'Vertical perforated trays', condition: 'Touching' },
+            'TRAY_VERTICAL_SPACED': { support: 'Vertical perforated trays', condition: 'Spaced' },
+            'LADDER_TOUCHING': { support: 'Ladder supports', condition: 'Touching' },
+            'LADDER_SPACED': { support: 'Ladder supports', condition: 'Spaced' }
+        };
+        return supportMap[arrangement] || null;
+    }
+
+    // Pick the column for a circuit count: the first column covering at least that
+    // many circuits (conservative), or the last column when the count is beyond the table
+    findGroupingColumn(columns, circuits, countKey) {
+        const entries = Object.entries(columns);
+        for (const [colId, colData] of entries) {
+            if (parseInt(colData[countKey], 10) >= circuits) {
+                return colId;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    lookupBunchedGroupingFactor(circuits, arrangement) {
+        const table = this.getDeratingTable('T22');
+        const rowMap = {
+            'BUNCHED_IN_AIR': 'Bunched in air',
+            'BUNCHED_ENCLOSED': 'Bunched on a surface or enclosed',
+            'SINGLE_LAYER_WALL_TOUCHING': 'Single layer on wall or floor - Touching',
+            'SINGLE_LAYER_WALL_SPACED': 'Single layer on wall or floor - Spaced',
+            'SINGLE_LAYER_CEILING_TOUCHING': 'Single layer under ceiling - Touching',
+            'SINGLE_LAYER_CEILING_SPACED': 'Single layer under ceiling - Spaced'
+        };
+        const rowText = rowMap[arrangement] || rowMap.BUNCHED_ENCLOSED;
+        const row = table.rows.find(r => r.arrangement.startsWith(rowText));
+        const column = this.findGroupingColumn(table.columns, circuits, 'circuits');
+
+        let value = row.values[column];
+        let itemNo = row.item_no;
+        if (value === null || value === undefined) {
+            // Bunched in air is only tabulated up to 6 circuits; larger groups use
+            // the bunched on a surface or enclosed row
+            const enclosedRow = table.rows.find(r => r.arrangement.startsWith(rowMap.BUNCHED_ENCLOSED));
+            value = enclosedRow.values[column];
+            itemNo = enclosedRow.item_no;
+            this.warn('Derating', `Table 22 item ${row.item_no} (${row.arrangement}) has no factor for ${circuits} circuits, ` +
+                `using item ${itemNo} (${enclosedRow.arrangement})`);
+        }
+
+        return {
+            value: value,
+            reference: `Table 22, item ${itemNo}, ${column}`
+        };
+    }
+
+    lookupTrayGroupingFactor(tableId, circuits, designState) {
+        const table = this.getDeratingTable(tableId);
+        const { support, condition } = this.getTraySupport(designState.groupArrangement);
+        const tiers = Math.max(1, Math.round(designState.groupTiers || 1));
+
+        const rows = table.rows.filter(r =>
+            r.installation.startsWith(support) && r.installation.endsWith(`(${condition})`)
+        );
+        // Use the requested number of trays, or the most tiers the table lists
+        const row = rows.find(r => parseInt(r.tiers, 10) === tiers) || rows[rows.length - 1];
+
+        const countKey = tableId === 'T23' ? 'circuits_per_tier_or_row' : 'number_of_cables';
+        const column = this.findGroupingColumn(table.columns, circuits, countKey);
+
+        let value = row.values[column];
+        if (value === null || value === undefined) {
+            // Not tabulated for this many circuits: use the lowest factor in the row
+            value = Math.min(...Object.values(row.values).filter(v => v !== null && v !== undefined));
+            this.warn('Derating', `${table.table_id} item ${row.item_no} has no value for ${column}, using lowest factor in row`);
+        }
+
+        const tableNumber = tableId.replace('T', '');
+        return {
+            value: value,
+            reference: `Table ${tableNumber}, item ${row.item_no}, ${column}`
+        };
+    }
+
+    lookupUndergroundGroupingFactor(tableId, circuits, designState) {
+        const tableNumber = tableId.replace('T', '');
+        if (circuits <= 1) {
+            return { value: 1.0, reference: `Table ${tableNumber} (single circuit)` };
+        }
+
+        const table = this.getDeratingTable(tableId);
+        const countOf = r => parseInt(r.number_of_circuits || r.number_of_cables, 10);
+        // Rows run from 2 to 12 circuits; larger groups use the last row
+        const row = table.rows.find(r => countOf(r) === circuits) || table.rows[table.rows.length - 1];
+        const column = this.findUndergroundGroupingColumn(table, designState);
+
+        return {
+            value: row.values[column],
+            reference: `Table ${tableNumber}, ${countOf(row)} circuits, ${column}`
+        };
+    }
+
+    findUndergroundGroupingColumn(table, designState) {
+        const columns = Object.entries(table.columns);
+        const arrangement = designState.groupArrangement;
+
+        if (arrangement === 'SPACED') {
+            // Use the largest tabulated spacing not exceeding the actual spacing
+            const spacing = parseFloat(designState.groupSpacing) || 0;
+            let best = null;
+            for (const [colId, colData] of columns) {
+                const distance = parseFloat(colData.distance_m);
+                if (colData.condition === 'Spaced' && distance <= spacing + 1e-9) {
+                    if (!best || distance > best.distance) {
+                        best = { colId, distance };
+                    }
+                }
+            }
+            if (best) return best.colId;
+        }
+
+        // Touching (or spacing closer than any tabulated value); trefoil unless laid flat
+        const formation = arrangement === 'TOUCHING_FLAT' ? 'Laid flat' : 'Trefoil';
+        const touching = columns.filter(([, colData]) => colData.condition === 'Touching');
+        const match = touching.find(([, colData]) => !colData.formation || colData.formation === formation);
+        return (match || touching[0])[0];
+    }
+
+    // Linear interpolation over [{ x, value }] points, clamped to the first and last
+    // point. Returns null when either neighbouring value is not tabulated.
+    interpolateFactor(points, x) {
+        const sorted = [...points].sort((a, b) => a.x - b.x);
+        if (x <= sorted[0].x) return sorted[0].value;
+        if (x >= sorted[sorted.length - 1].x) return sorted[sorted.length - 1].value;
+
+        const upperIndex = sorted.findIndex(p => p.x >= x);
+        const upper = sorted[upperIndex];
+        const lower = sorted[upperIndex - 1];
+        if (upper.x === x) return upper.value;
+        if (lower.value === null || lower.value === undefined || upper.value === null || upper.value === undefined) {
+            return null;
+        }
+        return lower.value + (upper.value - lower.value) * (x - lower.x) / (upper.x - lower.x);
+    }
+
+    getSoilThermalFactor(designState) {
+        // C_s: Soil thermal resistivity factor from Table 29
+        return this.lookupSoilThermalFactor(designState).value;
+    }
+
+    lookupSoilThermalFactor(designState) {
+        // Only applies to buried cables and underground wiring enclosures
+        if (!this.isUndergroundInstallation(designState)) {
+            return { value: 1.0, reference: null };
+        }
+
+        const table = this.getDeratingTable('T29');
+        const resistivity = this.toNumber(designState.soilResistivity, 1.2);
+
+        // Column by cable arrangement: buried direct or in a wiring enclosure
+        let column;
+        if (designState.installation === 'Buried direct') {
+            column = this.isSingleCoreCable(designState) ? 'C2' : 'C1';
+        } else if (!this.isSingleCoreCable(designState)) {
+            column = 'C3';
+        } else {
+            column = designState.cableType === 'TWO_SINGLE_CORE' ? 'C4' : 'C5';
+        }
+
+        const points = table.rows.map(r => ({ x: parseFloat(r.thermal_resistivity_of_soil), value: r.values[column] }));
+        const xs = points.map(p => p.x);
+        if (resistivity < Math.min(...xs) || resistivity > Math.max(...xs)) {
+            this.warn('Derating', `Soil thermal resistivity ${resistivity} K·m/W outside Table 29 range, using nearest tabulated value`);
+        }
+
+        return {
+            value: Math.round(this.interpolateFactor(points, resistivity) * 1000) / 1000,
+            reference: `Table 29, ${resistivity} K·m/W, ${column}`
+        };
+    }
+
+    lookupDepthOfLayingFactor(designState, cableSize) {
+        // C_d: Depth of laying factor, only for buried cables and underground wiring enclosures
+        // Table 28(1): buried direct, by conductor size
+        // Table 28(2): underground wiring enclosures, by single-core or multicore
+        if (!this.isUndergroundInstallation(designState)) {
+            return { value: 1.0, reference: null };
+        }
+
+        const buriedDirect = designState.installation === 'Buried direct';
+        const tableId = buriedDirect ? 'T28(1)' : 'T28(2)';
+        const table = this.getDeratingTable(tableId);
+        const depth = this.toNumber(designState.layingDepth, 0.5);
+
+        let column;
+        if (buriedDirect) {
+            const size = CableSizingEngine.getConductorArea(cableSize);
+            column = size <= 50 ? 'C1' : (size <= 300 ? 'C2' : 'C3');
+        } else {
+            column = this.isSingleCoreCable(designState) ? 'C1' : 'C2';
+        }
+
+        // Ratings are based on 0.5 m; shallower depths take no factor, and
+        // "3.0 or more" applies beyond 3 m
+        const points = table.rows.map(r => ({ x: parseFloat(r.depth_of_laying_m), value: r.values[column] }));
+
+        return {
+            value: Math.round(this.interpolateFactor(points, depth) * 1000) / 1000,
+            reference: `Table ${tableId.replace('T', '')}, ${depth} m, ${column}`
+        };
+    }
+
+    getInstallationFactor(designState) {
+        // C_i: Installation method factor
+        // Additional derating factors specific to installation method
+        // For now, return 1.0 (no additional derating)
+        // This can be expanded based on AS/NZS 3008 installation method tables
+        return 1.0;
+    }
+
+    // Maximum conductor temperature for the cable family: flexible cords 60°C (Table 16),
+    // bare MIMS at the 100°C sheath temperature of Tables 18-19, aerial by construction
+    getConductorMaxTemperature(designState) {
+        if (designState.cableType === 'FLEXIBLE_CORD') return 60;
+        const family = this.getCableFamily(designState);
+        if (family === 'MIMS') return 100;
+        if (family === 'AERIAL') {
+            const construction = CableSizingEngine.AERIAL_CONSTRUCTIONS[designState.aerialConstruction];
+            return construction ? construction.maxTemp : 75;
+        }
+        return this.getMaxTemperature(designState.insulation);
+    }
+
+    // Conductor temperature the current ratings are tabulated at: that of the
+    // rating table used (V-90 is rated from the 75°C thermoplastic tables), or the
+    // family's maximum for tables without one (MIMS, aerial)
+    getRatingTemperature(designState) {
+        const tableTemp = this.findCurrentRatingTable(designState).max_temp_C;
+        return typeof tableTemp === 'number' ? tableTemp : this.getConductorMaxTemperature(designState);
+    }
+
+    getMaxTemperature(insulation) {
+        const tempMap = {
+            'PVC_V75': 75,
+            'PVC_V90': 90,
+            'XLPE_90': 90,
+            'XLPE_110': 110,
+            'ELASTOMERIC_90': 90,
+            'ELASTOMERIC_110': 110,
+            'MIMS_250': 250,
+            'X-90': 90,
+            'X-H-90': 90,
+            'X-HF-90': 90,
+            'X-HF-110': 110,
+            'R-EP-90': 90,
+            'R-CPE-90': 90,
+            'R-HF-90': 90,
+            'R-CSP-90': 90,
+            'R-HF-110': 110,
+            'R-E-110': 110,
+            'R-S-150': 150,
+            'Type 150 fibrous': 150,
+            '150°C Rated Fluoropolymer': 150
+        };
+        if (!tempMap[insulation]) {
+            this.warn('Cable impedance', `No maximum conductor temperature for ${insulation}, using 90°C`);
+            return 90;
+        }
+        return tempMap[insulation];
+    }
+
+    calculateOperatingTemperature(designState, deratedRow) {
+        // I_z,adj holds the conductor at the rating table's temperature
+        const ambientTemp = this.getAmbientTemperature(designState);
+        const maxTemp = this.getRatingTemperature(designState);
+
+        // Without a derated rating for the size, assume the cable runs at its maximum temperature
+        if (!deratedRow || !deratedRow.I_z_adj) {
+            return maxTemp;
+        }
+
+        // Temperature rise above ambient scales with the square of the load current:
+        // θ_o = θ_a + (θ_max - θ_a) · (I_b / I_z,adj)²
+        const loadRatio = Math.min(1, designState.rating / this.getParallelSets(designState) / deratedRow.I_z_adj);
+        return ambientTemp + (maxTemp - ambientTemp) * loadRatio * loadRatio;
+    }
+
+    calculateCableImpedance(designState, deratedRating) {
+        const cableSize = this.getActiveSize(designState);
+
+        // Conductor temperatures: the insulation's maximum, and the estimated
+        // operating temperature at the design load current
+        const maxTemperature = this.getConductorMaxTemperature(designState);
+        const deratedRow = deratedRating && deratedRating.deratedRows.find(row => row.size === cableSize);
+        const operatingTemperature = this.calculateOperatingTemperature(designState, deratedRow);
+
+        // Get resistance and reactance from tables
+        const resistanceData = this.getResistance(cableSize, designState, operatingTemperature);
+        const resistanceMaxTempData = this.getResistance(cableSize, designState, maxTemperature);
+        const reactanceData = this.getReactance(cableSize, designState);
+        const impedance = Math.sqrt(resistanceData.value * resistanceData.value + reactanceData.value * reactanceData.value);
+        const impedanceMaxTemp = Math.sqrt(resistanceMaxTempData.value * resistanceMaxTempData.value + reactanceData.value * reactanceData.value);
+
+        return {
+            resistance: resistanceData.value,            // At operating temperature
+            reactance: reactanceData.value,
+            impedance: impedance,                        // At operating temperature
+            resistanceMaxTemp: resistanceMaxTempData.value,
+            impedanceMaxTemp: impedanceMaxTemp,
+            operatingTemperature: operatingTemperature,
+            maxTemperature: maxTemperature,
+            cableSize: cableSize,
+            resistanceRef: resistanceData.reference,
+            resistanceMaxTempRef: resistanceMaxTempData.reference,
+            reactanceRef: reactanceData.reference
+        };
+    }
+
+    // Temperature coefficient of resistance at 20°C (per °C)
+    getTemperatureCoefficient(designState) {
+        return designState.conductor === 'AL' ? 0.00403 : 0.00393;
+    }
+
+    // Scale a resistance between conductor temperatures: R2 = R1 · (1 + α(θ2 - 20)) / (1 + α(θ1 - 20))
+    scaleResistanceForTemperature(resistance, fromTemperature, toTemperature, designState) {
+        const alpha = this.getTemperatureCoefficient(designState);
+        return resistance * (1 + alpha * (toTemperature - 20)) / (1 + alpha * (fromTemperature - 20));
+    }
+
+    // Maximum d.c. resistance at 20°C (Ω/km), AS/NZS 1125 class 2 (stranded)
+    // and class 5 (flexible) conductors
+    static get DC_RESISTANCE_20C() {
+        return {
+            CLASS_2: {
+                CU: {
+                    1: 18.1, 1.5: 12.1, 2.5: 7.41, 4: 4.61, 6: 3.08,
+                    10: 1.83, 16: 1.15, 25: 0.727, 35: 0.524, 50: 0.387,
+                    70: 0.268, 95: 0.193, 120: 0.153, 150: 0.124, 185: 0.0991,
+                    240: 0.0754, 300: 0.0601, 400: 0.0470, 500: 0.0366, 630: 0.0283,
+                    800: 0.0221, 1000: 0.0176
+                },
+                AL: {
+                    16: 1.91, 25: 1.20, 35: 0.868, 50: 0.641, 70: 0.443,
+                    95: 0.320, 120: 0.253, 150: 0.206, 185: 0.164, 240: 0.125,
+                    300: 0.100, 400: 0.0778, 500: 0.0605, 630: 0.0469,
+                    800: 0.0367, 1000: 0.0291
+                }
+            },
+            CLASS_5: {
+                CU: {
+                    0.5: 39.0, 0.75: 26.0, 1: 19.5, 1.5: 13.3, 2.5: 7.98,
+                    4: 4.95, 6: 3.30, 10: 1.91, 16: 1.21, 25: 0.780,
+                    35: 0.554, 50: 0.386, 70: 0.272, 95: 0.206, 120: 0.161,
+                    150: 0.129, 185: 0.106, 240: 0.0801, 300: 0.0641
+                }
+            }
+        };
+    }
+
+    getDCResistance(cableSize, designState, conductorTemperature) {
+        // d.c. resistance has no skin or proximity effect, so it comes from the
+        // conductor standard rather than the 50 Hz Tables 34-39
+        const conductorClass = this.hasFlexibleConductors(designState) ? 'CLASS_5' : 'CLASS_2';
+        const values = CableSizingEngine.DC_RESISTANCE_20C[conductorClass][designState.conductor] || {};
+        const resistance20 = values[cableSize];
+        if (resistance20 === undefined) return null;
+
+        const value = this.scaleResistanceForTemperature(resistance20, 20, conductorTemperature, designState);
+        return {
+            value: Math.round(value * 10000) / 10000,
+            reference: `${Math.round(conductorTemperature)}°C, d.c. AS/NZS 1125 ${conductorClass === 'CLASS_5' ? 'class 5' : 'class 2'}`
+        };
+    }
+
+    getResistance(cableSize, designState, temperature) {
+        // Resistance at the given conductor temperature (defaults to the insulation's maximum)
+        const conductorTemperature = temperature !== undefined ? temperature : this.getConductorMaxTemperature(designState);
+        const tempLabel = `${Math.round(conductorTemperature)}°C`;
+
+        if (designState.phase === 'DC') {
+            const dcResistance = this.getDCResistance(cableSize, designState, conductorTemperature);
+            if (dcResistance) return dcResistance;
+            this.warn('Cable impedance', `No d.c. resistance for ${CableSizingEngine.formatSize(cableSize)}, using the a.c. resistance`);
+        }
+
+        // Look up resistance from database tables
+        const tables = this.getResistanceTables();
+        const table = tables.length > 0 ? this.findResistanceTable(tables, designState) : null;
+        const row = table && this.getTableRows(table, designState).find(r => this.getRowSize(r) === cableSize);
+
+        // Tabulated temperature columns for the conductor material with a value for this size
+        const points = row ? this.findResistanceColumns(table, designState)
+            .filter(colId => row.values[colId] !== null && row.values[colId] !== undefined)
+            .map(colId => ({ x: table.columns[colId].temperature_C, value: row.values[colId], colId })) : [];
+
+        if (points.length === 0) {
+            // Fallback to the 20°C d.c. values if the size is not tabulated
+            const resistanceMap = CableSizingEngine.DC_RESISTANCE_20C.CLASS_2.CU;
+            const tableNumber = table ? table.table_id.replace('T', '') : '35';
+            this.warn('Cable impedance', `No Table ${tableNumber} resistance for ${CableSizingEngine.formatSize(cableSize)}, using an estimated 20°C value`);
+            return {
+                value: this.scaleResistanceForTemperature(resistanceMap[cableSize] || 1.15, 20, conductorTemperature, designState),
+                reference: `${tempLabel}, Table ${tableNumber} (estimated)`
+            };
+        }
+
+        // Within the tabulated range interpolate between columns; outside it
+        // scale from the nearest column with the temperature coefficient
+        const tableNumber = table.table_id.replace('T', '');
+        points.sort((a, b) => a.x - b.x);
+        const lowest = points[0];
+        const highest = points[points.length - 1];
+        let value;
+        let columns;
+        if (conductorTemperature < lowest.x || conductorTemperature > highest.x) {
+            const nearest = conductorTemperature < lowest.x ? lowest : highest;
+            value = this.scaleResistanceForTemperature(nearest.value, nearest.x, conductorTemperature, designState);
+            columns = `${nearest.colId} scaled`;
+        } else {
+            value = this.interpolateFactor(points, conductorTemperature);
+            const exact = points.find(p => p.x === conductorTemperature);
+            const upperIndex = points.findIndex(p => p.x >= conductorTemperature);
+            columns = exact ? exact.colId : `${points[upperIndex - 1].colId}-${points[upperIndex].colId}`;
+        }
+
+        return {
+            value: Math.round(value * 10000) / 10000,
+            reference: `${tempLabel}, Table ${tableNumber}, ${columns}`
+        };
+    }
+
+    // a.c. resistance tables T34-T39 are stored with the reactance tables
+    getResistanceTables() {
+        const tables = [...(this.database.resistance_tables || []), ...(this.database.reactance_tables || [])];
+        return tables.filter(t => t.variance === 'AC_RESISTANCE_AT_50HZ' && t.rows);
+    }
+
+    getReactance(cableSize, designState) {
+        // d.c. circuits have no reactance
+        if (designState.phase === 'DC') {
+            return { value: 0, reference: 'd.c., no reactance' };
+        }
+
+        // Look up reactance from database tables
+        if (!this.database || !this.database.reactance_tables) {
+            // Fallback to hardcoded values if database not available
+            this.warn('Cable impedance', 'Reactance tables not found in database, using estimated Table 30 values');
+            const reactanceMap = {
+                1: 0.114, 1.5: 0.111, 2.5: 0.102, 4: 0.102, 6: 0.0967,
+                10: 0.0906, 16: 0.0861, 25: 0.0805, 35: 0.0742, 50: 0.0681,
+                70: 0.0620, 95: 0.0559, 120: 0.0498
+            };
+            return {
+                value: reactanceMap[cableSize] || 0.0861,
+                reference: 'Table 30 (estimated)'
+            };
+        }
+
+        // Find appropriate reactance table based on cable type
+        const tables = this.database.reactance_tables;
+        const table = this.findReactanceTable(tables, designState);
+
+        if (!table) {
+            this.warn('Cable impedance', 'No reactance table found, using 0.0861 Ω/km');
+            return { value: 0.0861, reference: 'Table 30 (estimated)' };
+        }
+
+        // Find appropriate column based on arrangement and insulation
+        const column = this.findReactanceColumn(table, designState);
+        if (!column) {
+            const tableNumber = table.table_id.replace('T', '');
+            this.warn('Cable impedance', `No Table ${tableNumber} reactance column found, using 0.0861 Ω/km`);
+            return { value: 0.0861, reference: `Table ${tableNumber} (estimated)` };
+        }
+
+        // Find row for cable size
+        const row = this.getTableRows(table, designState).find(r => this.getRowSize(r) === cableSize);
+
+        if (!row || !row.values || row.values[column] === null || row.values[column] === undefined) {
+            const tableNumber = table.table_id.replace('T', '');
+            this.warn('Cable impedance', `No Table ${tableNumber} reactance for ${CableSizingEngine.formatSize(cableSize)} in ${column}, using 0.0861 Ω/km`);
+            return { value: 0.0861, reference: `Table ${tableNumber}, ${column} (estimated)` };
+        }
+
+        // Format reference: Extract table number from table_id (e.g., "T30" -> "30")
+        const tableNumber = table.table_id.replace('T', '');
+        return {
+            value: row.values[column],
+            reference: `Table ${tableNumber}, ${column}`
+        };
+    }
+
+    findResistanceTable(tables, designState) {
+        // Single-core cables use Table 34, multicore (circular conductors) Table 35,
+        // flexible conductors Table 37, MIMS Table 38 and aerial conductors Table 39
+        const family = this.getCableFamily(designState);
+        let tableId = this.isSingleCoreCable(designState) ? 'T34' : 'T35';
+        if (family === 'MIMS') {
+            tableId = 'T38';
+        } else if (family === 'AERIAL') {
+            tableId = 'T39';
+        } else if (this.hasFlexibleConductors(designState)) {
+            tableId = 'T37';
+        }
+        const table = tables.find(t => t.table_id === tableId);
+        if (!table) {
+            this.warn('Cable impedance', `${tableId} not found in database, using ${tables[0].table_id}`);
+            return tables[0];
+        }
+        return table;
+    }
+
+    findResistanceColumns(table, designState) {
+        // All temperature columns for the conductor material (and single-core or
+        // multicore arrangement, in Table 37)
+        const material = designState.conductor === 'CU' ? 'Copper' : 'Aluminium';
+        const arrangement = this.isSingleCoreCable(designState) ? 'Single-core' : 'Multicore';
+        return Object.entries(table.columns)
+            .filter(([, colData]) => !colData.material || colData.material === material)
+            .filter(([, colData]) => !colData.arrangement || colData.arrangement === arrangement)
+            .map(([colId]) => colId);
+    }
+
+    findReactanceTable(tables, designState) {
+        // Find table matching cable type
+        // Default to Table 30 (All cables except flexible, MIMS, aerial); flexible
+        // conductors Table 31, MIMS Table 32 and aerial conductors Table 33
+        const family = this.getCableFamily(designState);
+        let tableId = 'T30';
+        if (family === 'MIMS') {
+            tableId = 'T32';
+        } else if (family === 'AERIAL') {
+            tableId = 'T33';
+        } else if (this.hasFlexibleConductors(designState)) {
+            tableId = 'T31';
+        }
+        return tables.find(t => t.table_id === tableId) || tables[0];
+    }
+
+    findReactanceColumn(table, designState) {
+        // Table 32 (MIMS) has single-core and multicore columns; Table 33 (aerial)
+        // uses the single phase and trefoil column
+        if (table.table_id === 'T32') {
+            return this.isSingleCoreCable(designState) ? 'C1' : 'C2';
+        }
+        if (table.table_id === 'T33') {
+            return 'C1';
+        }
+
+        // Find column matching arrangement and insulation
+        const insulation = designState.insulation;
+        let insulationType = 'PVC'; // Default
+        if (insulation.includes('XLPE') || insulation.includes('X-')) {
+            insulationType = 'XLPE';
+        } else if (insulation.includes('Elastomer') || insulation.includes('R-')) {
+            insulationType = 'Elastomer';
+        }
+
+        // Determine arrangement based on cable type
+        let arrangement = 'Multicore Circular conductors';
+        if (designState.cableType.includes('SINGLE_CORE')) {
+            arrangement = 'Single-core Trefoil or single phase';
+        }
+
+        // Find column with matching arrangement and insulation
+        for (const [colId, colData] of Object.entries(table.columns)) {
+            if (colData.arrangement && colData.arrangement.includes(arrangement.split(' ')[0])) {
+                if (colData.insulation === insulationType) {
+                    return colId;
+                }
+            }
+        }
+
+        // Fallback: find any column with matching arrangement
+        for (const [colId, colData] of Object.entries(table.columns)) {
+            if (colData.arrangement && colData.arrangement.includes(arrangement.split(' ')[0])) {
+                this.warn('Cable impedance', `${table.table_id} has no ${insulationType} column for ${arrangement}, using ${colId}`);
+                return colId;
+            }
+        }
+
+        const fallbackColumn = Object.keys(table.columns)[0]; // Fallback to first column
+        this.recordError('Cable impedance', `${table.table_id} has no reactance column for ${arrangement}, using ${fallbackColumn}`);
+        return fallbackColumn;
+    }
+
+    getPhaseSystem(designState) {
+        // Voltage drop is the per-conductor drop times a circuit multiplier, taken
+        // against the voltage the load sees. The entered voltage is line-to-line
+        // for 3P_AC and active-to-active for the two-phase systems.
+        const voltage = designState.voltage;
+        if (designState.phase === '3P_AC') {
+            // Balanced three-phase: no neutral current, √3 line-to-line
+            return { multiplier: Math.sqrt(3), voltage: voltage, U0: voltage / Math.sqrt(3), loadedConductors: 3, basis: 'line-to-line' };
+        } else if (designState.phase === '2P_120deg') {
+            // Two actives 120° apart: the neutral carries the vector sum of the
+            // active currents (equal to each), giving |1 + 1∠60°| = √3 on the
+            // active-to-neutral voltage
+            const U0 = voltage / Math.sqrt(3);
+            return { multiplier: Math.sqrt(3), voltage: U0, U0: U0, loadedConductors: 3, basis: 'active-to-neutral' };
+        } else if (designState.phase === '2P_180deg') {
+            // Split-phase: the active currents cancel in the neutral, so each
+            // active-to-neutral load sees a single conductor's drop
+            return { multiplier: 1, voltage: voltage / 2, U0: voltage / 2, loadedConductors: 2, basis: 'active-to-neutral' };
+        }
+        // Single-phase a.c. and two-wire d.c.: go and return conductors
+        return { multiplier: 2, voltage: voltage, U0: voltage, loadedConductors: 2, basis: designState.phase === 'DC' ? 'd.c. two-wire' : 'active-to-neutral' };
+    }
+
+    calculateVoltageDrop(designState, cableImpedance, deratedRating) {
+        // Load current per parallel set (equivalent to dividing the impedance)
+        const current = designState.rating / this.getParallelSets(designState);
+        const distance = designState.distance;
+        const phaseSystem = this.getPhaseSystem(designState);
+        const voltage = phaseSystem.voltage;
+
+        // Vc in mV/A.m (= Ω/km) for the circuit, at the conductor's operating temperature
+        const unitVoltageDrop = this.getUnitVoltageDrop(designState, cableImpedance, deratedRating);
+
+        // ΔV = Vc × I × L / 1000
+        const voltageDrop = (unitVoltageDrop.value * current * distance) / 1000;
+        const voltageDropPercent = (voltageDrop / voltage) * 100;
+        const voltageAtLoad = voltage - voltageDrop;
+
+        return {
+            voltageDrop: voltageDrop,
+            voltageDropPercent: voltageDropPercent,
+            voltageAtLoad: voltageAtLoad,
+            nominalVoltage: voltage,
+            basis: phaseSystem.basis,
+            unitVoltageDrop: unitVoltageDrop.value,
+            method: unitVoltageDrop.method,
+            powerFactor: unitVoltageDrop.powerFactor,
+            conductorTemperature: unitVoltageDrop.conductorTemperature,
+            reference: unitVoltageDrop.reference,
+            maxDistance: this.calculateMaxDistance(designState, unitVoltageDrop.value)
+        };
+    }
+
+    getUnitVoltageDrop(designState, cableImpedance, deratedRating) {
+        const cableSize = cableImpedance.cableSize;
+        const method = designState.voltageDropMethod === 'POWER_FACTOR' ? 'POWER_FACTOR' : 'MAX';
+        const powerFactor = Math.min(1, Math.max(0, this.toNumber(designState.powerFactor, 0.8)));
+        const multiplier = this.getPhaseSystem(designState).multiplier;
+
+        // Operating temperature of this size at the design load current
+        const deratedRow = deratedRating && deratedRating.deratedRows.find(row => row.size === cableSize);
+        const conductorTemperature = this.calculateOperatingTemperature(designState, deratedRow);
+
+        if (designState.phase === 'DC') {
+            // Vc = 2 R, d.c. resistance at the operating temperature; Tables 40-51 are 50 Hz values
+            return {
+                value: cableImpedance.resistance * multiplier,
+                method: method,
+                powerFactor: null,
+                conductorTemperature: conductorTemperature,
+                reference: `2 × R (${cableImpedance.resistanceRef})`
+            };
+        }
+
+        if (method === 'POWER_FACTOR') {
+            // Vc = multiplier × (R cos φ + X sin φ)
+            const sinPhi = Math.sqrt(1 - powerFactor * powerFactor);
+            const perConductor = cableImpedance.resistance * powerFactor + cableImpedance.reactance * sinPhi;
+            return {
+                value: perConductor * multiplier,
+                method: method,
+                powerFactor: powerFactor,
+                conductorTemperature: conductorTemperature,
+                reference: `R cos φ + X sin φ, cos φ = ${powerFactor} (${cableImpedance.resistanceRef}; ${cableImpedance.reactanceRef})`
+            };
+        }
+
+        // Maximum Vc from Tables 40-51 (worst-case power factor), interpolated to the operating temperature
+        const tableVc = this.lookupTableVoltageDrop(designState, cableSize, conductorTemperature);
+        if (!tableVc) {
+            // Size or cable not tabulated: fall back to the cable impedance (worst case |Z|)
+            this.warn('Voltage drop', `No Table 40-51 Vc value for ${CableSizingEngine.formatSize(cableSize)}, using cable impedance`);
+            return {
+                value: cableImpedance.impedance * multiplier,
+                method: method,
+                powerFactor: null,
+                conductorTemperature: conductorTemperature,
+                reference: `|Z| (${cableImpedance.resistanceRef}; ${cableImpedance.reactanceRef})`
+            };
+        }
+
+        // Tables 40-51 give three-phase Vc (√3 × the per-conductor drop), so
+        // single-phase Vc = 1.155 × three-phase Vc and split-phase Vc = 0.577 ×
+        const scale = multiplier / Math.sqrt(3);
+        const unity = Math.abs(scale - 1) < 1e-9;
+        return {
+            value: tableVc.value * scale,
+            method: method,
+            powerFactor: null,
+            conductorTemperature: conductorTemperature,
+            reference: unity ? tableVc.reference : `${tableVc.reference} × ${scale.toFixed(3)}`
+        };
+    }
+
+    findVoltageDropTable(designState) {
+        // Copper: T40 trefoil / T41 flat single-core, T42 multicore
+        // Aluminium: T43 trefoil / T44 flat single-core, T45 multicore
+        // Flexible: T46 trefoil / T47 flat single-core, T48 multicore; MIMS T49; aerial T50 copper / T51 aluminium
+        const tables = this.database.voltage_drop_tables || [];
+        const aluminium = designState.conductor === 'AL';
+        const family = this.getCableFamily(designState);
+        const flat = designState.groupArrangement === 'TOUCHING_FLAT';
+        let tableId;
+        if (family === 'MIMS') {
+            tableId = 'T49';
+        } else if (family === 'AERIAL') {
+            tableId = aluminium ? 'T51' : 'T50';
+        } else if (this.hasFlexibleConductors(designState)) {
+            tableId = this.isSingleCoreCable(designState) ? (flat ? 'T47' : 'T46') : 'T48';
+        } else if (this.isSingleCoreCable(designState)) {
+            tableId = aluminium ? (flat ? 'T44' : 'T43') : (flat ? 'T41' : 'T40');
+        } else {
+            tableId = aluminium ? 'T45' : 'T42';
+        }
+        return tables.find(t => t.table_id === tableId) || null;
+    }
+
+    lookupTableVoltageDrop(designState, cableSize, conductorTemperature) {
+        const table = this.findVoltageDropTable(designState);
+        if (!table) return null;
+
+        const row = this.getTableRows(table, designState).find(r =>
+            r.values && this.getRowSize(r) === CableSizingEngine.parseConductorSize(cableSize)
+        );
+        if (!row) return null;
+
+        // 'Max' columns at each tabulated conductor temperature (some sizes skip a temperature)
+        const points = Object.entries(table.columns)
+            .filter(([colId, colData]) => colData.power_factor === 'Max' && row.values[colId] !== undefined && row.values[colId] !== null)
+            .map(([colId, colData]) => ({ x: colData.temperature_C, value: row.values[colId] }));
+        if (points.length === 0) return null;
+
+        const value = this.interpolateFactor(points, conductorTemperature);
+
+        const tableNumber = table.table_id.replace('T', '');
+        return {
+            value: value,
+            reference: `Table ${tableNumber}, Max Vc at ${Math.round(conductorTemperature)}°C`
+        };
+    }
+
+    calculateMaxDistance(designState, unitVoltageDrop) {
+        const maxVoltageDrop = designState.maxVoltageDrop;
+        const maxVoltageDropVolts = (this.getPhaseSystem(designState).voltage * maxVoltageDrop) / 100;
+        const current = designState.rating / this.getParallelSets(designState);
+
+        // L_max = ΔV_max × 1000 / (I × Vc)
+        return (maxVoltageDropVolts * 1000) / (current * unitVoltageDrop);
+    }
+
+    calculateLoopImpedance(designState, cableImpedance) {
+        // Earth fault loop impedance per AS/NZS 3000 Appendix B, with conductors
+        // at their maximum operating temperature
+        // Parallel sets, each with its own earth conductor, divide the loop impedance
+        const sets = this.getParallelSets(designState);
+        const phaseImpedance = cableImpedance.impedanceMaxTemp / sets;  // Ω/km
+        const earthImpedance = this.calculateEarthImpedance(designState) / sets;  // Ω/km
+        const earthSize = this.getEarthSize(designState) * sets;
+
+        // Nominal phase-to-earth voltage U0
+        const U0 = this.getPhaseSystem(designState).U0;
+
+        // Current causing automatic operation of the protective device
+        const protectionDevice = this.calculateProtectionDevice(designState);
+        const tripCurrent = protectionDevice.minTripCurrent;
+        const maxImpedance = U0 / tripCurrent; // Zs ≤ U0 / Ia
+
+        const method = designState.sourceImpedanceMethod || 'ESTIMATED';
+        const circuitImpedance = (phaseImpedance + earthImpedance) * designState.distance / 1000; // Ω
+
+        let sourceImpedance;
+        let maxLength;
+        let reference;
+        if (method === 'ESTIMATED') {
+            // Clause B4.5: 80% of U0 is assumed available at the origin of the circuit
+            // L_max = 0.8 U0 S_ph S_pe / (I_a ρ (S_ph + S_pe)), written with a resistivity
+            // per conductor for an aluminium active with its copper earth:
+            // L_max = 0.8 U0 / (I_a (ρ_ph / S_ph + ρ_pe / S_pe))
+            const rhoPhase = designState.conductor === 'AL' ? 0.036 : 0.0225; // Ω mm²/m
+            const rhoEarth = 0.0225;
+            const S_ph = CableSizingEngine.getConductorArea(cableImpedance.cableSize) * sets;
+            maxLength = (0.8 * U0) / (tripCurrent * (rhoPhase / S_ph + rhoEarth / earthSize));
+            sourceImpedance = 0.2 * maxImpedance;
+            reference = 'AS/NZS 3000 Clause B4.5 (estimated)';
+        } else {
+            // Upstream impedance Ze calculated from the supply or measured at the origin:
+            // L_max = (U0 / I_a - Ze) / (Z_ph + Z_pe)
+            sourceImpedance = this.toNumber(designState.sourceImpedance, 0);
+            maxLength = Math.max(0, (maxImpedance - sourceImpedance) * 1000 / (phaseImpedance + earthImpedance));
+            reference = `AS/NZS 3000 Appendix B, Ze ${method === 'MEASURED' ? 'measured' : 'calculated'}`;
+        }
+
+        return {
+            method: method,
+            phaseImpedance: phaseImpedance,
+            earthImpedance: earthImpedance,
+            sourceImpedance: sourceImpedance,
+            circuitImpedance: circuitImpedance,
+            totalImpedance: sourceImpedance + circuitImpedance,
+            maxImpedance: maxImpedance,
+            tripCurrent: tripCurrent,
+            maxLength: maxLength,
+            passes: designState.distance <= maxLength,
+            reference: reference
+        };
+    }
+
+    // Active conductor size of a design state whose size is resolved: the selected
+    // size, or a size under test. The checks are never run on 'AUTO'.
+    getActiveSize(designState) {
+        const size = CableSizingEngine.parseConductorSize(designState.activeSize);
+        if (!(CableSizingEngine.getConductorArea(size) > 0)) {
+            throw new Error(`Active size ${designState.activeSize} must be resolved to a conductor size before the cable is checked`);
+        }
+        return size;
+    }
+
+    getEarthSize(designState) {
+        return designState.earthSize === 'AUTO'
+            ? this.calculateEarthSize(this.getActiveSize(designState))
+            : parseFloat(designState.earthSize);
+    }
+
+    // Design state the earth conductor's impedance is looked up with: the earth is
+    // copper (Table 5.1 gives copper earthing conductors), also for aluminium actives
+    getEarthDesignState(designState) {
+        return designState.conductor === 'CU' ? designState : { ...designState, conductor: 'CU' };
+    }
+
+    calculateEarthImpedance(designState) {
+        // Earth conductor impedance at maximum conductor temperature
+        const earthSize = this.getEarthSize(designState);
+        const earthState = this.getEarthDesignState(designState);
+
+        const earthResistance = this.getResistance(earthSize, earthState).value;
+        const earthReactance = this.getReactance(earthSize, earthState).value;
+
+        return Math.sqrt(earthResistance * earthResistance + earthReactance * earthReactance);
+    }
+
+    calculateEarthSize(activeSize) {
+        // Minimum copper earthing conductor per AS/NZS 3000 Table 5.1
+        const earthSizeMap = {
+            1: 1,
+            1.5: 1.5,
+            2.5: 2.5,
+            4: 2.5,
+            6: 2.5,
+            10: 4,
+            16: 6,
+            25: 6,
+            35: 10,
+            50: 16,
+            70: 25,
+            95: 25,
+            120: 35,
+            150: 50,
+            185: 70,
+            240: 95,
+            300: 120,
+            400: 120,
+            500: 120,
+            630: 120
+        };
+
+        if (!earthSizeMap[activeSize]) {
+            // Sizes between the tabulated ones (e.g. flexible cords) and aerial strandings
+            // take the earth of the next larger tabulated area, or the largest. Strandings
+            // are never tabulated, so only an untabulated nominal size is worth a warning.
+            const area = CableSizingEngine.getConductorArea(activeSize);
+            const sizes = Object.keys(earthSizeMap).map(Number).sort((a, b) => a - b);
+            const nextSize = sizes.find(size => size >= area);
+            const earthSize = nextSize !== undefined ? earthSizeMap[nextSize] : earthSizeMap[sizes[sizes.length - 1]];
+            if (!CableSizingEngine.isStranding(activeSize)) {
+                this.warn('Protection and earth', `No earth size tabulated for ${activeSize} mm² active conductors, using ${earthSize} mm²`);
+            }
+            return earthSize;
+        }
+        return earthSizeMap[activeSize];
+    }
+
+    getLetThroughEnergy(designState) {
+        // Prospective fault current at the origin of the circuit, entered or at the
+        // terminals of the supply transformer
+        const faultCurrent = this.getSourceFaultLevel(designState).shortCircuit;
+
+        // Energy let through by the protective device: either its I²t, or I²t from the clearing time
+        if (designState.shortCircuitMode === 'I2T') {
+            return { I2t: this.toNumber(designState.letThroughI2t, 0), clearingTime: null, faultCurrent: faultCurrent };
+        }
+        const clearingTime = this.toNumber(designState.clearingTime, 0.1);
+        if (clearingTime > 5) {
+            this.warn('Short circuit withstand', `Clearing time ${clearingTime} s exceeds 5 s, I²t = K²S² is only valid up to 5 s`);
+        }
+        return { I2t: faultCurrent * faultCurrent * clearingTime, clearingTime: clearingTime, faultCurrent: faultCurrent };
+    }
+
+    checkShortCircuitRating(designState) {
+        // Short circuit thermal withstand: I²t ≤ K²S²
+        const S = CableSizingEngine.getConductorArea(this.getActiveSize(designState));
+        const { I2t, clearingTime, faultCurrent } = this.getLetThroughEnergy(designState);
+
+        const kFactor = this.getKFactor(designState, S);
+        const K = kFactor.value;
+        const K2S2 = K * K * S * S;
+
+        return {
+            passes: I2t <= K2S2,
+            I2t: I2t,
+            K2S2: K2S2,
+            K: K,
+            S: S,
+            faultCurrent: faultCurrent,
+            clearingTime: clearingTime,
+            initialTemperature: kFactor.initialTemperature,
+            finalTemperature: kFactor.finalTemperature,
+            kReference: kFactor.reference,
+            minimumSize: this.calculateMinimumShortCircuitSize(designState, I2t)
+        };
+    }
+
+    // Voltage factor c for maximum short-circuit currents in low voltage systems
+    // with a +10% voltage tolerance (IEC 60909-0 Table 1)
+    static get FAULT_VOLTAGE_FACTOR() {
+        return 1.1;
+    }
+
+    getSourceFaultLevel(designState) {
+        // Prospective short-circuit and earth fault currents (A) at the origin of
+        // the circuit: entered, or from the supply transformer's rating and impedance
+        if (designState.faultLevelMethod === 'TRANSFORMER') {
+            const U0 = this.getPhaseSystem(designState).U0;
+            let kva = this.toNumber(designState.transformerKva, 1000);
+            let impedancePercent = this.toNumber(designState.transformerImpedance, 5);
+            if (kva <= 0 || impedancePercent <= 0) {
+                this.warn('Fault currents', `Transformer ${kva} kVA, ${impedancePercent}% is not valid, using 1000 kVA, 5%`);
+                kva = 1000;
+                impedancePercent = 5;
+            }
+            if (designState.phase === 'DC') {
+                this.warn('Fault currents', 'A transformer fault level does not apply to a d.c. circuit, enter the fault current instead');
+            }
+            // Z_T = (uk / 100) · U² / S_r for a three-phase transformer, U line-to-line
+            const lineVoltage = U0 * Math.sqrt(3);
+            const impedance = (impedancePercent / 100) * lineVoltage * lineVoltage / (kva * 1000);
+            const current = CableSizingEngine.FAULT_VOLTAGE_FACTOR * U0 / impedance;
+            return {
+                method: 'TRANSFORMER',
+                shortCircuit: current,
+                // Dyn transformer (Z0 = Z1): the same earth fault current at its terminals
+                earthFault: current,
+                reference: `${kva} kVA transformer, ${impedancePercent}% impedance`
+            };
+        }
+
+        const shortCircuit = this.toNumber(designState.faultCurrent, 6) * 1000; // kA → A
+        return {
+            method: 'FAULT_CURRENT',
+            shortCircuit: shortCircuit,
+            earthFault: this.toNumber(designState.earthFaultCurrent, shortCircuit / 1000) * 1000,
+            reference: 'Entered at the origin'
+        };
+    }
+
+    calculateFaultCurrents(designState, cableImpedance) {
+        // Maximum prospective fault currents at the load end: the source as the
+        // reactance giving the fault level at the origin, plus the cable's
+        // conductors at 20°C (IEC 60909-0). These become the fault level at the
+        // origin of any circuit supplied from the load end.
+        const c = CableSizingEngine.FAULT_VOLTAGE_FACTOR;
+        const phaseSystem = this.getPhaseSystem(designState);
+        const origin = this.getSourceFaultLevel(designState);
+        const sets = this.getParallelSets(designState);
+        const length = designState.distance / 1000; // km
+        const earthSize = this.getEarthSize(designState);
+
+        const phaseR = this.getResistance(cableImpedance.cableSize, designState, 20).value * length / sets;
+        const phaseX = cableImpedance.reactance * length / sets;
+        const earthState = this.getEarthDesignState(designState);
+        const earthR = this.getResistance(earthSize, earthState, 20).value * length / sets;
+        const earthX = this.getReactance(earthSize, earthState).value * length / sets;
+
+        // A three-phase fault passes through one conductor per phase; otherwise
+        // the fault is active to neutral (or return), through two
+        const threePhase = designState.phase === '3P_AC';
+        const conductors = threePhase ? 1 : 2;
+        const atLoad = (originCurrent, R, X) => {
+            const sourceReactance = c * phaseSystem.U0 / originCurrent;
+            return c * phaseSystem.U0 / Math.sqrt(R * R + (sourceReactance + X) * (sourceReactance + X));
+        };
+
+        return {
+            method: origin.method,
+            basis: threePhase ? 'three-phase' : phaseSystem.basis,
+            voltageFactor: c,
+            origin: { shortCircuit: origin.shortCircuit, earthFault: origin.earthFault },
+            load: {
+                shortCircuit: atLoad(origin.shortCircuit, phaseR * conductors, phaseX * conductors),
+                earthFault: atLoad(origin.earthFault, phaseR + earthR, phaseX + earthX)
+            },
+            reference: origin.reference
+        };
+    }
+
+    calculateMinimumShortCircuitSize(designState, I2t) {
+        // S_min = √(I²t) / K, rounded up to the next standard conductor size
+        // (K depends on the size for thermoplastic insulation above 300 mm²)
+        const sizes = [1, 1.5, 2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120, 150, 185, 240, 300, 400, 500, 630, 800, 1000];
+        const size = sizes.find(S => Math.sqrt(I2t) / this.getKFactor(designState, S).value <= S);
+        if (size === undefined) {
+            this.warn('Short circuit withstand', 'Short circuit energy exceeds the withstand of the largest conductor size');
+            return null;
+        }
+        return size;
+    }
+
+    // Final short-circuit temperature from Table 53 for the insulation
+    getShortCircuitFinalTemperature(insulation, cableSize) {
+        const table = (this.database.temperature_limits_by_insulation_system || []).find(t => t.table_id === 'T53');
+        let rowIndex;
+        if (insulation.startsWith('PVC')) {
+            rowIndex = cableSize > 300 ? 1 : 0; // Thermoplastic
+        } else if (insulation.startsWith('R-S') || insulation.startsWith('Type 150')) {
+            rowIndex = 4; // High temperature
+        } else if (insulation.startsWith('R-') || insulation.startsWith('ELASTOMERIC')) {
+            rowIndex = 2; // Cross-linked elastomeric
+        } else {
+            rowIndex = 3; // Cross-linked polyolefin
+            if (!insulation.startsWith('X')) {
+                this.warn('Short circuit withstand', `No Table 53 limit for ${insulation}, using cross-linked polyolefin`);
+            }
+        }
+
+        const row = table && table.rows[rowIndex];
+        const fallbackLimits = [160, 140, 250, 250, 350];
+        if (!row) {
+            this.warn('Short circuit withstand', `Table 53 not found in database, using ${fallbackLimits[rowIndex]}°C final temperature`);
+        }
+        return {
+            value: row ? row.temperature_limit_C : fallbackLimits[rowIndex],
+            reference: `Table 53, ${row ? row.material.split(':')[0] : 'estimated'}`
+        };
+    }
+
+    getKFactor(designState, cableSize) {
+        // K from Table 52 for the conductor material, initial temperature (the
+        // insulation's maximum operating temperature) and final temperature (Table 53)
+        const material = designState.conductor === 'AL' ? 'Aluminium' : 'Copper';
+        const initialTemperature = this.getConductorMaxTemperature(designState);
+        const finalLimit = this.getShortCircuitFinalTemperature(designState.insulation, cableSize);
+        const finalTemperature = finalLimit.value;
+
+        const table = (this.database.short_circuit_tables || []).find(t => t.table_id === 'T52');
+        const finalIndex = table ? table.columns[material].findIndex(t => parseFloat(t) === finalTemperature) : -1;
+        const row = table && table.rows.find(r => r.initial_temp_C === initialTemperature);
+
+        if (row && finalIndex >= 0) {
+            return {
+                value: row[material][finalIndex],
+                initialTemperature: initialTemperature,
+                finalTemperature: finalTemperature,
+                reference: `Table 52, ${material} ${initialTemperature}°C → ${finalTemperature}°C; ${finalLimit.reference}`
+            };
+        }
+
+        // Not tabulated: K = k0 √(ln((β + θf) / (β + θi))), the expression Table 52 is derived from
+        const constants = material === 'Aluminium' ? { k0: 148, beta: 228 } : { k0: 226, beta: 234.5 };
+        const K = constants.k0 * Math.sqrt(Math.log((constants.beta + finalTemperature) / (constants.beta + initialTemperature)));
+        return {
+            value: Math.round(K * 10) / 10,
+            initialTemperature: initialTemperature,
+            finalTemperature: finalTemperature,
+            reference: `Table 52 basis, ${material} ${initialTemperature}°C → ${finalTemperature}°C (calculated); ${finalLimit.reference}`
+        };
+    }
+
+    // Protective device library
+    // - MCB: AS/NZS 60898 ratings, I2 = 1.45 In, Ia per AS/NZS 3000 Table 8.1 curve multiples
+    // - MCCB: frame ratings with adjustable thermal (Ir) and magnetic (Im) settings, I2 = 1.3 Ir
+    // - gG fuse: AS/NZS 60269 ratings, I2 from the conventional fusing current, Ia from the 5 s gate
+    static get PROTECTION_DEVICES() {
+        return {
+            MCB: {
+                name: 'MCB',
+                ratings: [6, 10, 16, 20, 25, 32, 40, 50, 63, 80, 100, 125],
+                curves: { 'B': 4, 'C': 7.5, 'D': 12.5 },
+                // Lowest instantaneous trip (× In), AS/NZS 60898.1, for motor starting
+                instantaneousMin: { 'B': 3, 'C': 5, 'D': 10 },
+                I2Multiple: 1.45,
+                // Rated short-circuit capacities Icn (kA), AS/NZS 60898.1
+                breakingCapacities: [3, 4.5, 6, 10, 15, 25]
+            },
+            MCCB: {
+                name: 'MCCB',
+                ratings: [100, 160, 250, 400, 630, 800, 1000, 1250, 1600],
+                irSettings: [0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1.0],
+                imSettings: [5, 6, 7, 8, 9, 10],
+                imTolerance: 1.2,
+                I2Multiple: 1.3,
+                // Ultimate breaking capacities Icu (kA) at 400 V
+                breakingCapacities: [16, 25, 36, 50, 70, 100]
+            },
+            FUSE: {
+                name: 'gG fuse',
+                ratings: [2, 4, 6, 10, 16, 20, 25, 32, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250],
+                breakingCapacities: [80, 120],
+                // Maximum current to operate within 5 s (IEC 60269-1 gates)
+                trip5s: {
+                    2: 9.2, 4: 18.5, 6: 28, 10: 46.5, 16: 65, 20: 85, 25: 110, 32: 150, 40: 190, 50: 250,
+                    63: 320, 80: 425, 100: 580, 125: 715, 160: 950, 200: 1250, 250: 1650, 315: 2200,
+                    400: 2840, 500: 3800, 630: 5100, 800: 7000, 1000: 9500, 1250: 13000
+                }
+            }
+        };
+    }
+
+    calculateProtectionDevice(designState) {
+        if (designState.loadType === 'MOTOR') {
+            return this.calculateMotorProtection(designState);
+        }
+        const library = CableSizingEngine.PROTECTION_DEVICES;
+        const loadCurrent = designState.rating;
+
+        // Device type: MCB up to 125 A, MCCB above (or where the prospective fault
+        // current exceeds the MCB breaking capacities), unless the user picks one
+        let type = designState.deviceType || 'AUTO';
+        if (type === 'AUTO') {
+            const faultCurrent = this.getSourceFaultLevel(designState).shortCircuit / 1000;
+            const mcbFits = loadCurrent <= library.MCB.ratings[library.MCB.ratings.length - 1] &&
+                ((designState.breakingCapacity || 'AUTO') !== 'AUTO' || faultCurrent <= Math.max(...library.MCB.breakingCapacities));
+            type = mcbFits ? 'MCB' : 'MCCB';
+        }
+        const device = library[type];
+        if (!device) {
+            throw new Error(`Unknown protective device type: ${type}`);
+        }
+
+        // Rating: chosen, or the smallest standard rating not below the load current
+        const rating = designState.deviceRating && designState.deviceRating !== 'AUTO'
+            ? parseFloat(designState.deviceRating)
+            : this.selectDeviceRating(device.ratings, loadCurrent);
+        const breakingCapacity = this.selectBreakingCapacity(device, designState);
+
+        if (type === 'MCB') {
+            const curve = device.curves[designState.deviceCurve] ? designState.deviceCurve : 'B';
+            return {
+                type: type,
+                description: `MCB Type ${curve} ${rating} A`,
+                curve: curve,
+                rating: rating,
+                breakingCapacity: breakingCapacity,
+                nominalCurrent: rating,                      // In
+                I2: rating * device.I2Multiple,
+                tripMultiple: this.getTripMultiple(curve),
+                minTripCurrent: rating * this.getTripMultiple(curve), // Ia
+                reference: 'AS/NZS 3000 Table 8.1'
+            };
+        }
+
+        if (type === 'MCCB') {
+            // Thermal setting Ir: chosen, or the lowest setting carrying the load current
+            const irSetting = designState.mccbIrSetting && designState.mccbIrSetting !== 'AUTO'
+                ? parseFloat(designState.mccbIrSetting)
+                : (device.irSettings.find(setting => setting * rating >= loadCurrent) || 1.0);
+            const Ir = irSetting * rating;
+            const imSetting = this.toNumber(designState.mccbImSetting, 10);
+            const Im = imSetting * Ir;
+            return {
+                type: type,
+                description: `MCCB ${rating} A frame, Ir = ${irSetting} × In (${Math.round(Ir)} A), Im = ${imSetting} × Ir`,
+                rating: rating,
+                breakingCapacity: breakingCapacity,
+                irSetting: irSetting,
+                imSetting: imSetting,
+                nominalCurrent: Ir,                          // Ir acts as In for coordination
+                I2: Ir * device.I2Multiple,
+                tripMultiple: imSetting * device.imTolerance,
+                minTripCurrent: Im * device.imTolerance,     // Im plus tolerance
+                reference: 'AS/NZS IEC 60947.2'
+            };
+        }
+
+        // gG fuse: conventional fusing current I2 depends on the rating
+        // (IEC 60269-1: 2.1 In up to 4 A, 1.9 In below 16 A, 1.6 In from 16 A)
+        const I2Multiple = rating <= 4 ? 2.1 : (rating < 16 ? 1.9 : 1.6);
+        const trip5s = device.trip5s[rating] || rating * 5;
+        return {
+            type: type,
+            description: `gG fuse ${rating} A`,
+            rating: rating,
+            breakingCapacity: breakingCapacity,
+            nominalCurrent: rating,
+            I2: rating * I2Multiple,
+            tripMultiple: trip5s / rating,
+            minTripCurrent: trip5s,
+            reference: 'AS/NZS 60269.1, 5 s gate'
+        };
+    }
+
+    selectDeviceRating(ratings, loadCurrent) {
+        for (const rating of ratings) {
+            if (rating >= loadCurrent) {
+                return rating;
+            }
+        }
+
+        return ratings[ratings.length - 1]; // Maximum standard rating
+    }
+
+    selectBreakingCapacity(device, designState) {
+        // Breaking capacity (kA): chosen, or the smallest standard value not below
+        // the prospective short-circuit current at the origin (the largest if none is)
+        if (designState.breakingCapacity && designState.breakingCapacity !== 'AUTO') {
+            return parseFloat(designState.breakingCapacity);
+        }
+        const faultCurrent = this.getSourceFaultLevel(designState).shortCircuit / 1000;
+        const capacities = device.breakingCapacities;
+        return capacities.find(capacity => capacity >= faultCurrent) || capacities[capacities.length - 1];
+    }
+
+    checkBreakingCapacity(designState, protectionDevice) {
+        // The device must break the prospective short-circuit current where it is
+        // installed, at the origin of the circuit
+        const faultCurrent = this.getSourceFaultLevel(designState).shortCircuit;
+        return {
+            faultCurrent: faultCurrent,
+            breakingCapacity: protectionDevice.breakingCapacity,
+            passes: protectionDevice.breakingCapacity * 1000 >= faultCurrent,
+            reference: 'AS/NZS 3000 Clause 2.5.4.5'
+        };
+    }
+
+    selectMCBRating(loadCurrent) {
+        // Standard MCB ratings
+        return this.selectDeviceRating(CableSizingEngine.PROTECTION_DEVICES.MCB.ratings, loadCurrent);
+    }
+
+    getTripMultiple(type) {
+        return CableSizingEngine.PROTECTION_DEVICES.MCB.curves[type] || 4;
+    }
+
+    checkCoordination(designState, protectionDevice, I_z) {
+        // Overload coordination (AS/NZS 3000 Clause 2.5.3.1):
+        // I_b ≤ I_n ≤ I_z and I_2 ≤ 1.45 · I_z
+        const I_b = designState.rating;
+        const I_n = protectionDevice.nominalCurrent;
+        const I_2 = protectionDevice.I2;
+
+        // Parallel sets share the current, so their ratings add
+        if (I_z !== null) {
+            I_z = I_z * this.getParallelSets(designState);
+        }
+
+        const loadCovered = I_b <= I_n;
+        const cableProtected = I_z !== null && I_n <= I_z;
+        const overloadProtected = I_z !== null && I_2 <= 1.45 * I_z;
+
+        return {
+            I_b: I_b,
+            I_n: I_n,
+            I_z: I_z,
+            I_2: I_2,
+            loadCovered: loadCovered,
+            cableProtected: cableProtected,
+            overloadProtected: overloadProtected,
+            passes: loadCovered && cableProtected && overloadProtected,
+            reference: 'AS/NZS 3000 Clause 2.5.3.1'
+        };
+    }
+
+    calculateEarthConductor(designState) {
+        const earthSize = this.getEarthSize(designState);
+        const earthState = this.getEarthDesignState(designState);
+
+        return {
+            size: earthSize,
+            resistance: this.getResistance(earthSize, earthState).value,
+            reactance: this.getReactance(earthSize, earthState).value,
+            impedance: this.calculateEarthImpedance(designState)
+        };
+    }
+
+    // Internal diameters (mm) by nominal conduit size, typical of AS/NZS 2053
+    // conduits; check against the manufacturer's data for a particular product
+    static get CONDUIT_CATALOGUE() {
+        return {
+            'heavy-duty-rigid': {
+                name: 'Heavy duty rigid PVC',
+                standard: 'AS/NZS 2053.2',
+                sizes: { 16: 12.6, 20: 16.2, 25: 20.6, 32: 26.6, 40: 34.4, 50: 43.2, 63: 55.2, 80: 71.2, 100: 89.8, 125: 114.4, 150: 137.6 }
+            },
+            'light-duty-rigid': {
+                name: 'Light duty rigid PVC',
+                standard: 'AS/NZS 2053.2',
+                sizes: { 16: 13.4, 20: 17.4, 25: 22.2, 32: 28.4, 40: 36.2, 50: 45.6, 63: 57.8 }
+            },
+            corrugated: {
+                name: 'Corrugated PVC',
+                standard: 'AS/NZS 2053.5',
+                sizes: { 16: 10.7, 20: 14.1, 25: 18.3, 32: 24.3, 40: 31.2, 50: 39.6 }
+            },
+            steel: {
+                name: 'Steel',
+                standard: 'AS/NZS 2053.7',
+                sizes: { 16: 13.0, 20: 16.8, 25: 21.8, 32: 28.8, 40: 36.2, 50: 46.2, 63: 58.4, 80: 73.6, 100: 95.4 }
+            }
+        };
+    }
+
+    // Overall diameters (mm) of copper cables by insulation, construction and
+    // conductor size, typical of AS/NZS 5000.1 cables. Single-core cables are
+    // insulated only; two-core and multicore cables are sheathed with an earth core.
+    static get CABLE_OUTSIDE_DIAMETERS() {
+        return {
+            PVC: {
+                SINGLE_CORE: {
+                    1: 2.8, 1.5: 3.0, 2.5: 3.6, 4: 4.2, 6: 4.7, 10: 6.1, 16: 7.2, 25: 8.9, 35: 10.0, 50: 11.7,
+                    70: 13.5, 95: 15.5, 120: 17.2, 150: 19.1, 185: 21.4, 240: 24.4, 300: 27.1, 400: 30.8, 500: 34.6, 630: 39.2
+                },
+                TWO_CORE: {
+                    1: 8.3, 1.5: 9.0, 2.5: 10.2, 4: 11.8, 6: 12.9, 10: 15.4, 16: 17.6, 25: 21.5, 35: 23.7
+                },
+                MULTICORE: {
+                    1.5: 10.6, 2.5: 12.0, 4: 13.9, 6: 15.3, 10: 18.4, 16: 21.3, 25: 25.9, 35: 28.6, 50: 33.0,
+                    70: 37.9, 95: 43.4, 120: 47.7, 150: 53.0, 185: 58.8, 240: 66.5, 300: 73.4
+                }
+            },
+            XLPE: {
+                SINGLE_CORE: {
+                    1: 2.8, 1.5: 3.0, 2.5: 3.5, 4: 4.1, 6: 4.6, 10: 5.8, 16: 6.8, 25: 8.4, 35: 9.5, 50: 11.1,
+                    70: 12.8, 95: 14.8, 120: 16.4, 150: 18.3, 185: 20.6, 240: 23.4, 300: 26.0, 400: 29.5, 500: 33.2, 630: 37.6
+                },
+                TWO_CORE: {
+                    1.5: 8.6, 2.5: 9.7, 4: 11.2, 6: 12.3, 10: 14.6, 16: 16.7, 25: 20.4, 35: 22.5
+                },
+                MULTICORE: {
+                    1.5: 10.1, 2.5: 11.4, 4: 13.2, 6: 14.5, 10: 17.4, 16: 20.1, 25: 24.4, 35: 26.9, 50: 31.0,
+                    70: 35.6, 95: 40.8, 120: 44.8, 150: 49.8, 185: 55.3, 240: 62.5, 300: 69.0
+                }
+            }
+        };
+    }
+
+    // Maximum space factor (total cable area / conduit internal area) by number of cables
+    static get CONDUIT_SPACE_FACTORS() {
+        return [
+            { maxCables: 1, factor: 0.5 },
+            { maxCables: Infinity, factor: 0.4 }
+        ];
+    }
+
+    getCableConstruction(designState) {
+        if (this.isSingleCoreCable(designState)) return 'SINGLE_CORE';
+        return designState.cableType === 'TWO_CORE_SHEATHED' ? 'TWO_CORE' : 'MULTICORE';
+    }
+
+    getCableOutsideDiameter(designState, construction, size) {
+        // XLPE (X-) insulation has its own dimensions; other insulations use PVC
+        const insulation = designState.insulation || '';
+        const xlpe = insulation.includes('XLPE') || insulation.startsWith('X-');
+        if (!xlpe && !insulation.startsWith('PVC')) {
+            this.warn('Conduit', `No outside diameters for ${insulation} insulation, using PVC cable dimensions`);
+        }
+        const diameters = CableSizingEngine.CABLE_OUTSIDE_DIAMETERS[xlpe ? 'XLPE' : 'PVC'][construction];
+        const diameter = diameters[size];
+        if (diameter === undefined) {
+            this.recordError('Conduit', `No outside diameter for a ${size} mm² ${construction.toLowerCase().replace('_', '-')} ${xlpe ? 'XLPE' : 'PVC'} cable`);
+            return null;
+        }
+        return diameter;
+    }
+
+    getConduitCables(designState, activeSize, neutralSize, earthSize) {
+        // Cables one circuit puts in the conduit: single-core circuits have a cable
+        // per active, the neutral (or d.c. return) and the earth; two-core and
+        // multicore circuits have one cable per set with the earth as a core
+        const family = this.getCableFamily(designState);
+        if (family === 'FLEXIBLE') {
+            this.warn('Conduit', 'Flexible cords are sized for conduit with multicore cable dimensions');
+        }
+
+        const sets = this.getParallelSets(designState);
+        const construction = family === 'FLEXIBLE' ? 'MULTICORE' : this.getCableConstruction(designState);
+        const cables = [];
+        if (construction === 'SINGLE_CORE') {
+            const actives = designState.phase === '3P_AC' ? 3 : (designState.phase.startsWith('2P') ? 2 : 1);
+            cables.push({ role: 'Active', construction, size: activeSize, count: actives * sets });
+            cables.push({ role: designState.phase === 'DC' ? 'Return' : 'Neutral', construction, size: neutralSize, count: sets });
+            cables.push({ role: 'Earth', construction, size: earthSize, count: sets });
+        } else {
+            cables.push({ role: 'Cable', construction, size: activeSize, count: sets });
+        }
+
+        for (const cable of cables) {
+            cable.diameter = this.getCableOutsideDiameter(designState, cable.construction, cable.size);
+            if (cable.diameter === null) return null;
+        }
+        return cables;
+    }
+
+    calculateConduitFill(designState, cables) {
+        // Smallest conduit of the chosen type whose space factor stays within the
+        // limit for the number of cables, or the entered conduit size checked
+        const catalogue = CableSizingEngine.CONDUIT_CATALOGUE;
+        let conduitType = designState.conduitType;
+        if (!catalogue[conduitType]) {
+            this.warn('Conduit', `Unknown conduit type "${conduitType}", using heavy duty rigid PVC`);
+            conduitType = 'heavy-duty-rigid';
+        }
+        const conduit = catalogue[conduitType];
+
+        const cableCount = cables.reduce((total, cable) => total + cable.count, 0);
+        const cableArea = cables.reduce((total, cable) => total + cable.count * Math.PI * cable.diameter * cable.diameter / 4, 0);
+        const spaceFactor = CableSizingEngine.CONDUIT_SPACE_FACTORS.find(limit => cableCount <= limit.maxCables).factor;
+        const largestDiameter = Math.max(...cables.map(cable => cable.diameter));
+
+        const options = Object.entries(conduit.sizes).map(([size, internalDiameter]) => {
+            const fill = cableArea / (Math.PI * internalDiameter * internalDiameter / 4);
+            return {
+                size: parseFloat(size),
+                internalDiameter: internalDiameter,
+                fill: fill,
+                passes: fill <= spaceFactor && largestDiameter < internalDiameter
+            };
+        }).sort((a, b) => a.size - b.size);
+
+        let selected;
+        if (designState.conduitSize && designState.conduitSize !== 'AUTO') {
+            selected = options.find(option => option.size === parseFloat(designState.conduitSize));
+            if (!selected) {
+                this.warn('Conduit', `${designState.conduitSize} mm is not a ${conduit.name} size, recommending the smallest compliant size`);
+            }
+        }
+        if (!selected) {
+            selected = options.find(option => option.passes);
+        }
+        if (!selected) {
+            this.recordError('Conduit', `The cables exceed the space factor of the largest ${conduit.name} conduit`);
+            selected = options[options.length - 1];
+        }
+
+        return {
+            conduitType: conduitType,
+            conduitName: conduit.name,
+            size: selected.size,
+            internalDiameter: selected.internalDiameter,
+            fill: selected.fill,
+            passes: selected.passes,
+            spaceFactor: spaceFactor,
+            cables: cables,
+            cableCount: cableCount,
+            cableArea: cableArea,
+            options: options,
+            reference: `${conduit.standard}; space factor ${spaceFactor} (AS/NZS 3000 Appendix C)`
+        };
+    }
+
+    calculateConduit(designState, selectedSize, neutralConductor, earthConductor) {
+        // This circuit plus any other circuits sharing the conduit
+        const cables = this.getConduitCables(designState, selectedSize, neutralConductor.size, earthConductor.size);
+        if (!cables) return null;
+
+        for (const circuit of designState.conduitCircuits || []) {
+            const circuitState = { ...designState, ...circuit, useParallel: false };
+            const activeSize = parseFloat(circuit.activeSize);
+            const earthSize = circuit.earthSize === 'AUTO' || !circuit.earthSize
+                ? this.calculateEarthSize(activeSize)
+                : parseFloat(circuit.earthSize);
+            const circuitCables = this.getConduitCables(circuitState, activeSize, activeSize, earthSize);
+            if (!circuitCables) return null;
+            const quantity = Math.max(1, parseInt(circuit.quantity, 10) || 1);
+            circuitCables.forEach(cable => cables.push({ ...cable, count: cable.count * quantity, circuit: true }));
+        }
+
+        return this.calculateConduitFill(designState, cables);
+    }
+
+    performAutoSizeSearch(designState) {
+        // Find the smallest cable size that satisfies all criteria
+        try {
+            const size = this.findSuitableSize(designState);
+            if (size !== null) {
+                return size;
+            }
+
+            // Fallback to largest size
+            const baseRating = this.lookupBaseCurrentRating(designState);
+            const largestSize = baseRating.columnData[baseRating.columnData.length - 1];
+            const fallbackSize = largestSize ? largestSize.size : 120;
+            this.recordError('Size selection', `No size in ${baseRating.table.table_id} meets all criteria, using ${CableSizingEngine.formatSize(fallbackSize)}`);
+            return fallbackSize;
+        } catch (error) {
+            this.recordError('Size selection', `Auto size search failed (${error.message}), using 120 mm²`);
+            return 120; // Fallback
+        }
+    }
+
+    findSuitableSize(designState) {
+        // Uses the deratedRows to find sizes where I_z,adj(S) >= I_b, then checks
+        // short circuit, protection, voltage drop (running and starting) and, when
+        // checked, earth fault loop impedance. Returns null if no size passes.
+        const baseRating = this.lookupBaseCurrentRating(designState);
+        const deratedRating = this.applyDeratingFactors(baseRating.columnData, designState);
+
+        // Short circuit withstand sets a minimum conductor size
+        const minimumSize = designState.checkShortCircuit
+            ? (this.calculateMinimumShortCircuitSize(designState, this.getLetThroughEnergy(designState).I2t) || Infinity)
+            : 0;
+
+        // The protective device must protect the cable (I_n ≤ I_z, I_2 ≤ 1.45 I_z);
+        // when it does not, the cable is upsized until it does
+        const protectionDevice = this.calculateProtectionDevice(designState);
+
+        // Find the smallest size that meets the requirement (I_z,adj(S) >= I_b)
+        const suitableSizes = deratedRating.deratedRows
+            .filter(row => row.meetsRequirement && CableSizingEngine.getConductorArea(row.size) >= minimumSize)
+            .filter(row => {
+                const coordination = this.checkCoordination(designState, protectionDevice, row.I_z_adj);
+                return coordination.cableProtected && coordination.overloadProtected;
+            })
+            .sort((a, b) => CableSizingEngine.getConductorArea(a.size) - CableSizingEngine.getConductorArea(b.size));
+
+        // Check voltage drop and loop impedance, from the smallest suitable size up
+        for (const row of suitableSizes) {
+            const testState = { ...designState, activeSize: row.size.toString() };
+            const impedance = this.calculateCableImpedance(testState, deratedRating);
+            const vd = this.calculateVoltageDrop(testState, impedance, deratedRating);
+            const startingPasses = designState.loadType !== 'MOTOR' ||
+                this.calculateStartingVoltageDrop(testState, impedance, deratedRating).passes;
+            const loopPasses = !designState.checkLoopImpedance ||
+                this.calculateLoopImpedance(testState, impedance).passes;
+
+            if (vd.voltageDropPercent <= designState.maxVoltageDrop && startingPasses && loopPasses) {
+                return row.size;
+            }
+        }
+
+        return null;
+    }
+
+    evaluateSizeOptions(designState, deratedRating) {
+        // Every size in the chosen rating column, with a pass/fail flag per criterion
+        // (null where the check is switched off) for the selection table.
+        // Fallbacks taken for sizes that were not selected stay out of the trace.
+        const issueCount = this.issues.length;
+        const protectionDevice = this.calculateProtectionDevice(designState);
+
+        const options = deratedRating.deratedRows.map(row => {
+            const testState = { ...designState, activeSize: row.size.toString() };
+            const impedance = this.calculateCableImpedance(testState, deratedRating);
+            const voltageDrop = this.calculateVoltageDrop(testState, impedance, deratedRating);
+            const coordination = this.checkCoordination(designState, protectionDevice, row.I_z_adj);
+
+            const checks = {
+                currentRating: row.meetsRequirement && coordination.cableProtected && coordination.overloadProtected,
+                voltageDrop: voltageDrop.voltageDropPercent <= designState.maxVoltageDrop,
+                startingVoltageDrop: designState.loadType === 'MOTOR'
+                    ? this.calculateStartingVoltageDrop(testState, impedance, deratedRating).passes
+                    : null,
+                shortCircuit: designState.checkShortCircuit ? this.checkShortCircuitRating(testState).passes : null,
+                loopImpedance: designState.checkLoopImpedance ? this.calculateLoopImpedance(testState, impedance).passes : null
+            };
+
+            return {
+                size: row.size,
+                earthSize: this.getEarthSize(testState),
+                I_z_adj: row.I_z_adj,
+                voltageDropPercent: voltageDrop.voltageDropPercent,
+                checks: checks,
+                passes: Object.values(checks).every(check => check !== false)
+            };
+        });
+
+        this.issues.length = issueCount;
+        return options;
+    }
+
+    // Maximum demand load categories and their diversity, after AS/NZS 3000
+    // Appendix C: Table C1 per phase of a single domestic installation (or
+    // individual living unit) and Table C2 for non-domestic installations.
+    // - POINTS: `first` A for up to `per` points, plus `step` A for each further `per` points or part
+    // - OUTLETS: `first` W for the first outlet plus `step` W for each further one
+    // - FACTOR: `factor` × the connected load
+    // - LARGEST: the largest item in full plus `factor` × the remainder
+    // Motors and air conditioning draw their connected load at the circuit power factor.
+    static get MAXIMUM_DEMAND_CATEGORIES() {
+        return {
+            LIGHTING: {
+                name: 'Lighting points',
+                domestic: { rule: 'POINTS', first: 3, step: 2, per: 20 },
+                nonDomestic: { rule: 'FACTOR', factor: 1 }
+            },
+            SOCKET_OUTLETS: {
+                name: 'Socket-outlets (10 A)',
+                domestic: { rule: 'POINTS', first: 10, step: 5, per: 20 },
+                nonDomestic: { rule: 'OUTLETS', first: 1000, step: 750 }
+            },
+            RANGES: {
+                name: 'Ranges and cooking appliances',
+                domestic: { rule: 'FACTOR', factor: 0.5 },
+                nonDomestic: { rule: 'LARGEST', factor: 0.75 }
+            },
+            INSTANTANEOUS_WATER_HEATERS: {
+                name: 'Instantaneous water heaters',
+                domestic: { rule: 'FACTOR', factor: 0.333 },
+                nonDomestic: { rule: 'FACTOR', factor: 1 }
+            },
+            STORAGE_WATER_HEATERS: {
+                name: 'Storage water heaters',
+                domestic: { rule: 'FACTOR', factor: 1 },
+                nonDomestic: { rule: 'FACTOR', factor: 1 }
+            },
+            AIR_CONDITIONING: {
+                name: 'Air conditioning and space heating',
+                domestic: { rule: 'FACTOR', factor: 0.75 },
+                nonDomestic: { rule: 'LARGEST', factor: 0.75 },
+                inductive: true
+            },
+            MOTORS: {
+                name: 'Motors',
+                domestic: { rule: 'LARGEST', factor: 0.75 },
+                nonDomestic: { rule: 'LARGEST', factor: 0.75 },
+                inductive: true
+            },
+            EV_CHARGERS: {
+                // Charging is a continuous load, taken without diversity
+                name: 'EV chargers',
+                domestic: { rule: 'FACTOR', factor: 1 },
+                nonDomestic: { rule: 'FACTOR', factor: 1 }
+            }
+        };
+    }
+
+    static describeDemandRule(rule) {
+        if (rule.rule === 'POINTS') return `${rule.first} A for 1 to ${rule.per} points + ${rule.step} A per additional ${rule.per} or part`;
+        if (rule.rule === 'OUTLETS') return `${rule.first} W for the first outlet + ${rule.step} W for each additional`;
+        if (rule.rule === 'LARGEST') return `Largest in full + ${Math.round(rule.factor * 100)}% of the remainder`;
+        return `${Math.round(rule.factor * 1000) / 10}% of the connected load`;
+    }
+
+    // Phases of the circuit that loads can be connected to
+    getDemandPhases(designState) {
+        if (designState.phase === '3P_AC') return ['A', 'B', 'C'];
+        if (designState.phase === '2P_120deg' || designState.phase === '2P_180deg') return ['A', 'B'];
+        return ['A'];
+    }
+
+    calculateMaximumDemand(designState) {
+        // Design current I_b from the listed loads: the diversified demand of each
+        // category on each phase, summed per phase; the most heavily loaded phase
+        // sets I_b. A load on "ABC" is spread evenly over every phase of the circuit:
+        // counted points and outlets are shared out between the phases, and the
+        // current of any other item is split between them.
+        const loads = (designState.demandLoads || []).filter(load =>
+            this.toNumber(load.quantity, 0) > 0 && CableSizingEngine.MAXIMUM_DEMAND_CATEGORIES[load.category]);
+        if (loads.length === 0) {
+            this.recordError('Maximum demand', `No loads listed, using the entered design current of ${designState.rating} A`);
+            return null;
+        }
+
+        const domestic = designState.demandInstallation !== 'NON_DOMESTIC';
+        const phases = this.getDemandPhases(designState);
+        const U0 = this.getPhaseSystem(designState).U0;
+        let powerFactor = this.toNumber(designState.powerFactor, 0.8);
+        if (powerFactor <= 0 || powerFactor > 1) {
+            this.warn('Maximum demand', `Power factor ${designState.powerFactor} is not valid, using 0.8 for motors and air conditioning`);
+            powerFactor = 0.8;
+        }
+
+        const loadPhases = load => {
+            if (load.phase === 'ABC') return phases;
+            if (phases.includes(load.phase)) return [load.phase];
+            this.warn('Maximum demand', `${load.description || load.category} is on phase ${load.phase}, which a ${designState.phase} circuit does not have; taken on phase A`);
+            return ['A'];
+        };
+
+        const perPhase = {};
+        phases.forEach(phase => { perPhase[phase] = 0; });
+        const categories = [];
+        Object.entries(CableSizingEngine.MAXIMUM_DEMAND_CATEGORIES).forEach(([key, category]) => {
+            const categoryLoads = loads.filter(load => load.category === key);
+            if (categoryLoads.length === 0) return;
+            const rule = domestic ? category.domestic : category.nonDomestic;
+            const connected = {};
+            const demand = {};
+            const points = {};
+            phases.forEach(phase => {
+                // Groups of identical items on this phase: how many, and the current of each
+                const items = [];
+                categoryLoads.forEach(load => {
+                    const on = loadPhases(load);
+                    if (!on.includes(phase)) return;
+                    const power = Math.max(0, this.toNumber(load.power, 0));
+                    const quantity = this.toNumber(load.quantity, 0);
+                    if (rule.rule === 'POINTS' || rule.rule === 'OUTLETS') {
+                        // e.g. 61 points on ABC: 21 on A, 20 on B and C
+                        const share = Math.floor(quantity / on.length);
+                        const remainder = quantity - share * on.length;
+                        items.push({
+                            count: share + Math.min(1, Math.max(0, remainder - on.indexOf(phase))),
+                            current: power / U0
+                        });
+                        return;
+                    }
+                    items.push({
+                        count: quantity,
+                        current: power / (on.length * U0 * (category.inductive ? powerFactor : 1))
+                    });
+                });
+                const count = items.reduce((total, item) => total + item.count, 0);
+                const total = items.reduce((sum, item) => sum + item.count * item.current, 0);
+                const largest = Math.max(0, ...items.map(item => item.current));
+
+                let current = 0;
+                if (count > 0) {
+                    if (rule.rule === 'POINTS') {
+                        current = rule.first + Math.ceil(Math.max(0, count - rule.per) / rule.per) * rule.step;
+                    } else if (rule.rule === 'OUTLETS') {
+                        current = (rule.first + Math.max(0, Math.ceil(count) - 1) * rule.step) / U0;
+                    } else if (rule.rule === 'LARGEST') {
+                        current = largest + rule.factor * (total - largest);
+                    } else {
+                        current = rule.factor * total;
+                    }
+                }
+                points[phase] = count;
+                connected[phase] = total;
+                demand[phase] = current;
+                perPhase[phase] += current;
+            });
+            categories.push({
+                category: key,
+                name: category.name,
+                rule: rule.rule,
+                points: points,
+                connected: connected,
+                demand: demand,
+                basis: CableSizingEngine.describeDemandRule(rule)
+            });
+        });
+
+        const worstPhase = phases.reduce((worst, phase) => (perPhase[phase] > perPhase[worst] ? phase : worst), phases[0]);
+        return {
+            installation: domestic ? 'DOMESTIC' : 'NON_DOMESTIC',
+            phases: phases,
+            perPhase: perPhase,
+            worstPhase: worstPhase,
+            // Rounded up to 0.1 A so the design current never understates the demand
+            designCurrent: Math.ceil(perPhase[worstPhase] * 10 - 1e-9) / 10,
+            categories: categories,
+            reference: `AS/NZS 3000 Appendix C, Table ${domestic ? 'C1' : 'C2'}`
+        };
+    }
+
+    // Motor starting methods: typical starting current (× full-load current) and
+    // power factor while starting. Enter the starting current from the motor or
+    // starter data where it is known.
+    static get MOTOR_STARTING_METHODS() {
+        return {
+            DOL: { name: 'Direct on line', currentMultiple: 6, powerFactor: 0.3 },
+            STAR_DELTA: { name: 'Star-delta', currentMultiple: 2, powerFactor: 0.3 },
+            SOFT_STARTER: { name: 'Soft starter', currentMultiple: 3, powerFactor: 0.3 },
+            VSD: { name: 'Variable speed drive', currentMultiple: 1.5, powerFactor: 0.95 }
+        };
+    }
+
+    calculateMotorLoad(designState) {
+        // Full-load current from the motor's output, efficiency and power factor:
+        // I = P / (η · cos φ · √3 · U) three-phase, P / (η · cos φ · U) single-phase
+        const power = this.toNumber(designState.motorPower, 0);
+        if (power <= 0) {
+            throw new Error('Enter a motor rating greater than 0 kW');
+        }
+        let efficiency = this.toNumber(designState.motorEfficiency, 90);
+        if (efficiency <= 0 || efficiency > 100) {
+            this.warn('Motor', `Motor efficiency ${designState.motorEfficiency}% is not valid, using 90%`);
+            efficiency = 90;
+        }
+        let powerFactor = designState.phase === 'DC' ? 1 : this.toNumber(designState.motorPowerFactor, 0.85);
+        if (powerFactor <= 0 || powerFactor > 1) {
+            this.warn('Motor', `Motor power factor ${designState.motorPowerFactor} is not valid, using 0.85`);
+            powerFactor = 0.85;
+        }
+        const methods = CableSizingEngine.MOTOR_STARTING_METHODS;
+        let starting = designState.motorStarting;
+        if (!methods[starting]) {
+            this.warn('Motor', `Unknown starting method ${starting}, using direct on line`);
+            starting = 'DOL';
+        }
+        const method = methods[starting];
+        const startingMultiple = designState.motorStartingMultiple === 'AUTO'
+            ? method.currentMultiple
+            : this.toNumber(designState.motorStartingMultiple, method.currentMultiple);
+
+        const phaseSystem = this.getPhaseSystem(designState);
+        const voltage = designState.phase === '3P_AC'
+            ? Math.sqrt(3) * designState.voltage
+            : (phaseSystem.loadedConductors === 3 || designState.phase === '2P_180deg' ? 2 * phaseSystem.U0 : phaseSystem.voltage);
+        const current = (power * 1000) / ((efficiency / 100) * powerFactor * voltage);
+        // Rounded up to 0.1 A so the design current never understates the load
+        const fullLoadCurrent = Math.ceil(current * 10 - 1e-9) / 10;
+
+        return {
+            power: power,
+            efficiency: efficiency,
+            powerFactor: powerFactor,
+            fullLoadCurrent: fullLoadCurrent,
+            starting: starting,
+            startingName: method.name,
+            startingMultiple: startingMultiple,
+            startingCurrent: fullLoadCurrent * startingMultiple,
+            startingPowerFactor: designState.phase === 'DC' ? 1 : method.powerFactor,
+            reference: designState.phase === '3P_AC' ? 'I = P / (η · cos φ · √3 · U)' : 'I = P / (η · cos φ · U)'
+        };
+    }
+
+    calculateStartingVoltageDrop(designState, cableImpedance, deratedRating) {
+        // Voltage drop while the motor starts: the starting current at the starting
+        // power factor (R cos φ + X sin φ), with the conductors at their running temperature
+        const motor = this.calculateMotorLoad(designState);
+        const limit = this.toNumber(designState.maxStartingVoltageDrop, 15);
+        const startingState = {
+            ...designState,
+            rating: motor.startingCurrent,
+            voltageDropMethod: 'POWER_FACTOR',
+            powerFactor: motor.startingPowerFactor,
+            maxVoltageDrop: limit
+        };
+        const voltageDrop = this.calculateVoltageDrop(startingState, cableImpedance, deratedRating);
+        return {
+            ...voltageDrop,
+            current: motor.startingCurrent,
+            conductorTemperature: cableImpedance.operatingTemperature,
+            limit: limit,
+            passes: voltageDrop.voltageDropPercent <= limit
+        };
+    }
+
+    checkMotorStarting(designState, device) {
+        // The protective device must carry the starting current without tripping:
+        // up to the lowest instantaneous trip of a breaker, or the 5 s gate of a fuse
+        const motor = this.calculateMotorLoad(designState);
+        let withstand;
+        let basis;
+        if (device.type === 'MCB') {
+            const multiple = CableSizingEngine.PROTECTION_DEVICES.MCB.instantaneousMin[device.curve];
+            withstand = device.rating * multiple;
+            basis = `Type ${device.curve} trips instantaneously from ${multiple} × In`;
+        } else if (device.type === 'MCCB') {
+            const tolerance = CableSizingEngine.PROTECTION_DEVICES.MCCB.imTolerance;
+            withstand = device.imSetting * device.nominalCurrent * (2 - tolerance);
+            basis = `Im less its ${Math.round((tolerance - 1) * 100)}% tolerance`;
+        } else {
+            withstand = device.minTripCurrent;
+            basis = 'Fuse 5 s gate, for starts of up to 5 s';
+        }
+        return {
+            startingCurrent: motor.startingCurrent,
+            withstand: withstand,
+            passes: motor.startingCurrent <= withstand,
+            basis: basis,
+            reference: device.reference
+        };
+    }
+
+    calculateMotorProtection(designState) {
+        // A motor-rated breaker (Type D MCB, or an MCCB above 125 A) with its overload
+        // at the full-load current, or an overload relay set to the full-load current
+        // with gG fuses for short circuit protection only. The rating is chosen, or
+        // the smallest not below the full-load current that carries the starting current.
+        const library = CableSizingEngine.PROTECTION_DEVICES;
+        const motor = this.calculateMotorLoad(designState);
+        const overloadRelay = designState.motorProtection === 'OVERLOAD_FUSES';
+        const deviceState = { ...designState, loadType: 'GENERAL', rating: motor.fullLoadCurrent };
+        if (overloadRelay) {
+            deviceState.deviceType = 'FUSE';
+            if (designState.deviceType !== 'FUSE') deviceState.deviceRating = 'AUTO';
+        } else if ((designState.deviceType || 'AUTO') === 'AUTO') {
+            deviceState.deviceCurve = 'D';
+        }
+
+        let device = this.calculateProtectionDevice(deviceState);
+        if ((deviceState.deviceRating || 'AUTO') === 'AUTO') {
+            const ratings = library[device.type].ratings.filter(rating => rating >= device.rating);
+            for (const rating of ratings) {
+                device = this.calculateProtectionDevice({ ...deviceState, deviceType: device.type, deviceRating: rating });
+                if (this.checkMotorStarting(designState, device).passes) break;
+            }
+        }
+        if (!overloadRelay) {
+            return device;
+        }
+
+        // The relay gives the overload protection (tripping at 1.2 × its setting,
+        // AS/NZS IEC 60947.4.1); the fuses only have to clear faults
+        const setting = motor.fullLoadCurrent;
+        return {
+            ...device,
+            description: `Overload relay ${setting} A with gG fuses ${device.rating} A`,
+            overloadSetting: setting,
+            nominalCurrent: setting,
+            I2: setting * 1.2,
+            reference: 'AS/NZS IEC 60947.4.1, AS/NZS 60269.1'
+        };
+    }
+
+    // Number of cables in parallel per phase (1 unless parallel cables are used)
+    getParallelSets(designState) {
+        if (!designState.useParallel) return 1;
+        return Math.max(1, parseInt(designState.parallelSets, 10) || 1);
+    }
+
+    selectParallelSets(designState) {
+        // Fixed number of sets, or the fewest sets for which a size up to
+        // 300 mm² passes every check. Fallbacks taken in the trial searches stay
+        // out of the trace; those for the chosen number are raised again when it is sized.
+        if (!designState.useParallel) return 1;
+        if (designState.parallelSets !== 'AUTO') return this.getParallelSets(designState);
+
+        const issueCount = this.issues.length;
+        const maxSets = 8;
+        for (let sets = 1; sets <= maxSets; sets++) {
+            const size = this.findSuitableSize({ ...designState, parallelSets: sets });
+            if (size !== null && CableSizingEngine.getConductorArea(size) <= 300) {
+                this.issues.length = issueCount;
+                return sets;
+            }
+        }
+
+        this.issues.length = issueCount;
+        this.warn('Size selection', `No size up to 300 mm² passes with ${maxSets} parallel sets, using ${maxSets}`);
+        return maxSets;
+    }
+}
+
+// CommonJS export for Node scripts and tests; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CableSizingEngine;
+}
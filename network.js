@@ -0,0 +1,246 @@
+// Cable Size Calculator AS/NZS 3008 - Distribution network
+// Treats the circuits of a project as a tree (consumer mains → submains → final
+// subcircuits) by the circuit each one is fed from, and adds up the voltage drop
+// along every path from the point of supply. AS/NZS 3000 Clause 3.6.2 limits
+// that total, typically to 5%. The prospective fault currents at the load end of
+// each circuit become the fault level at the origin of the circuits it feeds.
+class DistributionNetwork {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    // Circuits in tree order (each followed by the circuits it feeds), with
+    // their depth below the point of supply. Circuits fed in a loop are never
+    // reached from the point of supply, so the first circuit of each loop is
+    // taken as fed from it instead.
+    static order(circuits) {
+        const byId = new Map(circuits.map(circuit => [circuit.id, circuit]));
+        const roots = new Set(circuits.filter(circuit => !byId.has(circuit.parentId)).map(circuit => circuit.id));
+        const ordered = [];
+        const visited = new Set();
+        const visit = (circuit, depth) => {
+            const children = circuits.filter(child => child.parentId === circuit.id && !roots.has(child.id));
+            visited.add(circuit.id);
+            ordered.push({ circuit, depth, children: children.map(child => child.id) });
+            children.forEach(child => visit(child, depth + 1));
+        };
+        roots.forEach(id => visit(byId.get(id), 0));
+
+        let unvisited;
+        while ((unvisited = circuits.find(circuit => !visited.has(circuit.id)))) {
+            // Follow the supplies up from the first circuit left until one repeats
+            const chain = new Set();
+            let circuit = unvisited;
+            while (!chain.has(circuit.id)) {
+                chain.add(circuit.id);
+                circuit = byId.get(circuit.parentId);
+            }
+            roots.add(circuit.id);
+            visit(circuit, 0);
+        }
+        return ordered;
+    }
+
+    static getLevel(depth, hasChildren) {
+        if (!hasChildren) return 'Final subcircuit';
+        return depth === 0 ? 'Consumer mains' : 'Submain';
+    }
+
+    // Circuit ids from the point of supply to each final subcircuit
+    static getPaths(ordered) {
+        const byId = new Map(ordered.map(node => [node.circuit.id, node]));
+        const paths = [];
+        const walk = (node, path) => {
+            const next = [...path, node.circuit.id];
+            if (node.children.length === 0) {
+                paths.push(next);
+            }
+            node.children.forEach(id => walk(byId.get(id), next));
+        };
+        ordered.filter(node => node.depth === 0).forEach(node => walk(node, []));
+        return paths;
+    }
+
+    // Design state of a circuit supplied from a board: the fault level at its
+    // origin is the prospective fault current at the load end of the board's
+    // supply, rounded up to 0.01 kA
+    static getSupplyState(designState, parentResults) {
+        const kA = current => Math.ceil(current / 10) / 100;
+        return {
+            ...designState,
+            faultLevelMethod: 'FAULT_CURRENT',
+            faultCurrent: kA(parentResults.faultCurrents.load.shortCircuit),
+            earthFaultCurrent: kA(parentResults.faultCurrents.load.earthFault)
+        };
+    }
+
+    // Voltage drop of every circuit, the drop accumulated from the point of
+    // supply and the voltage and fault level at the board (or load) it supplies
+    analyse(circuits, budget) {
+        const ordered = DistributionNetwork.order(circuits);
+        const nodes = new Map();
+        ordered.forEach(({ circuit, depth, children }) => {
+            const parent = nodes.get(circuit.parentId);
+            const upstreamPercent = parent ? parent.cumulativePercent : 0;
+            const node = {
+                id: circuit.id,
+                name: circuit.name,
+                parentId: parent ? parent.id : null,
+                depth: depth,
+                level: DistributionNetwork.getLevel(depth, children.length > 0),
+                results: null,
+                error: null,
+                dropPercent: 0,
+                upstreamPercent: upstreamPercent,
+                cumulativePercent: upstreamPercent,
+                voltageAtEnd: null
+            };
+            try {
+                const designState = parent && parent.results
+                    ? DistributionNetwork.getSupplyState(circuit.designState, parent.results)
+                    : circuit.designState;
+                node.results = this.engine.calculate(this.engine.constructor.createDesignState(designState));
+                const voltageDrop = node.results.voltageDrop;
+                node.dropPercent = voltageDrop.voltageDropPercent;
+                node.cumulativePercent = upstreamPercent + voltageDrop.voltageDropPercent;
+                // The drop is added as a percentage so that circuits at different
+                // voltages (e.g. 230 V final subcircuits on a 400 V submain) combine
+                node.voltageAtEnd = voltageDrop.nominalVoltage * (1 - node.cumulativePercent / 100);
+            } catch (error) {
+                node.error = error.message;
+            }
+            node.passes = node.cumulativePercent <= budget;
+            nodes.set(circuit.id, node);
+        });
+
+        const paths = DistributionNetwork.getPaths(ordered).map(ids => ({
+            ids: ids,
+            cumulativePercent: nodes.get(ids[ids.length - 1]).cumulativePercent,
+            passes: nodes.get(ids[ids.length - 1]).passes
+        }));
+
+        return {
+            budget: budget,
+            nodes: Array.from(nodes.values()),
+            paths: paths,
+            worstPercent: Math.max(0, ...paths.map(path => path.cumulativePercent)),
+            passes: paths.every(path => path.passes) && Array.from(nodes.values()).every(node => !node.error)
+        };
+    }
+
+    // Sizes a circuit can take when sharing out the budget: those that pass the
+    // current rating, short circuit, motor starting voltage drop and loop
+    // impedance checks, with the conductor volume used as the cost. An entered
+    // (engineer override) size is kept as it is.
+    getCandidates(circuit, budget) {
+        const designState = this.engine.constructor.createDesignState({ ...circuit.designState, maxVoltageDrop: budget });
+        const results = this.engine.calculate(designState);
+        const sets = results.parallelSets;
+        const cost = size => this.engine.constructor.getConductorArea(size) * designState.distance * sets;
+
+        if (designState.activeSize !== 'AUTO') {
+            return [{ size: results.selectedSize, dropPercent: results.voltageDrop.voltageDropPercent, cost: cost(results.selectedSize) }];
+        }
+        const candidates = results.sizeOptions
+            .filter(option => option.checks.currentRating && option.checks.shortCircuit !== false &&
+                option.checks.startingVoltageDrop !== false && option.checks.loopImpedance !== false)
+            .map(option => ({ size: option.size, dropPercent: option.voltageDropPercent, cost: cost(option.size) }))
+            .sort((a, b) => a.cost - b.cost);
+        return candidates.length > 0
+            ? candidates
+            : [{ size: results.selectedSize, dropPercent: results.voltageDrop.voltageDropPercent, cost: cost(results.selectedSize) }];
+    }
+
+    // Share the voltage drop budget between the levels of the network. Every
+    // circuit starts at its smallest size; while a path is over budget, the
+    // circuit whose next size up saves the most drop (summed over the paths that
+    // are over budget) per unit of extra conductor is upsized. A submain feeding
+    // several long final subcircuits is therefore upsized before all of them.
+    // Returns the maximum voltage drop allocated to each circuit.
+    allocateBudget(circuits, budget) {
+        const ordered = DistributionNetwork.order(circuits);
+        const paths = DistributionNetwork.getPaths(ordered);
+        const state = new Map();
+        ordered.forEach(({ circuit, depth, children }) => {
+            state.set(circuit.id, { circuit, depth, children, candidates: this.getCandidates(circuit, budget), index: 0 });
+        });
+        const drop = id => {
+            const node = state.get(id);
+            return node.candidates[node.index].dropPercent;
+        };
+        const pathDrop = path => path.reduce((total, id) => total + drop(id), 0);
+
+        let overBudget = paths.filter(path => pathDrop(path) > budget);
+        while (overBudget.length > 0) {
+            let best = null;
+            state.forEach((node, id) => {
+                const next = node.candidates[node.index + 1];
+                if (!next) return;
+                const through = overBudget.filter(path => path.includes(id)).length;
+                if (through === 0) return;
+                const current = node.candidates[node.index];
+                const saving = (current.dropPercent - next.dropPercent) * through;
+                const value = saving / Math.max(next.cost - current.cost, Number.EPSILON);
+                if (saving > 0 && (!best || value > best.value)) {
+                    best = { node, value };
+                }
+            });
+            if (!best) break;
+            best.node.index++;
+            overBudget = paths.filter(path => pathDrop(path) > budget);
+        }
+
+        // An early upsize can be made unnecessary by later ones; step back down
+        // wherever every path stays within the budget, largest saving first
+        if (overBudget.length === 0) {
+            let trimmed = true;
+            while (trimmed) {
+                trimmed = false;
+                const nodes = Array.from(state.values())
+                    .filter(node => node.index > 0)
+                    .sort((a, b) => (b.candidates[b.index].cost - b.candidates[b.index - 1].cost) -
+                        (a.candidates[a.index].cost - a.candidates[a.index - 1].cost));
+                for (const node of nodes) {
+                    node.index--;
+                    if (paths.every(path => pathDrop(path) <= budget)) {
+                        trimmed = true;
+                        break;
+                    }
+                    node.index++;
+                }
+            }
+        }
+
+        // Each circuit above a board is allowed the drop of its allocated size
+        // (to 0.01%); a final subcircuit gets whatever is left of the budget
+        const allocations = new Map();
+        ordered.forEach(({ circuit, children }) => {
+            const node = state.get(circuit.id);
+            const upstream = circuit.parentId && allocations.has(circuit.parentId)
+                ? allocations.get(circuit.parentId).upstreamPercent + allocations.get(circuit.parentId).maxVoltageDrop
+                : 0;
+            const chosen = node.candidates[node.index];
+            const maxVoltageDrop = children.length > 0
+                ? Math.ceil(chosen.dropPercent * 100 - 1e-9) / 100
+                : Math.max(Math.floor((budget - upstream) * 100 + 1e-9) / 100, Math.ceil(chosen.dropPercent * 100 - 1e-9) / 100);
+            allocations.set(circuit.id, {
+                id: circuit.id,
+                name: circuit.name,
+                size: chosen.size,
+                dropPercent: chosen.dropPercent,
+                upstreamPercent: upstream,
+                maxVoltageDrop: maxVoltageDrop
+            });
+        });
+
+        return {
+            budget: budget,
+            allocations: Array.from(allocations.values()),
+            feasible: overBudget.length === 0
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DistributionNetwork;
+}
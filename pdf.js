@@ -0,0 +1,204 @@
+// Cable Size Calculator AS/NZS 3008 - Minimal PDF writer
+// Writes A4 pages of text, lines and shaded boxes with the standard Helvetica
+// fonts. Nothing depends on the clock, the locale or installed fonts, and the
+// content streams are left uncompressed, so the same calls always produce a
+// byte-identical file.
+class PdfDocument {
+    // A4 in points (1/72 inch)
+    static get PAGE_WIDTH() {
+        return 595.28;
+    }
+
+    static get PAGE_HEIGHT() {
+        return 841.89;
+    }
+
+    // Glyph widths (1/1000 em) of characters 32-126, from the Helvetica AFM files
+    static get FONT_WIDTHS() {
+        return {
+            'Helvetica': [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            'Helvetica-Bold': [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        };
+    }
+
+    // Widths of the WinAnsi characters above 126 used in reports; others use 556
+    static get EXTRA_WIDTHS() {
+        return { '°': 400, '²': 333, '³': 333, '×': 584, '±': 584, '·': 278, '–': 556, '—': 1000, '•': 350, 'µ': 556 };
+    }
+
+    // WinAnsiEncoding codes of the characters outside Latin-1
+    static get WIN_ANSI_CODES() {
+        return { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+    }
+
+    // Characters the standard fonts cannot show, written out instead
+    static get SUBSTITUTIONS() {
+        return {
+            'Ω': 'ohm', '≤': '<=', '≥': '>=', '√': 'sqrt', '→': '->', '≈': '~', 'φ': 'phi', 'θ': 'theta',
+            'Δ': 'delta', 'ρ': 'rho', 'η': 'eta', '∞': 'infinity', '−': '-'
+        };
+    }
+
+    constructor(info = {}) {
+        this.info = info;
+        this.pages = [];
+    }
+
+    // Pages are numbered from 0 and can be drawn on in any order
+    addPage() {
+        this.pages.push([]);
+        return this.pages.length - 1;
+    }
+
+    // Text in the single-byte WinAnsi encoding of the standard fonts
+    static encode(text) {
+        const substitutions = PdfDocument.SUBSTITUTIONS;
+        const codes = PdfDocument.WIN_ANSI_CODES;
+        let encoded = '';
+        for (const char of String(text)) {
+            if (substitutions[char]) {
+                encoded += substitutions[char];
+            } else if (codes[char]) {
+                encoded += String.fromCharCode(codes[char]);
+            } else if (char === '\t' || char === '\n' || char === '\r') {
+                encoded += ' ';
+            } else {
+                const code = char.charCodeAt(0);
+                encoded += (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?';
+            }
+        }
+        return encoded;
+    }
+
+    static escape(encoded) {
+        return encoded.replace(/[\\()]/g, match => `\\${match}`);
+    }
+
+    static number(value) {
+        // Fixed precision keeps the output independent of float formatting
+        return (Math.round(value * 100) / 100).toFixed(2).replace(/\.?0+$/, '') || '0';
+    }
+
+    static textWidth(text, font = 'Helvetica', size = 9) {
+        const widths = PdfDocument.FONT_WIDTHS[font];
+        const extra = PdfDocument.EXTRA_WIDTHS;
+        let width = 0;
+        for (const char of PdfDocument.encode(text)) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? widths[code - 32] : (extra[char] || 556);
+        }
+        return width * size / 1000;
+    }
+
+    // Split text into lines no wider than width, breaking at spaces (or inside a
+    // word that is wider than the line on its own)
+    static wrapText(text, width, font = 'Helvetica', size = 9) {
+        const lines = [];
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (PdfDocument.textWidth(candidate, font, size) <= width) {
+                    line = candidate;
+                    return;
+                }
+                if (line) lines.push(line);
+                line = word;
+                while (PdfDocument.textWidth(line, font, size) > width && line.length > 1) {
+                    let split = line.length - 1;
+                    while (split > 1 && PdfDocument.textWidth(line.slice(0, split), font, size) > width) split--;
+                    lines.push(line.slice(0, split));
+                    line = line.slice(split);
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // Coordinates are in points from the top-left corner of the page
+    text(page, x, y, text, { font = 'Helvetica', size = 9, gray = 0 } = {}) {
+        const fontName = font === 'Helvetica-Bold' ? 'F2' : 'F1';
+        const top = PdfDocument.PAGE_HEIGHT - y;
+        this.pages[page].push(
+            `BT /${fontName} ${PdfDocument.number(size)} Tf ${PdfDocument.number(gray)} g ` +
+            `${PdfDocument.number(x)} ${PdfDocument.number(top)} Td (${PdfDocument.escape(PdfDocument.encode(text))}) Tj ET`
+        );
+    }
+
+    line(page, x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+        const height = PdfDocument.PAGE_HEIGHT;
+        this.pages[page].push(
+            `${PdfDocument.number(width)} w ${PdfDocument.number(gray)} G ` +
+            `${PdfDocument.number(x1)} ${PdfDocument.number(height - y1)} m ${PdfDocument.number(x2)} ${PdfDocument.number(height - y2)} l S`
+        );
+    }
+
+    rect(page, x, y, width, height, { fill = 0.9 } = {}) {
+        const top = PdfDocument.PAGE_HEIGHT - y - height;
+        this.pages[page].push(
+            `${PdfDocument.number(fill)} g ${PdfDocument.number(x)} ${PdfDocument.number(top)} ` +
+            `${PdfDocument.number(width)} ${PdfDocument.number(height)} re f`
+        );
+    }
+
+    // The document as a binary string (one character per byte)
+    output() {
+        const objects = [];
+        const pageIds = this.pages.map((operations, index) => 6 + index * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< ${Object.keys(this.info).sort().map(key =>
+            `/${key} (${PdfDocument.escape(PdfDocument.encode(this.info[key]))})`).join(' ')} >>`;
+        this.pages.forEach((operations, index) => {
+            const content = operations.join('\n');
+            objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfDocument.PAGE_WIDTH} ${PdfDocument.PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+            objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+
+        let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    toBytes() {
+        const pdf = this.output();
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocument;
+}
@@ -0,0 +1,248 @@
+// Cable Size Calculator AS/NZS 3008 - Project model
+// A project holds many named circuits, each with its own design state and
+// (in memory) its last results. Only the design states and a short summary of
+// the results are persisted; results are recalculated when a circuit is opened.
+class CableProject {
+    static get FORMAT() {
+        return 'cable-size-calculator-project';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    // Key the project is auto-saved under in browser storage
+    static get STORAGE_KEY() {
+        return 'cableSizeCalculator.project';
+    }
+
+    constructor(data = {}) {
+        this.name = data.name || 'Untitled project';
+        // Title block details for calculation reports
+        this.details = {
+            reference: '',
+            revision: '',
+            date: '',
+            engineer: '',
+            company: '',
+            ...data.details
+        };
+        // Limit on the voltage drop from the point of supply to any load, shared
+        // out across the distribution network (AS/NZS 3000 Clause 3.6.2)
+        this.voltageDropBudget = data.voltageDropBudget || 5;
+        this.nextId = data.nextId || 1;
+        this.circuits = [];
+        (data.circuits || []).forEach(circuit => this.circuits.push({
+            id: circuit.id || this.createId(),
+            name: circuit.name || `Circuit ${this.circuits.length + 1}`,
+            parentId: circuit.parentId || null,
+            designState: { ...circuit.designState },
+            summary: circuit.summary || null,
+            results: null
+        }));
+        // A circuit whose chain of supplies leads back to itself (e.g. a hand-edited
+        // file) would be left out of the network; it is fed from the point of supply
+        this.circuits.forEach(circuit => {
+            const visited = new Set();
+            let parent = this.getCircuit(circuit.parentId);
+            while (parent && !visited.has(parent.id)) {
+                if (parent.id === circuit.id) {
+                    circuit.parentId = null;
+                    break;
+                }
+                visited.add(parent.id);
+                parent = this.getCircuit(parent.parentId);
+            }
+        });
+        if (this.circuits.length === 0) {
+            this.addCircuit({});
+        }
+        this.activeCircuitId = this.getCircuit(data.activeCircuitId) ? data.activeCircuitId : this.circuits[0].id;
+    }
+
+    createId() {
+        return `circuit-${this.nextId++}`;
+    }
+
+    getCircuit(id) {
+        return this.circuits.find(circuit => circuit.id === id) || null;
+    }
+
+    getActiveCircuit() {
+        return this.getCircuit(this.activeCircuitId);
+    }
+
+    setActiveCircuit(id) {
+        if (!this.getCircuit(id)) {
+            throw new Error(`Circuit ${id} not found`);
+        }
+        this.activeCircuitId = id;
+    }
+
+    addCircuit(designState, name) {
+        const circuit = {
+            id: this.createId(),
+            name: name || `Circuit ${this.circuits.length + 1}`,
+            parentId: null,
+            designState: { ...designState },
+            summary: null,
+            results: null
+        };
+        this.circuits.push(circuit);
+        return circuit;
+    }
+
+    duplicateCircuit(id) {
+        // The copy goes straight after the original, without its results
+        const original = this.getCircuit(id);
+        if (!original) {
+            throw new Error(`Circuit ${id} not found`);
+        }
+        const copy = {
+            id: this.createId(),
+            name: `${original.name} (copy)`,
+            parentId: original.parentId,
+            designState: JSON.parse(JSON.stringify(original.designState)),
+            summary: null,
+            results: null
+        };
+        this.circuits.splice(this.circuits.indexOf(original) + 1, 0, copy);
+        return copy;
+    }
+
+    moveCircuit(id, offset) {
+        // Move up (negative offset) or down the list, stopping at either end
+        const index = this.circuits.findIndex(circuit => circuit.id === id);
+        const target = Math.min(this.circuits.length - 1, Math.max(0, index + offset));
+        if (index < 0 || target === index) return false;
+        const [circuit] = this.circuits.splice(index, 1);
+        this.circuits.splice(target, 0, circuit);
+        return true;
+    }
+
+    deleteCircuit(id) {
+        // A project always keeps at least one circuit; the neighbour becomes active.
+        // Circuits fed from the deleted one move up to its supply.
+        const index = this.circuits.findIndex(circuit => circuit.id === id);
+        if (index < 0) return;
+        const [deleted] = this.circuits.splice(index, 1);
+        this.circuits.forEach(circuit => {
+            if (circuit.parentId === id) circuit.parentId = deleted.parentId;
+        });
+        if (this.circuits.length === 0) {
+            this.addCircuit({});
+        }
+        if (this.activeCircuitId === id) {
+            this.activeCircuitId = this.circuits[Math.min(index, this.circuits.length - 1)].id;
+        }
+    }
+
+    renameCircuit(id, name) {
+        const circuit = this.getCircuit(id);
+        if (circuit) {
+            circuit.name = name;
+        }
+    }
+
+    // Circuits fed, directly or through other boards, from a circuit
+    getDescendantIds(id) {
+        const descendants = [];
+        const visit = parentId => this.circuits
+            .filter(circuit => circuit.parentId === parentId)
+            .forEach(circuit => {
+                descendants.push(circuit.id);
+                visit(circuit.id);
+            });
+        visit(id);
+        return descendants;
+    }
+
+    // Feed a circuit from the board supplied by another circuit (null for the
+    // point of supply)
+    setParent(id, parentId) {
+        const circuit = this.getCircuit(id);
+        if (!circuit) {
+            throw new Error(`Circuit ${id} not found`);
+        }
+        if (parentId && (parentId === id || this.getDescendantIds(id).includes(parentId) || !this.getCircuit(parentId))) {
+            throw new Error(`Circuit ${id} cannot be fed from ${parentId}`);
+        }
+        circuit.parentId = parentId || null;
+    }
+
+    updateDesignState(id, designState) {
+        const circuit = this.getCircuit(id);
+        if (circuit) {
+            circuit.designState = { ...designState };
+        }
+    }
+
+    // Results calculated from the circuit's own design state, which is left as entered
+    setResults(id, results) {
+        const circuit = this.getCircuit(id);
+        if (!circuit) return;
+        circuit.results = results;
+        circuit.summary = CableProject.summarise(results);
+    }
+
+    clearResults(id) {
+        const circuit = this.getCircuit(id);
+        if (circuit) {
+            circuit.results = null;
+            circuit.summary = null;
+        }
+    }
+
+    // Selected size and headline checks, shown in the circuit list and saved with the project
+    static summarise(results) {
+        return {
+            selectedSize: results.selectedSize,
+            parallelSets: results.parallelSets,
+            voltageDropPercent: Math.round(results.voltageDrop.voltageDropPercent * 100) / 100,
+            errors: results.trace ? results.trace.errors.length : 0
+        };
+    }
+
+    toJSON() {
+        return {
+            format: CableProject.FORMAT,
+            version: CableProject.VERSION,
+            name: this.name,
+            details: this.details,
+            voltageDropBudget: this.voltageDropBudget,
+            nextId: this.nextId,
+            activeCircuitId: this.activeCircuitId,
+            circuits: this.circuits.map(circuit => ({
+                id: circuit.id,
+                name: circuit.name,
+                parentId: circuit.parentId,
+                designState: circuit.designState,
+                summary: circuit.summary
+            }))
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.format !== CableProject.FORMAT || !Array.isArray(data.circuits)) {
+            throw new Error('Not a cable size calculator project file');
+        }
+        if (data.version > CableProject.VERSION) {
+            throw new Error(`Project file version ${data.version} is newer than this calculator supports`);
+        }
+        return new CableProject(data);
+    }
+
+    // Persist to, and restore from, a Storage (localStorage in the browser)
+    save(storage) {
+        storage.setItem(CableProject.STORAGE_KEY, JSON.stringify(this.toJSON()));
+    }
+
+    static load(storage) {
+        const saved = storage.getItem(CableProject.STORAGE_KEY);
+        return saved ? CableProject.fromJSON(JSON.parse(saved)) : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CableProject;
+}
@@ -0,0 +1,499 @@
+// Cable Size Calculator AS/NZS 3008 - Calculation report
+// Lays out the results of one circuit, or every circuit in a project, as a PDF
+// (pdf.js) with a title block, the derating, impedance, voltage drop, loop
+// impedance and short circuit working, and the tables and clauses relied on.
+class CalculationReport {
+    constructor(engine, details = {}) {
+        this.engine = engine;
+        this.details = {
+            projectName: details.projectName || 'Untitled project',
+            reference: details.reference || '',
+            revision: details.revision || '',
+            date: details.date || '',
+            engineer: details.engineer || '',
+            company: details.company || ''
+        };
+        this.document = null;
+        this.page = 0;
+        this.y = 0;
+    }
+
+    // Page layout in points
+    static get LAYOUT() {
+        return { margin: 40, top: 92, bottom: 800, fontSize: 8.5, leading: 10.5, padding: 3 };
+    }
+
+    // Documents cited in every report
+    static get STANDARDS() {
+        return [
+            'AS/NZS 3008.1.1:2017 Electrical installations - Selection of cables, Part 1.1: Cables for alternating voltages up to and including 0.6/1 kV - Typical Australian installation conditions',
+            'AS/NZS 3000:2018 Electrical installations (known as the Australian/New Zealand Wiring Rules)',
+            'IEC 60909-0:2016 Short-circuit currents in three-phase a.c. systems - Part 0: Calculation of currents'
+        ];
+    }
+
+    static getInsulationName(insulation) {
+        const names = {
+            'PVC_V75': 'PVC V-75 Standard 60°',
+            'PVC_V90': 'PVC V-90 Standard 75°',
+            'XLPE_90': 'XLPE 90°',
+            'XLPE_110': 'XLPE 110°',
+            'ELASTOMERIC_90': 'Elastomeric 90°',
+            'ELASTOMERIC_110': 'Elastomeric 110°',
+            'MIMS_250': 'MIMS 250°'
+        };
+        return names[insulation] || insulation;
+    }
+
+    static getCableTypeName(designState) {
+        const names = {
+            'TWO_CORE_SHEATHED': 'Two-core sheathed',
+            'TWO_SINGLE_CORE': 'Two single-core',
+            'THREE_SINGLE_CORE': 'Three single-core',
+            'MULTICORE': 'Multicore',
+            'THREE_CORE_AND_FOUR_CORE_SHEATHED': 'Three-core and four-core sheathed',
+            'THREE_CORE_AND_FOUR_CORE': 'Three-core and four-core',
+            'FLEXIBLE_CORD': 'Flexible cords',
+            'CABLE_AND_FLEXIBLE_CORDS': 'Cables and flexible cords',
+            'BARE_SINGLE_CORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': 'Bare single-core MIMS',
+            'BARE_MULTICORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': 'Bare multicore MIMS',
+            'AERIAL': 'Aerial'
+        };
+        const name = names[designState.cableType] || designState.cableType;
+        if (designState.cableType.includes('MIMS')) {
+            return `${name}, ${designState.mimsGrade === 'LIGHT' ? '0.6/0.6 kV' : '1/1 kV'}`;
+        }
+        if (designState.cableType === 'AERIAL') {
+            // The engine class is the global from engine.js in the browser, required in Node
+            const Engine = typeof CableSizingEngine !== 'undefined' ? CableSizingEngine : require('./engine.js');
+            const wind = designState.windSpeed === 'STILL' ? 'still air' : `${designState.windSpeed} m/s wind`;
+            return `${name}, ${Engine.AERIAL_CONSTRUCTIONS[designState.aerialConstruction].arrangement}, ${wind}`;
+        }
+        return designState.flexibleCable ? `${name}, flexible conductors` : name;
+    }
+
+    static getInstallationName(installation) {
+        // Return the installation name as-is since it's already a descriptive string
+        return installation || 'Unknown';
+    }
+
+    static getPhaseName(phase) {
+        const names = {
+            '1P_AC': '1 Phase AC',
+            '3P_AC': '3 Phase AC',
+            'DC': 'DC',
+            '2P_120deg': '2 Phase 120°',
+            '2P_180deg': '2 Phase 180°'
+        };
+        return names[phase] || phase;
+    }
+
+    static passFail(passes) {
+        return passes ? 'PASS' : 'FAIL';
+    }
+
+    // A nominal size in mm², or an aerial stranding as tabulated
+    static formatSize(size) {
+        const Engine = typeof CableSizingEngine !== 'undefined' ? CableSizingEngine : require('./engine.js');
+        return Engine.formatSize(size);
+    }
+
+    // Report sections for one circuit: { title, columns, rows } with rows of cell text
+    circuitSections(results) {
+        const designState = results.designState;
+        const sets = results.parallelSets;
+        const setsPrefix = sets > 1 ? `${sets} × ` : '';
+        const perSet = sets > 1 ? ' per set' : '';
+        const deratedRating = results.deratedRating;
+        const selectedRow = deratedRating.deratedRows.find(row => row.size === results.selectedSize);
+        const tableReference = `Table ${results.baseRating.table.table_id.replace(/^T0*/, '')}, ${results.baseRating.column}`;
+        const columns = ['Item', 'Value', 'Reference'];
+        const sections = [];
+
+        sections.push({
+            title: 'Design Inputs',
+            columns: columns,
+            rows: [
+                ['Cable type', CalculationReport.getCableTypeName(designState), ''],
+                ['Insulation', CalculationReport.getInsulationName(designState.insulation), ''],
+                ['Conductor material', designState.conductor === 'CU' ? 'Copper' : 'Aluminium', ''],
+                ['Installation method', CalculationReport.getInstallationName(designState.installation), tableReference],
+                ['Phase system', CalculationReport.getPhaseName(designState.phase), results.voltageDrop.basis],
+                ['Nominal voltage', `${designState.voltage} V`, ''],
+                ['Design current Ib', `${designState.rating} A`, results.motor ? 'Motor full-load current' : (results.maximumDemand ? 'Maximum demand' : '')],
+                ['Route length', `${designState.distance} m`, ''],
+                ['Voltage drop limit', `${designState.maxVoltageDrop}%`, 'AS/NZS 3000 Clause 3.6.2'],
+                ['Voltage drop method', designState.voltageDropMethod === 'POWER_FACTOR'
+                    ? `R cos φ + X sin φ, cos φ = ${designState.powerFactor}`
+                    : 'Max. Vc (Tables 40-51)', ''],
+                ['Ambient temperature', `${designState.ambientTemp}°C air, ${designState.groundTemp}°C ground`, ''],
+                ['Grouping', `${designState.groupCircuits} circuit(s), ${designState.groupArrangement}`, ''],
+                ['Third harmonic content', `${deratedRating.harmonics.thirdHarmonic}%`, ''],
+                ...(deratedRating.references.C_s
+                    ? [['Depth of laying / soil thermal resistivity', `${designState.layingDepth} m / ${designState.soilResistivity} K·m/W`, '']]
+                    : [])
+            ]
+        });
+
+        const motor = results.motor;
+        if (motor) {
+            const starting = results.startingVoltageDrop;
+            sections.push({
+                title: 'Motor',
+                columns: columns,
+                rows: [
+                    ['Motor rating', `${motor.power} kW, η = ${motor.efficiency}%, cos φ = ${motor.powerFactor}`, ''],
+                    ['Full-load current', `${motor.fullLoadCurrent} A`, motor.reference],
+                    ['Starting current', `${motor.startingMultiple} × ${motor.fullLoadCurrent} = ${Math.round(motor.startingCurrent)} A at cos φ = ${motor.startingPowerFactor}`, motor.startingName],
+                    ['Starting voltage drop', `${starting.voltageDropPercent.toFixed(2)}% (limit ${starting.limit}%): ${CalculationReport.passFail(starting.passes)}`, starting.reference],
+                    ['Protection at starting', `${Math.round(results.motorStarting.startingCurrent)} A ≤ ${Math.round(results.motorStarting.withstand)} A: ` +
+                        CalculationReport.passFail(results.motorStarting.passes), results.motorStarting.basis]
+                ]
+            });
+        }
+
+        const maximumDemand = results.maximumDemand;
+        if (maximumDemand) {
+            const perPhase = values => maximumDemand.phases.map(phase => `${phase} ${values[phase].toFixed(1)} A`).join(', ');
+            sections.push({
+                title: 'Maximum Demand',
+                columns: columns,
+                rows: [
+                    ['Installation', maximumDemand.installation === 'DOMESTIC' ? 'Domestic' : 'Non-domestic', maximumDemand.reference],
+                    ...maximumDemand.categories.map(category => [category.name, perPhase(category.demand), category.basis]),
+                    ['Design current Ib', `${maximumDemand.designCurrent} A (phase ${maximumDemand.worstPhase})`, 'Most heavily loaded phase']
+                ]
+            });
+        }
+
+        sections.push({
+            title: 'Selected Cable',
+            columns: columns,
+            rows: [
+                ['Active conductors', `${setsPrefix}${CalculationReport.formatSize(results.selectedSize)}`,
+                    designState.activeSize === 'AUTO' ? 'Smallest size meeting every check'
+                        : (results.override ? `Engineer override, auto size ${CalculationReport.formatSize(results.autoSize)}` : 'Entered')],
+                ['Neutral conductor', `${setsPrefix}${CalculationReport.formatSize(results.neutralConductor.size)}${results.neutralConductor.independent ? ' (sized on neutral current)' : ''}`,
+                    results.neutralConductor.reference || 'Same as phase conductors'],
+                ['Earth conductor', `${setsPrefix}${results.earthConductor.size} mm²`, 'AS/NZS 3000 Table 5.1'],
+                ...(sets > 1 ? [['Parallel sets', `${sets} (${(designState.rating / sets).toFixed(1)} A per set)`, '']] : [])
+            ]
+        });
+
+        const ratingRows = [
+            ['Tabulated rating', selectedRow ? `${selectedRow.I_z} A` : 'Size not tabulated', tableReference],
+            ['Ambient temperature factor Ca', deratedRating.factors.C_a.toFixed(2), deratedRating.references.C_a],
+            ['Grouping factor Cg', deratedRating.factors.C_g.toFixed(2), deratedRating.references.C_g]
+        ];
+        if (deratedRating.references.C_s) {
+            ratingRows.push(['Soil thermal resistivity factor Cs', deratedRating.factors.C_s.toFixed(2), deratedRating.references.C_s]);
+            ratingRows.push(['Depth of laying factor Cd', selectedRow ? selectedRow.C_d.toFixed(2) : '1.00', (selectedRow && selectedRow.depthReference) || '']);
+        }
+        ratingRows.push(['Harmonic reduction factor', deratedRating.factors.C_h.toFixed(2), deratedRating.references.C_h || 'Not applicable']);
+        if (selectedRow) {
+            const operatingTemperature = this.engine.calculateOperatingTemperature(designState, selectedRow);
+            ratingRows.push(['Derated rating Iz', `${selectedRow.I_z} × ${selectedRow.C_total.toFixed(3)} = ${Math.round(selectedRow.I_z_adj)} A${perSet}`, tableReference]);
+            ratingRows.push(['Operating temperature', `${Math.round(operatingTemperature)}°C (maximum ${this.engine.getMaxTemperature(designState.insulation)}°C)`, '']);
+        }
+        sections.push({ title: 'Current Rating and Derating', columns: columns, rows: ratingRows });
+
+        const coordination = results.coordination;
+        const I_z = coordination.I_z !== null ? Math.round(coordination.I_z) : '-';
+        sections.push({
+            title: 'Protection',
+            columns: columns,
+            rows: [
+                ['Protective device', results.protectionDevice.description, results.protectionDevice.reference],
+                ['Ib ≤ In ≤ Iz', `${Math.round(coordination.I_b)} ≤ ${Math.round(coordination.I_n)} ≤ ${I_z} A: ` +
+                    CalculationReport.passFail(coordination.loadCovered && coordination.cableProtected), coordination.reference],
+                ['I2 ≤ 1.45 Iz', `${Math.round(coordination.I_2)} ≤ ${coordination.I_z !== null ? Math.round(1.45 * coordination.I_z) : '-'} A: ` +
+                    CalculationReport.passFail(coordination.overloadProtected), coordination.reference],
+                ['Breaking capacity', `${results.breakingCapacity.breakingCapacity} kA ≥ ${(results.breakingCapacity.faultCurrent / 1000).toFixed(2)} kA: ` +
+                    CalculationReport.passFail(results.breakingCapacity.passes), results.breakingCapacity.reference]
+            ]
+        });
+
+        const impedance = results.cableImpedance;
+        const earth = results.earthConductor;
+        sections.push({
+            title: 'Impedance',
+            columns: columns,
+            rows: [
+                ['Active resistance', `${impedance.resistance} Ω/km at ${Math.round(impedance.operatingTemperature)}°C`, impedance.resistanceRef || ''],
+                ['Active resistance, maximum temperature', `${impedance.resistanceMaxTemp} Ω/km at ${impedance.maxTemperature}°C`, impedance.resistanceMaxTempRef || ''],
+                ['Active reactance', `${impedance.reactance} Ω/km`, impedance.reactanceRef || ''],
+                ['Active impedance', `${impedance.impedance.toFixed(4)} Ω/km (${impedance.impedanceMaxTemp.toFixed(4)} Ω/km at ${impedance.maxTemperature}°C)`, 'Z = sqrt(R² + X²)'],
+                ['Earth resistance', `${earth.resistance.toFixed(2)} Ω/km`, ''],
+                ['Earth reactance', `${earth.reactance} Ω/km`, ''],
+                ['Earth impedance', `${earth.impedance.toFixed(4)} Ω/km`, 'Z = sqrt(R² + X²)']
+            ]
+        });
+
+        const voltageDrop = results.voltageDrop;
+        const current = designState.rating / sets;
+        sections.push({
+            title: 'Voltage Drop',
+            columns: columns,
+            rows: [
+                ['Unit voltage drop Vc', `${voltageDrop.unitVoltageDrop.toFixed(3)} mV/A.m`, voltageDrop.reference],
+                ['Voltage drop ΔV', `Vc × I × L / 1000 = ${voltageDrop.unitVoltageDrop.toFixed(3)} × ${Math.round(current * 10) / 10} × ${designState.distance} / 1000 = ${voltageDrop.voltageDrop.toFixed(2)} V`, ''],
+                ['Voltage drop', `${voltageDrop.voltageDrop.toFixed(2)} / ${Math.round(voltageDrop.nominalVoltage)} × 100 = ${voltageDrop.voltageDropPercent.toFixed(2)}% ` +
+                    `(limit ${designState.maxVoltageDrop}%): ${CalculationReport.passFail(voltageDrop.voltageDropPercent <= designState.maxVoltageDrop)}`, 'AS/NZS 3000 Clause 3.6.2'],
+                ['Voltage at load', `${voltageDrop.voltageAtLoad.toFixed(1)} V`, `${voltageDrop.basis}, ${Math.round(voltageDrop.nominalVoltage)} V nominal`],
+                ['Maximum route length', `${Math.round(voltageDrop.maxDistance)} m for ${designState.maxVoltageDrop}%`, '']
+            ]
+        });
+
+        const faults = results.faultCurrents;
+        const faultLevel = level => `${(level.shortCircuit / 1000).toFixed(2)} kA ${faults.basis}, ${(level.earthFault / 1000).toFixed(2)} kA phase-earth`;
+        sections.push({
+            title: 'Prospective Fault Current',
+            columns: columns,
+            rows: [
+                ['At origin', faultLevel(faults.origin), faults.reference],
+                ['At load end', faultLevel(faults.load), `IEC 60909-0, c = ${faults.voltageFactor}, conductors at 20°C`]
+            ]
+        });
+
+        if (designState.checkLoopImpedance) {
+            const loop = results.loopImpedance;
+            const U0 = loop.maxImpedance * loop.tripCurrent;
+            sections.push({
+                title: 'Earth Fault Loop Impedance',
+                columns: columns,
+                rows: [
+                    ['Source impedance Ze', `${loop.sourceImpedance.toFixed(3)} Ω (${loop.method.toLowerCase()})`, loop.reference],
+                    ['Circuit impedance', `(${loop.phaseImpedance.toFixed(4)} + ${loop.earthImpedance.toFixed(4)}) × ${designState.distance} / 1000 = ${loop.circuitImpedance.toFixed(3)} Ω`,
+                        'Active and earth at maximum temperature'],
+                    ['Loop impedance Zs', `${loop.sourceImpedance.toFixed(3)} + ${loop.circuitImpedance.toFixed(3)} = ${loop.totalImpedance.toFixed(3)} Ω`, ''],
+                    ['Maximum Zs', `U0 / Ia = ${Math.round(U0)} / ${Math.round(loop.tripCurrent)} = ${loop.maxImpedance.toFixed(3)} Ω`, results.protectionDevice.reference],
+                    ['Maximum route length', `${Math.round(loop.maxLength)} m (route ${designState.distance} m): ${CalculationReport.passFail(loop.passes)}`, loop.reference]
+                ]
+            });
+        }
+
+        if (designState.checkShortCircuit) {
+            const shortCircuit = results.shortCircuitCheck;
+            sections.push({
+                title: 'Short Circuit Withstand',
+                columns: columns,
+                rows: [
+                    ['Prospective fault current', `${(shortCircuit.faultCurrent / 1000).toFixed(1)} kA`, faults.reference],
+                    shortCircuit.clearingTime !== null
+                        ? ['Fault energy I²t', `${Math.round(shortCircuit.faultCurrent)}² × ${shortCircuit.clearingTime} = ${shortCircuit.I2t.toExponential(3)} A²s`, 'Device clearing time']
+                        : ['Fault energy I²t', `${shortCircuit.I2t.toExponential(3)} A²s`, 'Device let-through energy'],
+                    ['K', `${shortCircuit.K} (${shortCircuit.initialTemperature}°C to ${shortCircuit.finalTemperature}°C)`, shortCircuit.kReference],
+                    ['Withstand K²S²', `${shortCircuit.K}² × ${shortCircuit.S}² = ${shortCircuit.K2S2.toExponential(3)} A²s`, 'AS/NZS 3008.1.1 Clause 5.3'],
+                    ['I²t ≤ K²S²', CalculationReport.passFail(shortCircuit.passes), 'AS/NZS 3008.1.1 Clause 5.3'],
+                    ['Minimum conductor size', shortCircuit.minimumSize ? `${shortCircuit.minimumSize} mm²` : 'Exceeds largest size', 'AS/NZS 3008.1.1 Clause 5.3']
+                ]
+            });
+        }
+
+        if (results.conduit) {
+            const conduit = results.conduit;
+            sections.push({
+                title: 'Conduit',
+                columns: columns,
+                rows: [
+                    ['Conduit', `${conduit.size} mm ${conduit.conduitName} (${conduit.internalDiameter} mm bore)`, conduit.reference],
+                    ['Cables', conduit.cables.map(cable => `${cable.count} × ${cable.size} mm² ${cable.role.toLowerCase()}${cable.circuit ? ' (other circuit)' : ''}`).join(', '), 'Typical outside diameters'],
+                    ['Space factor', `${(conduit.fill * 100).toFixed(1)}% of ${(conduit.spaceFactor * 100).toFixed(0)}%: ${CalculationReport.passFail(conduit.passes)}`, conduit.reference]
+                ]
+            });
+        }
+
+        const issues = [...results.trace.errors, ...results.trace.warnings];
+        if (issues.length > 0) {
+            sections.push({
+                title: 'Warnings and Errors',
+                columns: ['Level', 'Step', 'Message'],
+                rows: issues.map(issue => [issue.level === 'error' ? 'Error' : 'Warning', issue.step, issue.message])
+            });
+        }
+
+        sections.push({
+            title: 'Calculation Trace',
+            columns: ['Step', 'Item', 'Value', 'Reference', 'Basis'],
+            widths: [80, 105, 80, 110, 140],
+            rows: results.trace.steps.flatMap(step => step.entries.map((entry, index) =>
+                [index === 0 ? step.step : '', entry.label, entry.value, entry.reference || '', entry.basis || '']))
+        });
+
+        return sections;
+    }
+
+    // Build the report for circuits [{ name, results }] (results null with an
+    // error message for a circuit that could not be calculated)
+    createDocument(circuits) {
+        // The PDF writer is the global from pdf.js in the browser, required in Node
+        const Pdf = typeof PdfDocument !== 'undefined' ? PdfDocument : require('./pdf.js');
+        const title = circuits.length === 1 ? `Cable Calculation - ${circuits[0].name}` : 'Cable Calculation Report';
+
+        this.document = new Pdf({
+            Title: `${this.details.projectName} - ${title}`,
+            Author: this.details.engineer,
+            Producer: 'Cable Size Calculator AS/NZS 3008'
+        });
+        this.newPage();
+
+        this.drawHeading(title, 14);
+        this.drawTable(['Item', 'Value'], [
+            ['Project', this.details.projectName],
+            ['Job reference', this.details.reference],
+            ['Revision', this.details.revision],
+            ['Date', this.details.date],
+            ['Engineer', this.details.engineer],
+            ['Company', this.details.company],
+            ['Circuits', circuits.map(circuit => circuit.name).join(', ')]
+        ], [150, 365]);
+
+        if (circuits.length > 1) {
+            this.drawHeading('Circuit Schedule');
+            this.drawTable(['Circuit', 'Cable (mm²)', 'Earth (mm²)', 'VD (%)', 'Protective device', 'Status'], circuits.map(circuit => {
+                if (!circuit.results) return [circuit.name, '-', '-', '-', '-', circuit.error];
+                const results = circuit.results;
+                const sets = results.parallelSets > 1 ? `${results.parallelSets} × ` : '';
+                const errors = results.trace.errors.length;
+                return [
+                    circuit.name,
+                    `${sets}${results.selectedSize}`,
+                    `${sets}${results.earthConductor.size}`,
+                    results.voltageDrop.voltageDropPercent.toFixed(2),
+                    results.protectionDevice.description,
+                    errors > 0 ? `${errors} error${errors === 1 ? '' : 's'}` : 'OK'
+                ];
+            }), [110, 65, 65, 50, 145, 80]);
+        }
+
+        const cited = new Set();
+        circuits.forEach((circuit, index) => {
+            if (circuits.length > 1 || index > 0) this.newPage();
+            if (circuits.length > 1) this.drawHeading(`Circuit: ${circuit.name}`, 13);
+            if (!circuit.results) {
+                this.drawParagraph(`This circuit could not be calculated: ${circuit.error}`);
+                return;
+            }
+            this.circuitSections(circuit.results).forEach(section => {
+                this.drawHeading(section.title);
+                this.drawTable(section.columns, section.rows, section.widths);
+                section.rows.forEach(row => {
+                    const reference = row[section.columns.indexOf('Reference')];
+                    if (reference && /^AS\/NZS/.test(reference)) cited.add(reference);
+                });
+            });
+        });
+
+        this.drawHeading('Standards');
+        CalculationReport.STANDARDS.forEach(standard => this.drawParagraph(standard));
+        this.drawParagraph(`Tables and clauses are from AS/NZS 3008.1.1:2017 unless stated. Other clauses cited: ${[...cited].sort().join('; ') || 'none'}.`);
+
+        // Title block and page numbers on every page, once the page count is known
+        const pages = this.document.pages.length;
+        for (let page = 0; page < pages; page++) {
+            this.drawTitleBlock(page, pages, title);
+        }
+        return this.document;
+    }
+
+    newPage() {
+        this.page = this.document.addPage();
+        this.y = CalculationReport.LAYOUT.top;
+    }
+
+    // Start a new page if the next height does not fit on this one
+    ensureSpace(height) {
+        if (this.y + height > CalculationReport.LAYOUT.bottom) {
+            this.newPage();
+        }
+    }
+
+    drawHeading(text, size = 11) {
+        const layout = CalculationReport.LAYOUT;
+        this.ensureSpace(size + 40);
+        this.y += size + 6;
+        this.document.text(this.page, layout.margin, this.y, text, { font: 'Helvetica-Bold', size: size });
+        this.y += 4;
+        this.document.line(this.page, layout.margin, this.y, this.document.constructor.PAGE_WIDTH - layout.margin, this.y, { width: 0.75 });
+        this.y += 4;
+    }
+
+    drawParagraph(text) {
+        const layout = CalculationReport.LAYOUT;
+        const Pdf = this.document.constructor;
+        Pdf.wrapText(text, Pdf.PAGE_WIDTH - 2 * layout.margin, 'Helvetica', layout.fontSize).forEach(line => {
+            this.ensureSpace(layout.leading);
+            this.y += layout.leading;
+            this.document.text(this.page, layout.margin, this.y, line, { size: layout.fontSize });
+        });
+        this.y += layout.padding;
+    }
+
+    // Table with a shaded header row, repeated after a page break; columns
+    // share the text width equally unless widths are given
+    drawTable(columns, rows, widths) {
+        const layout = CalculationReport.LAYOUT;
+        const Pdf = this.document.constructor;
+        const tableWidth = Pdf.PAGE_WIDTH - 2 * layout.margin;
+        const columnWidths = widths || (columns.length === 3
+            ? [150, 200, tableWidth - 350]
+            : columns.map(() => tableWidth / columns.length));
+
+        const drawRow = (cells, header) => {
+            const font = header ? 'Helvetica-Bold' : 'Helvetica';
+            const lines = cells.map((cell, index) =>
+                Pdf.wrapText(cell === null || cell === undefined ? '' : String(cell), columnWidths[index] - 2 * layout.padding, font, layout.fontSize));
+            const height = Math.max(...lines.map(cellLines => cellLines.length)) * layout.leading + 2 * layout.padding;
+            if (this.y + height > layout.bottom) {
+                this.newPage();
+                if (!header) drawRow(columns, true);
+            }
+            if (header) {
+                this.document.rect(this.page, layout.margin, this.y, tableWidth, height, { fill: 0.9 });
+            }
+            let x = layout.margin;
+            lines.forEach((cellLines, index) => {
+                cellLines.forEach((line, lineIndex) => {
+                    this.document.text(this.page, x + layout.padding, this.y + layout.padding + (lineIndex + 1) * layout.leading - 2.5, line,
+                        { font: font, size: layout.fontSize });
+                });
+                x += columnWidths[index];
+            });
+            this.y += height;
+            this.document.line(this.page, layout.margin, this.y, layout.margin + tableWidth, this.y, { width: 0.25, gray: 0.6 });
+        };
+
+        drawRow(columns, true);
+        rows.forEach(row => drawRow(row, false));
+        this.y += 6;
+    }
+
+    drawTitleBlock(page, pages, title) {
+        const layout = CalculationReport.LAYOUT;
+        const Pdf = this.document.constructor;
+        const right = Pdf.PAGE_WIDTH - layout.margin;
+        const rightText = (y, text, options = {}) => {
+            const size = options.size || 8;
+            this.document.text(page, right - Pdf.textWidth(text, options.font, size), y, text, options);
+        };
+
+        this.document.rect(page, layout.margin, 30, right - layout.margin, 46, { fill: 0.93 });
+        this.document.text(page, layout.margin + 8, 48, this.details.projectName, { font: 'Helvetica-Bold', size: 12 });
+        this.document.text(page, layout.margin + 8, 64, `${title}${this.details.company ? ` | ${this.details.company}` : ''}`, { size: 8 });
+        const job = [
+            this.details.reference && `Job ${this.details.reference}`,
+            this.details.revision && `Rev ${this.details.revision}`
+        ].filter(Boolean).join(' | ');
+        this.document.text(page, right - 8 - Pdf.textWidth(job, 'Helvetica-Bold', 9), 48, job, { font: 'Helvetica-Bold', size: 9 });
+        const signed = [this.details.engineer, this.details.date].filter(Boolean).join(' | ');
+        this.document.text(page, right - 8 - Pdf.textWidth(signed, 'Helvetica', 8), 64, signed, { size: 8 });
+
+        this.document.line(page, layout.margin, 812, right, 812, { width: 0.5, gray: 0.6 });
+        this.document.text(page, layout.margin, 824, 'Calculated to AS/NZS 3008.1.1:2017 and AS/NZS 3000:2018 by Cable Size Calculator AS/NZS 3008', { size: 7, gray: 0.4 });
+        rightText(824, `Page ${page + 1} of ${pages}`, { size: 7, gray: 0.4 });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalculationReport;
+}
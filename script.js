@@ -1,17 +1,35 @@
-// Cable Size Calculator AS/NZS 3008 - Rules Engine
+// Cable Size Calculator AS/NZS 3008 - Web view
+// Reads the form into a design state, runs it through CableSizingEngine (engine.js)
+// and renders the results. All calculation logic lives in the engine.
 class CableCalculator {
     constructor() {
-        this.database = null;
+        this.engine = null;
         this.currentCalculation = null;
+        this.project = null;
+        this.schedule = null;
+        this.sheetJS = null;
+        this.network = null;
+        this.calculateOnLoad = false;
+        this.linkWarnings = [];
         this.initializeEventListeners();
+        this.initializeProject();
         this.loadDatabase();
     }
 
     async loadDatabase() {
         try {
             const response = await fetch('as_nzs_3008_scaffold_v2.json');
-            this.database = await response.json();
+            const database = await response.json();
+            this.engine = new CableSizingEngine(database);
             console.log('Database loaded successfully');
+
+            // A saved circuit that had been calculated, or one opened from a link,
+            // shows its results again
+            if (this.project.getActiveCircuit().summary || this.calculateOnLoad) {
+                this.performCalculation(false);
+            }
+            // Ignored link values are listed with the linked circuit's first results only
+            this.linkWarnings = [];
         } catch (error) {
             console.error('Error loading database:', error);
             this.showError('Failed to load calculation database');
@@ -19,6 +37,15 @@ class CableCalculator {
     }
 
     initializeEventListeners() {
+        // Project sidebar: circuits, names, export and import
+        this.initializeProjectListeners();
+
+        // Batch sizing: schedule import, column mapping, run and export
+        this.initializeScheduleListeners();
+
+        // Distribution network: cumulative voltage drop and budget share-out
+        this.initializeNetworkListeners();
+
         // Calculate button
         document.getElementById('calculate').addEventListener('click', () => {
             this.performCalculation();
@@ -41,6 +68,41 @@ class CableCalculator {
             }
         });
 
+        // Other circuits sharing the conduit
+        document.getElementById('add-conduit-circuit').addEventListener('click', () => {
+            this.addConduitCircuitRow();
+            this.storeActiveCircuit();
+        });
+        document.getElementById('conduit-circuits-tbody').addEventListener('click', (e) => {
+            if (e.target.closest('.remove-conduit-circuit')) {
+                e.target.closest('tr').remove();
+                this.storeActiveCircuit();
+            }
+        });
+
+        // Load type and starting method: a motor's design current is its full-load current
+        document.getElementById('load-type').addEventListener('change', () => {
+            this.updateLoadOptions();
+        });
+        document.getElementById('motor-starting').addEventListener('change', () => {
+            this.updateLoadOptions();
+        });
+
+        // Loads the maximum demand (and so the design current) is worked out from
+        document.getElementById('use-maximum-demand').addEventListener('change', () => {
+            this.updateLoadOptions();
+        });
+        document.getElementById('add-demand-load').addEventListener('click', () => {
+            this.addDemandLoadRow();
+            this.storeActiveCircuit();
+        });
+        document.getElementById('demand-loads-tbody').addEventListener('click', (e) => {
+            if (e.target.closest('.remove-demand-load')) {
+                e.target.closest('tr').remove();
+                this.storeActiveCircuit();
+            }
+        });
+
         // Conduit size radio buttons
         document.addEventListener('change', (e) => {
             if (e.target.name === 'conduit-size') {
@@ -48,815 +110,1230 @@ class CableCalculator {
             }
         });
 
+        // Show derating toggles the derating inputs
+        document.getElementById('show-derating').addEventListener('change', (e) => {
+            document.getElementById('derating-options').style.display = e.target.checked ? 'grid' : 'none';
+        });
+
+        // Calculate conduit size toggles the conduit inputs
+        document.getElementById('calculate-conduit').addEventListener('change', (e) => {
+            document.getElementById('conduit-options').style.display = e.target.checked ? 'grid' : 'none';
+        });
+
+        // Short circuit check toggles the device let-through inputs
+        document.getElementById('check-short-circuit').addEventListener('change', (e) => {
+            document.getElementById('short-circuit-options').style.display = e.target.checked ? 'grid' : 'none';
+        });
+
+        // Loop impedance check toggles the source impedance inputs
+        document.getElementById('check-loop-impedance').addEventListener('change', (e) => {
+            document.getElementById('loop-impedance-options').style.display = e.target.checked ? 'grid' : 'none';
+        });
+
+        // "Other" voltage shows the free-entry nominal voltage
+        document.getElementById('voltage').addEventListener('change', (e) => {
+            document.getElementById('custom-voltage-group').style.display = e.target.value === 'other' ? 'block' : 'none';
+        });
+
+        // Cable type shows the MIMS grade or aerial construction inputs
+        document.getElementById('cable-type').addEventListener('change', (e) => {
+            this.updateCableTypeOptions(e.target.value);
+        });
+
+        // Parallel cables toggles the number of sets
+        document.getElementById('use-parallel').addEventListener('change', (e) => {
+            document.getElementById('parallel-sets-group').style.display = e.target.checked ? 'block' : 'none';
+        });
+
+        // Protective device type changes the rating list and settings shown
+        document.getElementById('device-type').addEventListener('change', (e) => {
+            this.updateDeviceOptions(e.target.value);
+        });
+
+        // Fault level method shows the fault current or transformer inputs
+        document.getElementById('fault-level-method').addEventListener('change', (e) => {
+            this.updateFaultLevelOptions(e.target.value);
+        });
+
+        // Selection table shows sizes around the selected one, or every tabulated size
+        document.getElementById('show-more-cables').addEventListener('click', (e) => {
+            const table = document.getElementById('cable-selection-table');
+            const showAll = !table.classList.contains('show-all');
+            table.classList.toggle('show-all', showAll);
+            e.target.textContent = showAll ? 'Show fewer' : 'Show more';
+        });
+
+        // Conduit sizes around the recommended one, or every size of the conduit type
+        document.getElementById('show-more-conduit').addEventListener('click', (e) => {
+            const container = document.getElementById('conduit-size-options');
+            const showAll = !container.classList.contains('show-all');
+            container.classList.toggle('show-all', showAll);
+            e.target.textContent = showAll ? 'Show fewer' : 'Show more';
+        });
+
+        // Calculation trace toggle
+        document.getElementById('toggle-trace').addEventListener('click', (e) => {
+            const trace = document.getElementById('calculation-trace');
+            const show = trace.style.display === 'none';
+            trace.style.display = show ? 'block' : 'none';
+            e.target.textContent = show ? 'Hide trace' : 'Show trace';
+        });
+
         // PDF Export button
         document.getElementById('list-pdf').addEventListener('click', () => {
             this.exportToPDF();
         });
     }
 
-    updateInstallationIcon(installation) {
-        const iconMap = {
-            'Spaced from surface': 'fas fa-wind',
-            'Touching surface': 'fas fa-wind',
-            'Exposed to sun': 'fas fa-sun',
-            'Wiring enclosure in air': 'fas fa-building',
-            'Partially surrounded by thermal insulation, in wiring enclosure': 'fas fa-thermometer-half',
-            'Partially surrounded by thermal insulation, unenclosed': 'fas fa-thermometer-half',
-            'Completely surrounded by thermal insulation, in wiring enclosure': 'fas fa-thermometer-half',
-            'Completely surrounded by thermal insulation, unenclosed': 'fas fa-thermometer-half',
-            'Buried direct': 'fas fa-mountain',
-            'Underground duct same': 'fas fa-road',
-            'Underground duct separate': 'fas fa-road'
-        };
-        
-        const icon = document.querySelector('#installation-icon i');
-        icon.className = iconMap[installation] || 'fas fa-building';
-    }
+    initializeProjectListeners() {
+        document.getElementById('circuit-list').addEventListener('click', (e) => {
+            const item = e.target.closest('li');
+            if (item && item.dataset.id !== this.project.activeCircuitId) {
+                this.storeActiveCircuit();
+                this.openCircuit(item.dataset.id);
+            }
+        });
 
-    async performCalculation() {
-        if (!this.database) {
-            this.showError('Database not loaded yet. Please wait...');
-            return;
-        }
+        document.getElementById('add-circuit').addEventListener('click', () => {
+            this.storeActiveCircuit();
+            const circuit = this.project.addCircuit(CableSizingEngine.createDesignState());
+            this.openCircuit(circuit.id);
+            this.saveProject();
+        });
 
-        try {
-            this.showLoading();
-            
-            // Step 1: Inputs → design state
-            const designState = this.createDesignState();
-            
-            // Step 2: Base current rating lookup
-            // Returns table, column, and all columnData (rows with I_z(S) values)
-            const baseRating = this.lookupBaseCurrentRating(designState);
-            
-            // Step 3: Apply derating factors per row
-            // Compute C_total and calculate I_z,adj(S) = I_z(S) · C_total for each row
-            // Mark sizes where I_z,adj(S) >= I_b
-            const deratedRating = this.applyDeratingFactors(baseRating.columnData, designState);
-            
-            // Step 4: Cable R, X, Z versus temperature
-            const cableImpedance = this.calculateCableImpedance(designState);
-            
-            // Step 5: Voltage drop check
-            const voltageDrop = this.calculateVoltageDrop(designState, cableImpedance);
-            
-            // Step 6: Loop impedance and max distance
-            const loopImpedance = this.calculateLoopImpedance(designState, cableImpedance);
-            
-            // Step 7: Short circuit thermal withstand
-            const shortCircuitCheck = this.checkShortCircuitRating(designState);
-            
-            // Step 8: Protection device logic
-            const protectionDevice = this.calculateProtectionDevice(designState);
-            
-            // Step 9: Earth conductor sizing
-            const earthConductor = this.calculateEarthConductor(designState);
-            
-            // Step 10: Auto size search
-            const selectedSize = this.performAutoSizeSearch(designState);
-            
-            // Step 11: Generate outputs
-            this.displayResults({
-                designState,
-                baseRating,
-                deratedRating,
-                cableImpedance,
-                voltageDrop,
-                loopImpedance,
-                shortCircuitCheck,
-                protectionDevice,
-                earthConductor,
-                selectedSize
+        document.getElementById('duplicate-circuit').addEventListener('click', () => {
+            this.storeActiveCircuit();
+            const circuit = this.project.duplicateCircuit(this.project.activeCircuitId);
+            this.openCircuit(circuit.id);
+            this.saveProject();
+        });
+
+        document.getElementById('move-circuit-up').addEventListener('click', () => {
+            this.project.moveCircuit(this.project.activeCircuitId, -1);
+            this.renderCircuitList();
+            this.saveProject();
+        });
+
+        document.getElementById('move-circuit-down').addEventListener('click', () => {
+            this.project.moveCircuit(this.project.activeCircuitId, 1);
+            this.renderCircuitList();
+            this.saveProject();
+        });
+
+        document.getElementById('delete-circuit').addEventListener('click', () => {
+            const circuit = this.project.getActiveCircuit();
+            if (!window.confirm(`Delete "${circuit.name}"?`)) return;
+            this.project.deleteCircuit(circuit.id);
+            this.openCircuit(this.project.activeCircuitId);
+            this.saveProject();
+        });
+
+        document.getElementById('circuit-name').addEventListener('input', (e) => {
+            this.project.renameCircuit(this.project.activeCircuitId, e.target.value);
+            this.renderCircuitList();
+            this.saveProject();
+            this.updateURL();
+        });
+
+        document.getElementById('circuit-parent').addEventListener('change', (e) => {
+            this.project.setParent(this.project.activeCircuitId, e.target.value || null);
+            this.saveProject();
+        });
+
+        document.getElementById('project-name').addEventListener('input', (e) => {
+            this.project.name = e.target.value;
+            this.saveProject();
+        });
+
+        document.querySelectorAll('[data-detail]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.project.details[input.dataset.detail] = input.value;
+                this.saveProject();
             });
+        });
 
-        } catch (error) {
-            console.error('Calculation error:', error);
-            this.showError('Calculation failed: ' + error.message);
-        }
-    }
+        document.getElementById('project-pdf').addEventListener('click', () => {
+            this.exportProjectPDF();
+        });
 
-    createDesignState() {
-        return {
-            standard: document.getElementById('standard').value,
-            insulation: document.getElementById('insulation').value,
-            installation: document.getElementById('installation').value,
-            phase: document.getElementById('phase').value,
-            voltage: parseFloat(document.getElementById('voltage').value),
-            rating: parseFloat(document.getElementById('rating').value),
-            cableType: document.getElementById('cable-type').value,
-            conductor: document.getElementById('conductor').value,
-            maxVoltageDrop: parseFloat(document.getElementById('max-voltage-drop').value),
-            activeSize: document.getElementById('active-size').value,
-            distance: parseFloat(document.getElementById('distance').value),
-            earthSize: document.getElementById('earth-size').value,
-            flexibleCable: document.getElementById('flexible-cable').checked,
-            useParallel: document.getElementById('use-parallel').checked,
-            calculateConduit: document.getElementById('calculate-conduit').checked,
-            conduitType: document.getElementById('conduit-type').value,
-            checkShortCircuit: document.getElementById('check-short-circuit').checked,
-            checkLoopImpedance: document.getElementById('check-loop-impedance').checked,
-            showDerating: document.getElementById('show-derating').checked,
-            advancedOptions: document.getElementById('advanced-options').checked
-        };
+        document.getElementById('export-project').addEventListener('click', () => {
+            this.exportProject();
+        });
+
+        document.getElementById('import-project').addEventListener('click', () => {
+            document.getElementById('import-project-file').click();
+        });
+
+        document.getElementById('import-project-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importProject(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Auto-save the circuit's inputs as they change
+        document.querySelector('.input-section').addEventListener('change', () => {
+            this.storeActiveCircuit();
+        });
+
+        // A link pasted into an open page opens like one loaded from scratch
+        window.addEventListener('hashchange', () => {
+            const shared = this.readURLState();
+            if (!shared) return;
+            this.storeActiveCircuit();
+            const opened = this.openSharedCircuit(shared);
+            this.openCircuit(this.project.activeCircuitId);
+            if (opened && this.engine) this.performCalculation(false);
+        });
+
+        document.getElementById('copy-link').addEventListener('click', () => {
+            this.copyLink();
+        });
+
+        document.getElementById('use-auto-size').addEventListener('click', () => {
+            this.setActiveSize('AUTO');
+        });
     }
 
-    lookupBaseCurrentRating(designState) {
-        // Step 1: Find the correct current table based on:
-        // - Cable type
-        // - Insulation type (from insulation option)
-        // - Maximum temp (from insulation option - these two are combined)
-        const table = this.findCurrentRatingTable(designState);
-        if (!table) {
-            throw new Error('No suitable current rating table found');
-        }
+    initializeScheduleListeners() {
+        document.getElementById('import-schedule').addEventListener('click', () => {
+            document.getElementById('import-schedule-file').click();
+        });
 
-        // Step 2: Choose the correct column using:
-        // - Installation from user input (which is the arrangement in the JSON file)
-        // - Conductor material
-        const column = this.findCurrentRatingColumn(table, designState);
-        if (!column) {
-            throw new Error('No suitable column found in current rating table');
-        }
+        document.getElementById('import-schedule-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importSchedule(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
 
-        // Step 3: Record all rows of the correct column for later use
-        const columnData = this.getAllRowsForColumn(table, column);
+        document.getElementById('schedule-mapping-tbody').addEventListener('change', (e) => {
+            if (e.target.matches('select')) {
+                this.schedule.mapping[Number(e.target.dataset.column)] = e.target.value || null;
+            }
+        });
 
-        return {
-            table: table,
-            column: column,
-            columnData: columnData, // All rows with I_z(S) values
-            reference: `${table.table_id}, ${column}`
-        };
+        document.getElementById('run-schedule').addEventListener('click', () => {
+            this.runSchedule();
+        });
+
+        document.getElementById('export-schedule-csv').addEventListener('click', () => {
+            this.exportSchedule('csv');
+        });
+
+        document.getElementById('export-schedule-xlsx').addEventListener('click', () => {
+            this.exportSchedule('xlsx');
+        });
     }
 
-    findCurrentRatingTable(designState) {
-        // Find table matching:
-        // 1. Cable type
-        // 2. Insulation type (from insulation option)
-        // 3. Maximum temp (from insulation option - these two are combined)
-        const tables = this.database.current_rating_tables;
-        
-        // Find table matching all criteria
-        for (const table of tables) {
-            if (this.tableMatchesDesignState(table, designState)) {
-                return table;
+    initializeNetworkListeners() {
+        document.getElementById('network-budget').addEventListener('change', (e) => {
+            const budget = parseFloat(e.target.value);
+            if (budget > 0) {
+                this.project.voltageDropBudget = budget;
+                this.saveProject();
+            } else {
+                e.target.value = this.project.voltageDropBudget;
             }
-        } // return table that matches the design state
-        
-        // Fallback to first available table
-        console.warn('No exact table match found, using fallback table');
-        return tables[0];
+        });
+
+        document.getElementById('analyse-network').addEventListener('click', () => {
+            this.analyseNetwork();
+        });
+
+        document.getElementById('share-budget').addEventListener('click', () => {
+            this.shareVoltageDropBudget();
+        });
+
+        document.getElementById('network-tbody').addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (row && row.dataset.id !== this.project.activeCircuitId) {
+                this.storeActiveCircuit();
+                this.openCircuit(row.dataset.id);
+            }
+        });
     }
 
-    tableMatchesDesignState(table, designState) {
-        // Step 1: Match cable type (number of cores)
-        const cableTypeMatch = this.matchCableType(table, designState);
-        if (!cableTypeMatch) return false;
-        
-        // Step 2: Match insulation type and max temperature (combined in insulation option)
-        const insulationMatch = this.matchInsulationAndTemp(table, designState);
-        if (!insulationMatch) return false;
-        
-        return true;
+    initializeProject() {
+        // Restore the auto-saved project, or start a new one
+        let project = null;
+        try {
+            project = CableProject.load(window.localStorage);
+        } catch (error) {
+            console.error('Error loading saved project:', error);
+        }
+        // A shared link opens as its own circuit (or starts the project when there
+        // is no saved one), calculated once the database loads
+        const shared = this.readURLState();
+        if (!project && shared) {
+            project = new CableProject({ circuits: [{ name: shared.name, designState: shared.designState }] });
+            this.calculateOnLoad = true;
+        }
+        this.project = project || new CableProject();
+        this.showProjectDetails();
+        if (shared && !this.calculateOnLoad) {
+            this.calculateOnLoad = this.openSharedCircuit(shared);
+        }
+        if (this.calculateOnLoad) {
+            this.linkWarnings = shared.ignored.map(value => ({
+                level: 'warning', step: 'Shared link', message: `${value} is not a value the form offers, the default is used`
+            }));
+        }
+        this.openCircuit(this.project.activeCircuitId);
     }
 
-    matchCableType(table, designState) {
-        // Map cable_type enum to table cable_type
-        const cableTypeMap = {
-            'TWO_CORE_SHEATHED': ['Two-core sheathed'],   //Name in frontend:name in json
-            'TWO_SINGLE_CORE': ['Two single-core'],
-            'THREE_SINGLE_CORE': ['Three single-core'],
-            'MULTICORE': ['Multicore'],
-            'THREE_CORE_AND_FOUR_CORE_SHEATHED': ['Three-core and four-core sheathed'],
-            'THREE_CORE_AND_FOUR_CORE': ['Three-core and four-core'],
-            'FLEXIBLE_CORD': ['Flexible cords'],
-            'CABLE_AND_FLEXIBLE_CORDS': ['Cables and flexible cords'],
-            'BARE_SINGLE_CORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS': ['Bare single-core MIMS cables with copper conductors']
-        };
-        
-        const tableCableType = table.cable_type;
-        if (!tableCableType) return false;
-        
-        const expectedTypes = cableTypeMap[designState.cableType] || [];
-        const tableTypeLower = tableCableType.toLowerCase();
-        
-        return expectedTypes.some(type => 
-            tableTypeLower.includes(type.toLowerCase()) ||
-            type.toLowerCase().includes(tableTypeLower)
-        );
-    }
-
-    matchInsulationAndTemp(table, designState) {   //Name in frontend:name in json(insulation_type)
-        // Match both insulation type and max temperature from insulation option
-        const insulationMap = {
-            'PVC_V75': { type: 'Thermoplastic', temp: 75 },
-            'PVC_V90': { type: 'Thermoplastic', temp: 75 }, // PVC_V90 also uses Thermoplastic at 75°C
-            'PVC_V60': { type: 'Thermoplastic', temp: 60 },
-            'XLPE_90': { type: 'XLPE', temp: 90 },
-            'X-90': { type: 'X-90', temp: 90 },
-            'X-H-90': { type: 'X-90', temp: 90 },
-            'X-HF-90': { type: 'X-HF-90', temp: 90 },
-            'X-HF-110': { type: 'X-HF-110', temp: 110 },
-            'R-E-110': { type: 'R-E-110', temp: 110 },
-            'R-EP-90': { type: 'R-EP-90', temp: 90 },
-            'R-CPE-90': { type: 'R-CPE-90', temp: 90 },
-            'R-HF-90': { type: 'R-HF-90', temp: 90 },
-            'R-HF-110': { type: 'R-HF-110', temp: 110 },
-            'R-CSP-90': { type: 'R-CSP-90', temp: 90 },
-            'R-S-150': { type: 'R-S-150', temp: 150 },
-            'Cross-linked Polyethylene': { type: 'Cross-linked', temp: 60 },
-            'Type 150 fibrous': { type: 'Type 150 fibrous', temp: 150 },
-            '150°C Rated Fluoropolymer': { type: '150°C Rated Fluoropolymer', temp: 150 }
+    // Shareable links: the circuit name and every input that differs from the
+    // defaults, as query parameters in the URL hash (e.g. #circuit=DB1-1&rating=20)
+    encodeDesignState(designState, name) {
+        const defaults = CableSizingEngine.DEFAULT_DESIGN_STATE;
+        const toText = value => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const params = new URLSearchParams();
+        if (name) params.set('circuit', name);
+        Object.keys(defaults).forEach(field => {
+            const value = designState[field];
+            if (value !== undefined && toText(value) !== toText(defaults[field])) {
+                params.set(field, toText(value));
+            }
+        });
+        return params.toString();
+    }
+
+    decodeDesignState(hash) {
+        // Values take the type of the field's default; unknown fields, and values
+        // the form does not offer, are ignored so the default is used instead, and
+        // listed in ignored to show with the circuit's results
+        const defaults = CableSizingEngine.DEFAULT_DESIGN_STATE;
+        const params = new URLSearchParams(hash);
+        const designState = {};
+        const ignored = [];
+        params.forEach((text, field) => {
+            if (!Object.prototype.hasOwnProperty.call(defaults, field)) return;
+            const value = this.decodeField(field, text, defaults[field]);
+            if (value === undefined) {
+                ignored.push(`${field}=${text}`);
+            } else {
+                designState[field] = value;
+            }
+        });
+
+        // Device ratings and breaking capacities are listed per device type
+        const device = CableSizingEngine.PROTECTION_DEVICES[designState.deviceType];
+        const deviceValues = {
+            deviceRating: device ? device.ratings : [],
+            breakingCapacity: device ? device.breakingCapacities : []
         };
-        
-        const expected = insulationMap[designState.insulation];
-        if (!expected) return false;
-        
-        const tableInsulationType = table.insulation_type;
-        const tableTemp = table.max_temp_C;
-        
-        // Match insulation type
-        let insulationMatch = false;
-        if (Array.isArray(tableInsulationType)) { //check if tableInsulationType is an array
-            insulationMatch = tableInsulationType.some(type =>
-                type.toLowerCase().includes(expected.type.toLowerCase())
-            );
-        } else {
-            insulationMatch =
-            tableInsulationType &&
-            tableInsulationType.toLowerCase().includes(expected.type.toLowerCase());
-        }
-        
-        // Match temperature (exact match preferred)
-        const tempMatch = tableTemp === expected.temp;
-        
-        return insulationMatch && tempMatch;
+        Object.keys(deviceValues).forEach(field => {
+            if (field in designState && CableCalculator.chooseValue(designState[field], ['AUTO', ...deviceValues[field]]) === undefined) {
+                ignored.push(`${field}=${designState[field]}`);
+                delete designState[field];
+            }
+        });
+
+        if (Object.keys(designState).length === 0 && ignored.length === 0 && !params.has('circuit')) return null;
+        return { name: params.get('circuit'), designState: CableSizingEngine.createDesignState(designState), ignored };
     }
 
-    findCurrentRatingColumn(table, designState) {
-        const columns = table.columns;
-        
-        // Find column matching installation arrangement and conductor material
-        for (const [colId, colData] of Object.entries(columns)) {
-            if (this.columnMatchesDesignState(colData, designState)) {
-                return colId;
+    decodeField(field, text, fallback) {
+        // One link value, or undefined when it is not one the form accepts
+        const input = document.getElementById(field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`));
+        const number = parseFloat(text);
+        if (typeof fallback === 'number') {
+            return Number.isFinite(number) ? number : undefined;
+        }
+        if (typeof fallback === 'boolean') {
+            return text === 'true';
+        }
+        if (Array.isArray(fallback)) {
+            let list;
+            try {
+                list = JSON.parse(text);
+            } catch (error) {
+                return undefined;
             }
+            if (!Array.isArray(list)) return undefined;
+            const normalise = field === 'demandLoads'
+                ? load => this.normaliseDemandLoad(load)
+                : circuit => this.normaliseConduitCircuit(circuit);
+            return list.filter(item => item && typeof item === 'object').map(normalise);
         }
-        
-        // Fallback to first available column
-        return Object.keys(columns)[0];
+        if (field === 'deviceRating' || field === 'breakingCapacity') {
+            // Checked against the device type's list once every field is read
+            return text;
+        }
+        if (field === 'activeSize') {
+            // Sizes outside the list (e.g. aerial strandings or flexible cords) are added when shown
+            if (text === 'AUTO') return text;
+            const size = CableSizingEngine.parseConductorSize(text);
+            return CableSizingEngine.getConductorArea(size) > 0 ? String(size) : undefined;
+        }
+        if (input && input.tagName === 'SELECT') {
+            return CableCalculator.chooseValue(text, Array.from(input.options).map(option => option.value));
+        }
+        if (input && input.type === 'number') {
+            // e.g. the motor starting multiple: a number, or Auto
+            return text === fallback ? text : (number > 0 ? number : undefined);
+        }
+        return text;
     }
 
-    columnMatchesDesignState(colData, designState) {
-        // Match conductor material
-        const materialMatch = colData.material === designState.conductor;
-        
-        // Match installation arrangement (simplified)
-        const arrangementMatch = this.mapInstallationToArrangement(designState.installation, colData.arrangement);
-        
-        return materialMatch && arrangementMatch;
-    }
-
-    mapInstallationToArrangement(installation, arrangement) {
-        const mapping = {
-            'Spaced from surface': 'UNENCLOSED_SPACED',
-            'Touching surface': 'UNENCLOSED_TOUCHING',
-            'Exposed to sun': 'UNENCLOSED_EXPOSED_TO_SUN',
-            'Wiring enclosure in air': 'ENCLOSED_IN_AIR',
-            'Partially surrounded by thermal insulation, in wiring enclosure': 'THERMAL_INSULATION_PARTIAL_ENCLOSED',
-            'Partially surrounded by thermal insulation, unenclosed': 'THERMAL_INSULATION_PARTIAL_UNENCLOSED',
-            'Completely surrounded by thermal insulation, in wiring enclosure': 'THERMAL_INSULATION_COMPLETE_ENCLOSED',
-            'Completely surrounded by thermal insulation, unenclosed': 'THERMAL_INSULATION_COMPLETE_UNENCLOSED',
-            'Buried direct': 'BURIED_DIRECT',
-            'Underground duct same': 'UNDERGROUND_DUCT_SAME',
-            'Underground duct separate': 'UNDERGROUND_DUCT_SEPARATE'
-        };
-        
-        const mappedArrangement = mapping[installation];
-        return mappedArrangement === arrangement;
+    readURLState() {
+        const hash = window.location.hash.replace(/^#/, '');
+        return hash ? this.decodeDesignState(hash) : null;
     }
 
-    getAllRowsForColumn(table, column) {
-        // Record all rows of the correct column for later use
-        // Each row contains: { size: S, I_z: I_z(S) }
-        return table.rows.map(row => ({
-            size: row.size,
-            I_z: row.values[column] || null // I_z(S) - base current rating
-        })).filter(row => row.I_z !== null); // Only include rows with valid data
+    updateURL() {
+        // Replace rather than push, so input changes do not fill the browser history
+        const circuit = this.project.getActiveCircuit();
+        const hash = this.encodeDesignState(circuit.designState, circuit.name);
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
     }
 
-    getCurrentRatingForSize(table, column, cableSize) {
-        const row = table.rows.find(r => r.size === cableSize);
-        return row ? row.values[column] : null;
+    openSharedCircuit(shared) {
+        // Add the linked circuit, unless it is the one already open (e.g. after a reload)
+        const active = this.project.getActiveCircuit();
+        if (this.encodeDesignState(shared.designState, shared.name) === this.encodeDesignState(active.designState, active.name)) {
+            return false;
+        }
+        // Show the inputs first, so a link the form cannot show is never saved
+        try {
+            this.applyDesignState(shared.designState);
+        } catch (error) {
+            console.error('Error opening shared link:', error);
+            this.showError('The shared link could not be opened: ' + error.message);
+            return false;
+        }
+        const circuit = this.project.addCircuit(shared.designState, shared.name || 'Shared circuit');
+        this.project.setActiveCircuit(circuit.id);
+        this.saveProject();
+        return true;
     }
 
-    applyDeratingFactors(columnData, designState) {
-        // Apply derating per row (not per column globally)
-        // Compute combined factor: C_total = C_a · C_g · C_s · C_i · ...
-        
-        // Get individual derating factors
-        const C_a = this.getAmbientTemperatureFactor(designState);      // Ambient temperature
-        const C_g = this.getGroupingFactor(designState);                // Grouping/bunching
-        const C_s = this.getSoilThermalFactor(designState);             // Soil thermal resistivity
-        const C_i = this.getInstallationFactor(designState);            // Installation method
-        
-        // Compute combined derating factor
-        const C_total = C_a * C_g * C_s * C_i;
-        
-        // For each size: I_z,adj(S) = I_z(S) · C_total
-        // Mark sizes where I_z,adj(S) >= I_b (I_b is the load current)
-        const I_b = designState.rating; // Load current
-        
-        const deratedRows = columnData.map(row => {
-            const I_z_adj = row.I_z * C_total; // Adjusted current rating
-            const meetsRequirement = I_z_adj >= I_b; // Mark if meets load current requirement
-            
-            return {
-                size: row.size,
-                I_z: row.I_z,                    // Base current rating I_z(S)
-                I_z_adj: I_z_adj,                // Adjusted current rating I_z,adj(S)
-                meetsRequirement: meetsRequirement, // I_z,adj(S) >= I_b
-                C_total: C_total                 // Combined derating factor
-            };
+    async copyLink() {
+        this.storeActiveCircuit();
+        const url = window.location.href;
+        const button = document.getElementById('copy-link');
+        try {
+            await navigator.clipboard.writeText(url);
+            const originalText = button.innerHTML;
+            button.innerHTML = '<i class="fas fa-check"></i> Link copied';
+            setTimeout(() => {
+                button.innerHTML = originalText;
+            }, 2000);
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. over plain http); show the link instead
+            window.prompt('Copy this link:', url);
+        }
+    }
+
+    showProjectDetails() {
+        document.getElementById('project-name').value = this.project.name;
+        document.querySelectorAll('[data-detail]').forEach(input => {
+            input.value = this.project.details[input.dataset.detail] || '';
         });
-        
-        return {
-            deratedRows: deratedRows,
-            C_total: C_total,
-            factors: {
-                C_a: C_a,
-                C_g: C_g,
-                C_s: C_s,
-                C_i: C_i
-            },
-            I_b: I_b
-        };
+        document.getElementById('network-budget').value = this.project.voltageDropBudget;
     }
 
-    getAmbientTemperatureFactor(designState) {
-        // C_a: Ambient temperature factor
-        // Simplified - in reality, this would use AS/NZS 3008 temperature derating tables
-        const ambientTemp = 40; // Default ambient temperature (can be made configurable)
-        const maxTemp = this.getMaxTemperature(designState.insulation);
-        
-        if (ambientTemp <= 40) return 1.0;
-        // Formula: C_a = sqrt((T_max - T_ambient) / (T_max - 40))
-        return Math.sqrt((maxTemp - ambientTemp) / (maxTemp - 40));
+    openCircuit(id) {
+        // Show a circuit's inputs, and its results if it has been calculated
+        this.project.setActiveCircuit(id);
+        const circuit = this.project.getActiveCircuit();
+        this.applyDesignState(CableSizingEngine.createDesignState(circuit.designState));
+        document.getElementById('circuit-name').value = circuit.name;
+        this.renderCircuitList();
+        this.updateURL();
+
+        if (circuit.results) {
+            this.displayResults(circuit.results, false);
+        } else if (circuit.summary && this.engine) {
+            this.performCalculation(false);
+        } else {
+            this.currentCalculation = null;
+            document.getElementById('results-section').style.display = 'none';
+        }
     }
 
-    getGroupingFactor(designState) {
-        // C_g: Grouping/bunching factor
-        // Simplified - in reality, this would depend on number of cables and spacing
-        return 0.95; // 5% derating for grouping (default)
+    storeActiveCircuit() {
+        // Keep the form's inputs with the active circuit; an incomplete form
+        // (e.g. no voltage entered yet) is stored once it is valid
+        try {
+            this.project.updateDesignState(this.project.activeCircuitId, this.createDesignState());
+            this.saveProject();
+            this.updateURL();
+        } catch (error) {
+            console.warn('Circuit inputs not saved:', error.message);
+        }
     }
 
-    getSoilThermalFactor(designState) {
-        // C_s: Soil thermal resistivity factor
-        // Only applies to buried cables
-        if (designState.installation === 'BURIED_DIRECT' || designState.installation === 'UNDERGROUND_DUCT') {
-            // Simplified - in reality, this would use AS/NZS 3008 soil thermal resistivity tables
-            return 0.9; // 10% derating for soil conditions (default)
+    saveProject() {
+        try {
+            this.project.save(window.localStorage);
+        } catch (error) {
+            console.error('Error saving project:', error);
         }
-        return 1.0; // No derating for non-buried cables
-    }
-
-    getInstallationFactor(designState) {
-        // C_i: Installation method factor
-        // Additional derating factors specific to installation method
-        // For now, return 1.0 (no additional derating)
-        // This can be expanded based on AS/NZS 3008 installation method tables
-        return 1.0;
-    }
-
-    getMaxTemperature(insulation) {
-        const tempMap = {
-            'PVC_V75': 75,
-            'PVC_V90': 90,
-            'XLPE_90': 90,
-            'XLPE_110': 110,
-            'ELASTOMERIC_90': 90,
-            'ELASTOMERIC_110': 110,
-            'MIMS_250': 250
-        };
-        return tempMap[insulation] || 90;
     }
 
-    calculateOperatingTemperature(designState, deratingFactor) {
-        const ambientTemp = 40;
-        const maxTemp = this.getMaxTemperature(designState.insulation);
-        
-        // Simplified calculation
-        return ambientTemp + (maxTemp - ambientTemp) * (1 - deratingFactor);
+    renderCircuitList() {
+        const list = document.getElementById('circuit-list');
+        list.innerHTML = '';
+        this.project.circuits.forEach(circuit => {
+            const item = document.createElement('li');
+            item.dataset.id = circuit.id;
+            if (circuit.id === this.project.activeCircuitId) {
+                item.classList.add('active');
+            }
+
+            const name = document.createElement('span');
+            name.className = 'circuit-name';
+            name.textContent = circuit.name;
+
+            const summary = document.createElement('span');
+            summary.className = 'circuit-summary';
+            if (circuit.summary) {
+                const sets = circuit.summary.parallelSets > 1 ? `${circuit.summary.parallelSets} × ` : '';
+                summary.textContent = `${sets}${CableSizingEngine.formatSize(circuit.summary.selectedSize)}, VD ${circuit.summary.voltageDropPercent.toFixed(1)}%` +
+                    (circuit.summary.errors > 0 ? `, ${circuit.summary.errors} error${circuit.summary.errors === 1 ? '' : 's'}` : '');
+                if (circuit.summary.errors > 0) summary.classList.add('error');
+            } else {
+                summary.textContent = 'Not calculated';
+            }
+
+            item.appendChild(name);
+            item.appendChild(summary);
+            list.appendChild(item);
+        });
+        this.renderParentOptions();
     }
 
-    calculateCableImpedance(designState) {
-        const cableSize = designState.activeSize === 'AUTO' ? 16 : parseFloat(designState.activeSize);
-        
-        // Get resistance and reactance from tables
-        const resistanceData = this.getResistance(cableSize, designState);
-        const reactanceData = this.getReactance(cableSize, designState);
-        const impedance = Math.sqrt(resistanceData.value * resistanceData.value + reactanceData.value * reactanceData.value);
-        
-        return {
-            resistance: resistanceData.value,
-            reactance: reactanceData.value,
-            impedance: impedance,
-            cableSize: cableSize,
-            resistanceRef: resistanceData.reference,
-            reactanceRef: reactanceData.reference
-        };
+    renderParentOptions() {
+        // Any circuit except this one and those it feeds can supply its board
+        const select = document.getElementById('circuit-parent');
+        const circuit = this.project.getActiveCircuit();
+        const excluded = [circuit.id, ...this.project.getDescendantIds(circuit.id)];
+        select.innerHTML = '';
+        select.add(new Option('Point of supply', ''));
+        this.project.circuits
+            .filter(candidate => !excluded.includes(candidate.id))
+            .forEach(candidate => select.add(new Option(candidate.name, candidate.id)));
+        select.value = circuit.parentId || '';
     }
 
-    getResistance(cableSize, designState) {
-        // Look up resistance from database tables
-        if (!this.database || !this.database.resistance_tables) {
-            // Fallback to hardcoded values if database not available
-            const resistanceMap = {
-                1: 18.1, 1.5: 12.1, 2.5: 7.41, 4: 4.61, 6: 3.08,
-                10: 1.83, 16: 1.15, 25: 0.727, 35: 0.524, 50: 0.387,
-                70: 0.268, 95: 0.193, 120: 0.153
-            };
-            return {
-                value: resistanceMap[cableSize] || 1.15,
-                reference: 'Table 35 (estimated)'
-            };
-        }
+    exportProject() {
+        // Download the project as a JSON file
+        this.storeActiveCircuit();
+        const blob = new Blob([JSON.stringify(this.project.toJSON(), null, 2)], { type: 'application/json' });
+        this.downloadFile(blob, `${this.getProjectFileName()}.json`);
+    }
 
-        // Find appropriate resistance table based on cable type
-        const tables = this.database.resistance_tables;
-        const table = this.findResistanceTable(tables, designState);
-        
-        if (!table) {
-            return { value: 1.15, reference: 'Table 35 (estimated)' };
-        }
+    getProjectFileName() {
+        return this.project.name.replace(/[^\w\- ]+/g, '').trim() || 'project';
+    }
 
-        // Find appropriate column based on material and temperature
-        const column = this.findResistanceColumn(table, designState);
-        if (!column) {
-            const tableNumber = table.table_id.replace('T', '');
-            return { value: 1.15, reference: `Table ${tableNumber} (estimated)` };
-        }
+    downloadFile(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
 
-        // Find row for cable size
-        const row = table.rows.find(r => 
-            (r.conductor_size_mm2 === cableSize) || 
-            (r.conductor_size_or_stranding && parseFloat(r.conductor_size_or_stranding) === cableSize)
-        );
-        
-        if (!row || !row.values || row.values[column] === null || row.values[column] === undefined) {
-            const tableNumber = table.table_id.replace('T', '');
-            return { value: 1.15, reference: `Table ${tableNumber}, ${column} (estimated)` };
+    async importProject(file) {
+        try {
+            const project = CableProject.fromJSON(JSON.parse(await file.text()));
+            this.project = project;
+            this.network = null;
+            document.getElementById('network-results-group').style.display = 'none';
+            this.showProjectDetails();
+            this.openCircuit(project.activeCircuitId);
+            this.saveProject();
+        } catch (error) {
+            console.error('Error importing project:', error);
+            this.showError('Import failed: ' + error.message);
         }
+    }
 
-        // Format reference: Extract table number from table_id (e.g., "T35" -> "35")
-        const tableNumber = table.table_id.replace('T', '');
+    // SheetJS reads and writes .xlsx schedules. It is fetched, pinned to this
+    // release by its hash, the first time an XLSX file is imported or exported;
+    // CSV works without it. The hash is of dist/xlsx.full.min.js in the 0.20.3
+    // release tarball; when updating, recompute it from the new file with
+    // `openssl dgst -sha384 -binary xlsx.full.min.js | openssl base64 -A`.
+    static get SHEETJS() {
         return {
-            value: row.values[column],
-            reference: `Table ${tableNumber}, ${column}`
+            src: 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+            integrity: 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT'
         };
     }
 
-    getReactance(cableSize, designState) {
-        // Look up reactance from database tables
-        if (!this.database || !this.database.reactance_tables) {
-            // Fallback to hardcoded values if database not available
-            const reactanceMap = {
-                1: 0.114, 1.5: 0.111, 2.5: 0.102, 4: 0.102, 6: 0.0967,
-                10: 0.0906, 16: 0.0861, 25: 0.0805, 35: 0.0742, 50: 0.0681,
-                70: 0.0620, 95: 0.0559, 120: 0.0498
-            };
-            return {
-                value: reactanceMap[cableSize] || 0.0861,
-                reference: 'Table 30 (estimated)'
-            };
+    loadSheetJS() {
+        if (typeof window.XLSX !== 'undefined') return Promise.resolve(window.XLSX);
+        if (!this.sheetJS) {
+            this.sheetJS = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = CableCalculator.SHEETJS.src;
+                script.integrity = CableCalculator.SHEETJS.integrity;
+                script.crossOrigin = 'anonymous';
+                script.onload = () => resolve(window.XLSX);
+                script.onerror = () => {
+                    // Let a later import or export try again
+                    script.remove();
+                    this.sheetJS = null;
+                    reject(new Error('XLSX support could not be loaded'));
+                };
+                document.head.appendChild(script);
+            });
         }
+        return this.sheetJS;
+    }
 
-        // Find appropriate reactance table based on cable type
-        const tables = this.database.reactance_tables;
-        const table = this.findReactanceTable(tables, designState);
-        
-        if (!table) {
-            return { value: 0.0861, reference: 'Table 30 (estimated)' };
+    async importSchedule(file) {
+        // Read the first sheet (or the CSV) as rows of text; the first row is the header
+        try {
+            let rows;
+            if (/\.xlsx$/i.test(file.name)) {
+                const sheets = await this.loadSheetJS().catch(error => {
+                    throw new Error(`${error.message}, save the schedule as CSV`);
+                });
+                const workbook = sheets.read(await file.arrayBuffer());
+                const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                rows = sheets.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+                    .filter(cells => cells.some(value => String(value).trim() !== ''));
+            } else {
+                rows = CableSchedule.parseCSV(await file.text());
+            }
+            if (rows.length < 2) {
+                throw new Error('The schedule needs a header row and at least one circuit');
+            }
+
+            const headers = rows[0].map(String);
+            this.schedule = {
+                fileName: file.name,
+                headers: headers,
+                rows: rows.slice(1),
+                mapping: CableSchedule.suggestMapping(headers),
+                results: null
+            };
+            document.getElementById('schedule-file-name').textContent = `${file.name} (${this.schedule.rows.length} circuits)`;
+            this.renderScheduleMapping();
+            document.getElementById('schedule-mapping-group').style.display = 'block';
+            document.getElementById('schedule-results-group').style.display = 'none';
+        } catch (error) {
+            console.error('Error importing schedule:', error);
+            this.showError('Schedule import failed: ' + error.message);
         }
+    }
+
+    renderScheduleMapping() {
+        const tbody = document.getElementById('schedule-mapping-tbody');
+        tbody.innerHTML = '';
+        this.schedule.headers.forEach((header, column) => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('td');
+            name.textContent = header;
+
+            const sample = document.createElement('td');
+            sample.className = 'schedule-sample';
+            sample.textContent = this.schedule.rows[0][column] || '';
+
+            const select = document.createElement('select');
+            select.dataset.column = column;
+            select.add(new Option('Ignore', ''));
+            CableSchedule.FIELDS.forEach(field => {
+                select.add(new Option(field === 'name' ? 'name (circuit name)' : field, field));
+            });
+            select.value = this.schedule.mapping[column] || '';
+            const input = document.createElement('td');
+            input.appendChild(select);
+
+            row.appendChild(name);
+            row.appendChild(sample);
+            row.appendChild(input);
+            tbody.appendChild(row);
+        });
+    }
 
-        // Find appropriate column based on arrangement and insulation
-        const column = this.findReactanceColumn(table, designState);
-        if (!column) {
-            const tableNumber = table.table_id.replace('T', '');
-            return { value: 0.0861, reference: `Table ${tableNumber} (estimated)` };
+    runSchedule() {
+        if (!this.engine) {
+            this.showError('Database not loaded yet. Please wait...');
+            return;
         }
 
-        // Find row for cable size
-        const row = table.rows.find(r => 
-            (r.conductor_size_mm2 === cableSize) || 
-            (r.conductor_size_or_stranding && parseFloat(r.conductor_size_or_stranding) === cableSize)
-        );
-        
-        if (!row || !row.values || row.values[column] === null || row.values[column] === undefined) {
-            const tableNumber = table.table_id.replace('T', '');
-            return { value: 0.0861, reference: `Table ${tableNumber}, ${column} (estimated)` };
+        // Unmapped columns and empty cells take the form's inputs
+        let defaults = {};
+        try {
+            defaults = this.createDesignState();
+        } catch (error) {
+            console.warn('Form inputs not used as schedule defaults:', error.message);
         }
 
-        // Format reference: Extract table number from table_id (e.g., "T30" -> "30")
-        const tableNumber = table.table_id.replace('T', '');
-        return {
-            value: row.values[column],
-            reference: `Table ${tableNumber}, ${column}`
-        };
+        this.schedule.results = new CableSchedule(this.engine).run(this.schedule.rows, this.schedule.mapping, defaults);
+        this.renderScheduleResults();
+        document.getElementById('schedule-results-group').style.display = 'block';
     }
 
-    findResistanceTable(tables, designState) {
-        // Find table matching cable type
-        // For now, default to Table 35 (Multicore with circular conductors)
-        // This can be enhanced to match cable type more precisely
-        return tables.find(t => t.table_id === 'T35') || tables[0];
+    renderScheduleResults() {
+        const tbody = document.getElementById('schedule-results-tbody');
+        tbody.innerHTML = '';
+        this.schedule.results.forEach(result => {
+            const row = document.createElement('tr');
+            const sets = result.parallelSets > 1 ? `${result.parallelSets} × ` : '';
+            const cells = result.results ? [
+                result.name,
+                `${sets}${result.selectedSize}`,
+                `${sets}${result.earthSize}`,
+                result.voltageDropPercent.toFixed(2),
+                result.deviceRating,
+                result.failures.join('; ') || 'None'
+            ] : [result.name, '-', '-', '-', '-', result.failures.join('; ')];
+
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            if (result.failures.length > 0) {
+                row.lastChild.classList.add('error');
+                row.classList.add('fails');
+            }
+            tbody.appendChild(row);
+        });
+
+        const failed = this.schedule.results.filter(result => result.failures.length > 0).length;
+        document.getElementById('schedule-summary').textContent =
+            `${this.schedule.results.length} circuits sized, ${failed} with failures`;
     }
 
-    findResistanceColumn(table, designState) {
-        // Find column matching material and temperature
-        const material = designState.conductor === 'CU' ? 'Copper' : 'Aluminium';
-        const maxTemp = this.getMaxTemperature(designState.insulation);
-        
-        // Find column with matching material and closest temperature
-        for (const [colId, colData] of Object.entries(table.columns)) {
-            if (colData.material === material) {
-                const colTemp = colData.temperature_C;
-                // Use column if temperature matches or is closest
-                if (colTemp === maxTemp || (colTemp <= maxTemp && colTemp >= maxTemp - 15)) {
-                    return colId;
-                }
-            }
+    async exportSchedule(format) {
+        // The imported schedule with the calculated columns appended
+        if (!this.schedule || !this.schedule.results) {
+            this.showError('Please run the batch first');
+            return;
         }
-        
-        // Fallback: find any column with matching material
-        for (const [colId, colData] of Object.entries(table.columns)) {
-            if (colData.material === material) {
-                return colId;
+        const rows = CableSchedule.appendResults(this.schedule.headers, this.schedule.rows, this.schedule.results);
+        const fileName = `${this.schedule.fileName.replace(/\.(csv|xlsx)$/i, '')}-sized`;
+
+        if (format === 'xlsx') {
+            let sheets;
+            try {
+                sheets = await this.loadSheetJS();
+            } catch (error) {
+                this.showError(`${error.message}, export as CSV instead`);
+                return;
             }
+            const workbook = sheets.utils.book_new();
+            sheets.utils.book_append_sheet(workbook, sheets.utils.aoa_to_sheet(rows), 'Schedule');
+            sheets.writeFile(workbook, `${fileName}.xlsx`);
+            return;
         }
-        
-        return Object.keys(table.columns)[0]; // Fallback to first column
-    }
 
-    findReactanceTable(tables, designState) {
-        // Find table matching cable type
-        // Default to Table 30 (All cables except flexible, MIMS, aerial)
-        return tables.find(t => t.table_id === 'T30') || tables[0];
+        const blob = new Blob([CableSchedule.toCSV(rows)], { type: 'text/csv' });
+        this.downloadFile(blob, `${fileName}.csv`);
     }
 
-    findReactanceColumn(table, designState) {
-        // Find column matching arrangement and insulation
-        const insulation = designState.insulation;
-        let insulationType = 'PVC'; // Default
-        if (insulation.includes('XLPE') || insulation.includes('X-')) {
-            insulationType = 'XLPE';
-        } else if (insulation.includes('Elastomer') || insulation.includes('R-')) {
-            insulationType = 'Elastomer';
+    analyseNetwork() {
+        // Recalculate every circuit and add up the voltage drop along each path
+        // from the point of supply
+        if (!this.engine) {
+            this.showError('Database not loaded yet. Please wait...');
+            return;
         }
+        // The fault level at each board only applies within the network results;
+        // the circuits keep their entered inputs and results
+        this.storeActiveCircuit();
+        this.network = new DistributionNetwork(this.engine).analyse(this.project.circuits, this.project.voltageDropBudget);
+        this.renderNetwork();
+        document.getElementById('network-results-group').style.display = 'block';
+    }
 
-        // Determine arrangement based on cable type
-        let arrangement = 'Multicore Circular conductors';
-        if (designState.cableType.includes('SINGLE_CORE')) {
-            arrangement = 'Single-core Trefoil or single phase';
+    shareVoltageDropBudget() {
+        // Set each circuit's maximum voltage drop to its share of the budget, then
+        // recalculate the network with the sizes those limits select
+        if (!this.engine) {
+            this.showError('Database not loaded yet. Please wait...');
+            return;
         }
-
-        // Find column with matching arrangement and insulation
-        for (const [colId, colData] of Object.entries(table.columns)) {
-            if (colData.arrangement && colData.arrangement.includes(arrangement.split(' ')[0])) {
-                if (colData.insulation === insulationType) {
-                    return colId;
-                }
-            }
+        this.storeActiveCircuit();
+        let allocation;
+        try {
+            allocation = new DistributionNetwork(this.engine).allocateBudget(this.project.circuits, this.project.voltageDropBudget);
+        } catch (error) {
+            console.error('Budget share-out error:', error);
+            this.showError('Budget share-out failed: ' + error.message);
+            return;
         }
-        
-        // Fallback: find any column with matching arrangement
-        for (const [colId, colData] of Object.entries(table.columns)) {
-            if (colData.arrangement && colData.arrangement.includes(arrangement.split(' ')[0])) {
-                return colId;
+        allocation.allocations.forEach(({ id, maxVoltageDrop }) => {
+            const designState = { ...this.project.getCircuit(id).designState, maxVoltageDrop };
+            this.project.updateDesignState(id, designState);
+            try {
+                this.project.setResults(id, this.engine.calculate(CableSizingEngine.createDesignState(designState)));
+            } catch (error) {
+                // The network table shows why the circuit cannot be calculated
+                this.project.clearResults(id);
             }
+        });
+        this.saveProject();
+        this.openCircuit(this.project.activeCircuitId);
+        this.analyseNetwork();
+
+        if (!allocation.feasible) {
+            this.showError(`No combination of cable sizes keeps every path within ${allocation.budget}%; ` +
+                'the paths over budget have been given the largest sizes that pass the other checks');
         }
-        
-        return Object.keys(table.columns)[0]; // Fallback to first column
     }
 
-    calculateVoltageDrop(designState, cableImpedance) {
-        const current = designState.rating;
-        const distance = designState.distance;
-        const voltage = designState.voltage;
-        
-        let voltageDrop;
-        
-        if (designState.phase === '3P_AC') {
-            // 3-phase: ΔV = (I × L × √3 × Zc) / 1000
-            voltageDrop = (current * distance * Math.sqrt(3) * cableImpedance.impedance) / 1000;
-        } else {
-            // Single-phase: ΔV = (I × L × 2 × Zc) / 1000
-            voltageDrop = (current * distance * 2 * cableImpedance.impedance) / 1000;
-        }
-        
-        const voltageDropPercent = (voltageDrop / voltage) * 100;
-        const voltageAtLoad = voltage - voltageDrop;
-        
-        return {
-            voltageDrop: voltageDrop,
-            voltageDropPercent: voltageDropPercent,
-            voltageAtLoad: voltageAtLoad,
-            maxDistance: this.calculateMaxDistance(designState, cableImpedance)
-        };
+    renderNetwork() {
+        const tbody = document.getElementById('network-tbody');
+        tbody.innerHTML = '';
+        this.network.nodes.forEach(node => {
+            const row = document.createElement('tr');
+            row.dataset.id = node.id;
+            const results = node.results;
+            const sets = results && results.parallelSets > 1 ? `${results.parallelSets} × ` : '';
+            const cells = results ? [
+                node.name,
+                node.level,
+                `${sets}${results.selectedSize}`,
+                results.designState.maxVoltageDrop,
+                node.dropPercent.toFixed(2),
+                node.cumulativePercent.toFixed(2),
+                node.voltageAtEnd.toFixed(1),
+                `${(results.faultCurrents.load.shortCircuit / 1000).toFixed(2)} / ${(results.faultCurrents.load.earthFault / 1000).toFixed(2)}`
+            ] : [node.name, node.level, node.error, '-', '-', node.cumulativePercent.toFixed(2), '-', '-'];
+
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            // Indent each circuit below the board it is fed from
+            row.firstChild.style.paddingLeft = `${8 + node.depth * 20}px`;
+            if (!node.passes) row.children[5].classList.add('error');
+            if (node.error) row.children[2].classList.add('error');
+            tbody.appendChild(row);
+        });
+
+        const failing = this.network.paths.filter(path => !path.passes).length;
+        document.getElementById('network-summary').textContent =
+            `Worst path ${this.network.worstPercent.toFixed(2)}% against a ${this.network.budget}% budget; ` +
+            `${failing} of ${this.network.paths.length} path${this.network.paths.length === 1 ? '' : 's'} over budget`;
     }
 
-    calculateMaxDistance(designState, cableImpedance) {
-        const maxVoltageDrop = designState.maxVoltageDrop;
-        const maxVoltageDropVolts = (designState.voltage * maxVoltageDrop) / 100;
-        const current = designState.rating;
-        
-        let maxDistance;
-        
-        if (designState.phase === '3P_AC') {
-            maxDistance = (maxVoltageDropVolts * 1000) / (current * Math.sqrt(3) * cableImpedance.impedance);
-        } else {
-            maxDistance = (maxVoltageDropVolts * 1000) / (current * 2 * cableImpedance.impedance);
+    applyDesignState(designState) {
+        // Set every input from a design state (the inverse of createDesignState)
+        const setValue = (id, value) => { document.getElementById(id).value = String(value); };
+        const setChecked = (id, checked) => { document.getElementById(id).checked = Boolean(checked); };
+
+        setValue('standard', designState.standard);
+        setValue('insulation', designState.insulation);
+        setValue('installation', designState.installation);
+        setValue('phase', designState.phase);
+        const listedVoltage = Array.from(document.getElementById('voltage').options)
+            .some(option => option.value === String(designState.voltage));
+        setValue('voltage', listedVoltage ? designState.voltage : 'other');
+        setValue('custom-voltage', designState.voltage);
+        document.getElementById('custom-voltage-group').style.display = listedVoltage ? 'none' : 'block';
+        setValue('rating', designState.rating);
+        setValue('load-type', designState.loadType);
+        setValue('motor-power', designState.motorPower);
+        setValue('motor-efficiency', designState.motorEfficiency);
+        setValue('motor-power-factor', designState.motorPowerFactor);
+        setValue('motor-starting', designState.motorStarting);
+        setValue('motor-starting-multiple', designState.motorStartingMultiple === 'AUTO' ? '' : designState.motorStartingMultiple);
+        setValue('max-starting-voltage-drop', designState.maxStartingVoltageDrop);
+        setValue('motor-protection', designState.motorProtection);
+        setChecked('use-maximum-demand', designState.useMaximumDemand);
+        setValue('demand-installation', designState.demandInstallation);
+        document.getElementById('demand-loads-tbody').innerHTML = '';
+        (designState.demandLoads || []).forEach(load => this.addDemandLoadRow(load));
+        this.updateLoadOptions();
+        setValue('cable-type', designState.cableType);
+        setValue('mims-grade', designState.mimsGrade);
+        setValue('aerial-construction', designState.aerialConstruction);
+        setValue('wind-speed', designState.windSpeed);
+        this.updateCableTypeOptions(designState.cableType);
+        setValue('conductor', designState.conductor);
+        const maxVoltageDrop = document.getElementById('max-voltage-drop');
+        if (!Array.from(maxVoltageDrop.options).some(option => option.value === String(designState.maxVoltageDrop))) {
+            // e.g. a limit from sharing out the network's voltage drop budget
+            maxVoltageDrop.add(new Option(`${designState.maxVoltageDrop}%`, designState.maxVoltageDrop));
         }
-        
-        return maxDistance;
+        setValue('max-voltage-drop', designState.maxVoltageDrop);
+        setValue('voltage-drop-method', designState.voltageDropMethod);
+        setValue('power-factor', designState.powerFactor);
+        setValue('third-harmonic', designState.thirdHarmonic);
+        this.showActiveSize(designState.activeSize);
+        setValue('distance', designState.distance);
+        setValue('earth-size', designState.earthSize);
+        setChecked('flexible-cable', designState.flexibleCable);
+        setChecked('use-parallel', designState.useParallel);
+        setValue('parallel-sets', designState.parallelSets);
+        document.getElementById('parallel-sets-group').style.display = designState.useParallel ? 'block' : 'none';
+        setChecked('calculate-conduit', designState.calculateConduit);
+        setValue('conduit-type', designState.conduitType);
+        setValue('conduit-size', designState.conduitSize);
+        document.getElementById('conduit-circuits-tbody').innerHTML = '';
+        (designState.conduitCircuits || []).forEach(circuit => this.addConduitCircuitRow(circuit));
+        document.getElementById('conduit-options').style.display = designState.calculateConduit ? 'grid' : 'none';
+        setValue('group-circuits', designState.groupCircuits);
+        setValue('group-arrangement', designState.groupArrangement);
+        setValue('group-tiers', designState.groupTiers);
+        setValue('group-spacing', designState.groupSpacing);
+        setValue('ambient-temp', designState.ambientTemp);
+        setValue('ground-temp', designState.groundTemp);
+        setValue('laying-depth', designState.layingDepth);
+        setValue('soil-resistivity', designState.soilResistivity);
+        setChecked('check-short-circuit', designState.checkShortCircuit);
+        document.getElementById('short-circuit-options').style.display = designState.checkShortCircuit ? 'grid' : 'none';
+        setValue('fault-level-method', designState.faultLevelMethod);
+        this.updateFaultLevelOptions(designState.faultLevelMethod);
+        setValue('fault-current', designState.faultCurrent);
+        setValue('earth-fault-current', designState.earthFaultCurrent);
+        setValue('transformer-kva', designState.transformerKva);
+        setValue('transformer-impedance', designState.transformerImpedance);
+        setValue('short-circuit-mode', designState.shortCircuitMode);
+        setValue('clearing-time', designState.clearingTime);
+        setValue('let-through-i2t', designState.letThroughI2t);
+        setChecked('check-loop-impedance', designState.checkLoopImpedance);
+        document.getElementById('loop-impedance-options').style.display = designState.checkLoopImpedance ? 'grid' : 'none';
+        setValue('source-impedance-method', designState.sourceImpedanceMethod);
+        setValue('source-impedance', designState.sourceImpedance);
+        setValue('device-type', designState.deviceType);
+        this.updateDeviceOptions(designState.deviceType);
+        setValue('device-curve', designState.deviceCurve);
+        setValue('device-rating', designState.deviceRating);
+        setValue('breaking-capacity', designState.breakingCapacity);
+        setValue('mccb-ir-setting', designState.mccbIrSetting);
+        setValue('mccb-im-setting', designState.mccbImSetting);
+        setChecked('show-derating', designState.showDerating);
+        document.getElementById('derating-options').style.display = designState.showDerating ? 'grid' : 'none';
+        setChecked('advanced-options', designState.advancedOptions);
+
+        this.updateInstallationIcon(designState.installation);
     }
 
-    calculateLoopImpedance(designState, cableImpedance) {
-        // Simplified loop impedance calculation
-        const phaseImpedance = cableImpedance.impedance;
-        const earthImpedance = this.calculateEarthImpedance(designState);
-        
-        return {
-            phaseImpedance: phaseImpedance,
-            earthImpedance: earthImpedance,
-            totalImpedance: phaseImpedance + earthImpedance
-        };
+    updateLoadOptions() {
+        // The design current is entered, or calculated from the motor's full-load
+        // current or from the maximum demand of the listed loads
+        const motor = document.getElementById('load-type').value === 'MOTOR';
+        const useMaximumDemand = !motor && document.getElementById('use-maximum-demand').checked;
+        const method = CableSizingEngine.MOTOR_STARTING_METHODS[document.getElementById('motor-starting').value];
+        document.getElementById('motor-options').style.display = motor ? 'grid' : 'none';
+        document.getElementById('motor-starting-multiple').placeholder = method ? `Auto (${method.currentMultiple})` : 'Auto';
+        document.getElementById('maximum-demand-group').style.display = motor ? 'none' : '';
+        document.getElementById('maximum-demand-options').style.display = useMaximumDemand ? 'grid' : 'none';
+        document.getElementById('rating').disabled = motor || useMaximumDemand;
     }
 
-    calculateEarthImpedance(designState) {
-        // Simplified earth impedance calculation
-        const earthSize = designState.earthSize === 'AUTO' ? this.calculateEarthSize(designState) : parseFloat(designState.earthSize);
-        
-        // Earth conductor typically has higher resistance
-        const earthResistance = this.getResistance(earthSize, designState) * 1.5; // Simplified factor
-        const earthReactance = this.getReactance(earthSize, designState);
-        
-        return Math.sqrt(earthResistance * earthResistance + earthReactance * earthReactance);
+    updateCableTypeOptions(cableType) {
+        const mims = cableType.includes('MIMS');
+        const aerial = cableType === 'AERIAL';
+        document.getElementById('mims-grade-group').style.display = mims ? 'block' : 'none';
+        document.getElementById('aerial-construction-group').style.display = aerial ? 'block' : 'none';
+        document.getElementById('wind-speed-group').style.display = aerial ? 'block' : 'none';
     }
 
-    calculateEarthSize(designState) {
-        // Simplified earth sizing per AS/NZS 3000 Table 5.1
-        const activeSize = designState.activeSize === 'AUTO' ? 16 : parseFloat(designState.activeSize);
-        
-        const earthSizeMap = {
-            1: 1,
-            1.5: 1.5,
-            2.5: 2.5,
-            4: 2.5,
-            6: 2.5,
-            10: 4,
-            16: 6,
-            25: 6,
-            35: 10,
-            50: 10,
-            70: 16,
-            95: 16,
-            120: 16
+    updateInstallationIcon(installation) {
+        const iconMap = {
+            'Spaced from surface': 'fas fa-wind',
+            'Touching surface': 'fas fa-wind',
+            'Exposed to sun': 'fas fa-sun',
+            'Wiring enclosure in air': 'fas fa-building',
+            'Partially surrounded by thermal insulation, in wiring enclosure': 'fas fa-thermometer-half',
+            'Partially surrounded by thermal insulation, unenclosed': 'fas fa-thermometer-half',
+            'Completely surrounded by thermal insulation, in wiring enclosure': 'fas fa-thermometer-half',
+            'Completely surrounded by thermal insulation, unenclosed': 'fas fa-thermometer-half',
+            'Buried direct': 'fas fa-mountain',
+            'Underground duct same': 'fas fa-road',
+            'Underground duct separate': 'fas fa-road'
         };
         
-        return earthSizeMap[activeSize] || 6;
+        const icon = document.querySelector('#installation-icon i');
+        icon.className = iconMap[installation] || 'fas fa-building';
     }
 
-    checkShortCircuitRating(designState) {
-        // Simplified short circuit check: I²t ≤ K²S²
-        const cableSize = designState.activeSize === 'AUTO' ? 16 : parseFloat(designState.activeSize);
-        const K = this.getKFactor(designState.insulation);
-        const S = cableSize;
-        
-        // Assume a typical fault current
-        const faultCurrent = 1000; // Amperes
-        const faultTime = 0.1; // seconds
-        
-        const I2t = faultCurrent * faultCurrent * faultTime;
-        const K2S2 = K * K * S * S;
-        
-        return {
-            passes: I2t <= K2S2,
-            I2t: I2t,
-            K2S2: K2S2,
-            K: K,
-            S: S
-        };
+    updateDeviceOptions(deviceType) {
+        // Auto (or a type that is not in the library) lists no fixed ratings
+        const device = CableSizingEngine.PROTECTION_DEVICES[deviceType];
+        const ratings = device ? device.ratings : [];
+        const ratingSelect = document.getElementById('device-rating');
+        ratingSelect.innerHTML = '<option value="AUTO" selected>Auto</option>' +
+            ratings.map(rating => `<option value="${rating}">${rating} A</option>`).join('');
+
+        const capacities = device ? device.breakingCapacities : [];
+        document.getElementById('breaking-capacity').innerHTML = '<option value="AUTO" selected>Auto</option>' +
+            capacities.map(capacity => `<option value="${capacity}">${capacity} kA</option>`).join('');
+
+        document.getElementById('device-curve-group').style.display = deviceType === 'AUTO' || deviceType === 'MCB' ? '' : 'none';
+        document.getElementById('mccb-ir-group').style.display = deviceType === 'MCCB' ? '' : 'none';
+        document.getElementById('mccb-im-group').style.display = deviceType === 'MCCB' ? '' : 'none';
+    }
+
+    updateFaultLevelOptions(method) {
+        const transformer = method === 'TRANSFORMER';
+        document.getElementById('fault-current-group').style.display = transformer ? 'none' : '';
+        document.getElementById('earth-fault-current-group').style.display = transformer ? 'none' : '';
+        document.getElementById('transformer-kva-group').style.display = transformer ? '' : 'none';
+        document.getElementById('transformer-impedance-group').style.display = transformer ? '' : 'none';
+    }
+
+    async performCalculation(scroll = true) {
+        if (!this.engine) {
+            this.showError('Database not loaded yet. Please wait...');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            
+            // Step 1: Inputs → design state
+            const designState = this.createDesignState();
+            
+            // Steps 2-10: Rating lookup, derating, impedance, checks and auto size search
+            const results = this.engine.calculate(designState);
+            
+            // Keep the inputs and results with the project's active circuit
+            this.project.updateDesignState(this.project.activeCircuitId, designState);
+            this.project.setResults(this.project.activeCircuitId, results);
+            this.saveProject();
+            this.renderCircuitList();
+            
+            // Step 11: Generate outputs
+            this.displayResults(results, scroll);
+
+        } catch (error) {
+            console.error('Calculation error:', error);
+            this.showError('Calculation failed: ' + error.message);
+        }
     }
 
-    getKFactor(insulation) {
-        const KMap = {
-            'PVC_V75': 115,
-            'PVC_V90': 115,
-            'XLPE_90': 143,
-            'XLPE_110': 143,
-            'ELASTOMERIC_90': 143,
-            'ELASTOMERIC_110': 143,
-            'MIMS_250': 115
+    createDesignState() {
+        return {
+            standard: document.getElementById('standard').value,
+            insulation: document.getElementById('insulation').value,
+            installation: document.getElementById('installation').value,
+            phase: document.getElementById('phase').value,
+            voltage: this.getNominalVoltage(),
+            rating: parseFloat(document.getElementById('rating').value),
+            loadType: document.getElementById('load-type').value,
+            motorPower: parseFloat(document.getElementById('motor-power').value),
+            motorEfficiency: parseFloat(document.getElementById('motor-efficiency').value),
+            motorPowerFactor: parseFloat(document.getElementById('motor-power-factor').value),
+            motorStarting: document.getElementById('motor-starting').value,
+            motorStartingMultiple: document.getElementById('motor-starting-multiple').value === ''
+                ? 'AUTO'
+                : parseFloat(document.getElementById('motor-starting-multiple').value),
+            maxStartingVoltageDrop: parseFloat(document.getElementById('max-starting-voltage-drop').value),
+            motorProtection: document.getElementById('motor-protection').value,
+            useMaximumDemand: document.getElementById('use-maximum-demand').checked,
+            demandInstallation: document.getElementById('demand-installation').value,
+            demandLoads: this.getDemandLoads(),
+            cableType: document.getElementById('cable-type').value,
+            conductor: document.getElementById('conductor').value,
+            maxVoltageDrop: parseFloat(document.getElementById('max-voltage-drop').value),
+            voltageDropMethod: document.getElementById('voltage-drop-method').value,
+            powerFactor: parseFloat(document.getElementById('power-factor').value),
+            thirdHarmonic: parseFloat(document.getElementById('third-harmonic').value),
+            activeSize: document.getElementById('active-size').value,
+            distance: parseFloat(document.getElementById('distance').value),
+            earthSize: document.getElementById('earth-size').value,
+            flexibleCable: document.getElementById('flexible-cable').checked,
+            mimsGrade: document.getElementById('mims-grade').value,
+            aerialConstruction: document.getElementById('aerial-construction').value,
+            windSpeed: document.getElementById('wind-speed').value,
+            useParallel: document.getElementById('use-parallel').checked,
+            parallelSets: document.getElementById('parallel-sets').value,
+            calculateConduit: document.getElementById('calculate-conduit').checked,
+            conduitType: document.getElementById('conduit-type').value,
+            conduitSize: document.getElementById('conduit-size').value,
+            conduitCircuits: this.getConduitCircuits(),
+            groupCircuits: parseInt(document.getElementById('group-circuits').value, 10),
+            groupArrangement: document.getElementById('group-arrangement').value,
+            groupTiers: parseInt(document.getElementById('group-tiers').value, 10),
+            groupSpacing: parseFloat(document.getElementById('group-spacing').value),
+            ambientTemp: parseFloat(document.getElementById('ambient-temp').value),
+            groundTemp: parseFloat(document.getElementById('ground-temp').value),
+            layingDepth: parseFloat(document.getElementById('laying-depth').value),
+            soilResistivity: parseFloat(document.getElementById('soil-resistivity').value),
+            checkShortCircuit: document.getElementById('check-short-circuit').checked,
+            faultLevelMethod: document.getElementById('fault-level-method').value,
+            faultCurrent: parseFloat(document.getElementById('fault-current').value),
+            earthFaultCurrent: parseFloat(document.getElementById('earth-fault-current').value),
+            transformerKva: parseFloat(document.getElementById('transformer-kva').value),
+            transformerImpedance: parseFloat(document.getElementById('transformer-impedance').value),
+            shortCircuitMode: document.getElementById('short-circuit-mode').value,
+            clearingTime: parseFloat(document.getElementById('clearing-time').value),
+            letThroughI2t: parseFloat(document.getElementById('let-through-i2t').value),
+            checkLoopImpedance: document.getElementById('check-loop-impedance').checked,
+            deviceType: document.getElementById('device-type').value,
+            deviceCurve: document.getElementById('device-curve').value,
+            deviceRating: document.getElementById('device-rating').value,
+            breakingCapacity: document.getElementById('breaking-capacity').value,
+            mccbIrSetting: document.getElementById('mccb-ir-setting').value,
+            mccbImSetting: parseFloat(document.getElementById('mccb-im-setting').value),
+            sourceImpedanceMethod: document.getElementById('source-impedance-method').value,
+            sourceImpedance: parseFloat(document.getElementById('source-impedance').value),
+            showDerating: document.getElementById('show-derating').checked,
+            advancedOptions: document.getElementById('advanced-options').checked
         };
-        return KMap[insulation] || 115;
     }
 
-    calculateProtectionDevice(designState) {
-        // Simplified protection device calculation
-        const rating = designState.rating;
-        
-        // Auto-select MCB rating
-        const mcbRating = this.selectMCBRating(rating);
-        
+    // Choices offered in each row of the conduit circuit and load tables
+    static get CONDUIT_CABLE_TYPES() {
         return {
-            type: 'MCB',
-            rating: mcbRating,
-            tripMultiple: this.getTripMultiple('B'), // Type B curve
-            minTripCurrent: mcbRating * this.getTripMultiple('B')
+            TWO_CORE_SHEATHED: 'Two-core sheathed',
+            TWO_SINGLE_CORE: 'Two single-core',
+            THREE_SINGLE_CORE: 'Three single-core',
+            MULTICORE: 'Multicore'
         };
     }
 
-    selectMCBRating(loadCurrent) {
-        // Standard MCB ratings
-        const ratings = [6, 10, 16, 20, 25, 32, 40, 50, 63, 80, 100, 125];
-        
-        for (const rating of ratings) {
-            if (rating >= loadCurrent) {
-                return rating;
-            }
-        }
-        
-        return 125; // Maximum standard rating
+    static get CONDUIT_CIRCUIT_PHASES() {
+        return ['1P_AC', '3P_AC', 'DC', '2P_120deg', '2P_180deg'];
+    }
+
+    static get CONDUIT_CIRCUIT_SIZES() {
+        return [1, 1.5, 2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120, 150, 185, 240, 300, 400, 500, 630];
+    }
+
+    static get CONDUIT_EARTH_SIZES() {
+        return ['AUTO', 1, 1.5, 2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120];
+    }
+
+    static get DEMAND_LOAD_PHASES() {
+        return { A: 'A', B: 'B', C: 'C', ABC: 'All phases' };
+    }
+
+    static chooseValue(value, values, fallback) {
+        // The listed value matching the given one, else the fallback
+        const match = values.find(option => String(option) === String(value));
+        return match === undefined ? fallback : match;
     }
 
-    getTripMultiple(type) {
-        const multiples = {
-            'B': 4,
-            'C': 7.5,
-            'D': 12.5
+    normaliseConduitCircuit(circuit) {
+        // A conduit circuit from the form, a saved project or a link, limited to
+        // the table's choices
+        return {
+            quantity: Math.max(1, parseInt(circuit.quantity, 10) || 1),
+            cableType: CableCalculator.chooseValue(circuit.cableType, Object.keys(CableCalculator.CONDUIT_CABLE_TYPES), 'TWO_SINGLE_CORE'),
+            phase: CableCalculator.chooseValue(circuit.phase, CableCalculator.CONDUIT_CIRCUIT_PHASES, '1P_AC'),
+            activeSize: String(CableCalculator.chooseValue(circuit.activeSize, CableCalculator.CONDUIT_CIRCUIT_SIZES, 2.5)),
+            earthSize: String(CableCalculator.chooseValue(circuit.earthSize, CableCalculator.CONDUIT_EARTH_SIZES, 'AUTO'))
         };
-        return multiples[type] || 4;
     }
 
-    calculateEarthConductor(designState) {
-        const earthSize = this.calculateEarthSize(designState);
-        
+    normaliseDemandLoad(load) {
+        // A maximum demand load, limited to the table's choices
+        const quantity = parseFloat(load.quantity);
+        const power = parseFloat(load.power);
         return {
-            size: earthSize,
-            resistance: this.getResistance(earthSize, designState) * 1.5,
-            reactance: this.getReactance(earthSize, designState),
-            impedance: this.calculateEarthImpedance(designState)
+            category: CableCalculator.chooseValue(load.category, Object.keys(CableSizingEngine.MAXIMUM_DEMAND_CATEGORIES), 'LIGHTING'),
+            description: typeof load.description === 'string' ? load.description : '',
+            quantity: quantity > 0 ? quantity : 1,
+            power: power >= 0 ? power : 0,
+            phase: CableCalculator.chooseValue(load.phase, Object.keys(CableCalculator.DEMAND_LOAD_PHASES), 'A')
         };
     }
 
-    performAutoSizeSearch(designState) {
-        // Find the smallest cable size that satisfies all criteria
-        // Uses the deratedRows to find sizes where I_z,adj(S) >= I_b
-        try {
-            const baseRating = this.lookupBaseCurrentRating(designState);
-            const deratedRating = this.applyDeratingFactors(baseRating.columnData, designState);
-            
-            // Find the smallest size that meets the requirement (I_z,adj(S) >= I_b)
-            const suitableSizes = deratedRating.deratedRows
-                .filter(row => row.meetsRequirement)
-                .sort((a, b) => a.size - b.size);
-            
-            if (suitableSizes.length > 0) {
-                // Check voltage drop for the smallest suitable size
-                const selectedSize = suitableSizes[0].size;
-                const testDesignState = { ...designState, activeSize: selectedSize.toString() };
-                const cableImpedance = this.calculateCableImpedance(testDesignState);
-                const voltageDrop = this.calculateVoltageDrop(testDesignState, cableImpedance);
-                
-                // If voltage drop is acceptable, return this size
-                if (voltageDrop.voltageDropPercent <= designState.maxVoltageDrop) {
-                    return selectedSize;
-                }
-                
-                // Otherwise, try the next suitable size
-                for (let i = 1; i < suitableSizes.length; i++) {
-                    const size = suitableSizes[i].size;
-                    const testState = { ...designState, activeSize: size.toString() };
-                    const impedance = this.calculateCableImpedance(testState);
-                    const vd = this.calculateVoltageDrop(testState, impedance);
-                    
-                    if (vd.voltageDropPercent <= designState.maxVoltageDrop) {
-                        return size;
-                    }
-                }
-            }
-            
-            // Fallback to largest size
-            const largestSize = deratedRating.deratedRows[deratedRating.deratedRows.length - 1];
-            return largestSize ? largestSize.size : 120;
-        } catch (error) {
-            console.error('Auto size search error:', error);
-            return 120; // Fallback
+    createTableCell(element) {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        return cell;
+    }
+
+    createTableSelect(className, values, selected, label) {
+        const select = document.createElement('select');
+        select.className = className;
+        values.forEach(value => select.add(new Option(label(value), value)));
+        select.value = String(selected);
+        return this.createTableCell(select);
+    }
+
+    createTableInput(className, type, value, attributes = {}) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = className;
+        Object.keys(attributes).forEach(name => input.setAttribute(name, attributes[name]));
+        input.value = String(value);
+        return this.createTableCell(input);
+    }
+
+    createRemoveButton(className, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-small ${className}`;
+        button.title = title;
+        button.textContent = '\u00d7';
+        return this.createTableCell(button);
+    }
+
+    addConduitCircuitRow(circuit = {}) {
+        // One row per group of identical circuits sharing the conduit
+        const values = this.normaliseConduitCircuit(circuit);
+        const cableTypes = CableCalculator.CONDUIT_CABLE_TYPES;
+
+        const row = document.createElement('tr');
+        row.appendChild(this.createTableInput('conduit-circuit-quantity', 'number', values.quantity, { min: 1, step: 1 }));
+        row.appendChild(this.createTableSelect('conduit-circuit-cable-type', Object.keys(cableTypes), values.cableType,
+            value => cableTypes[value]));
+        row.appendChild(this.createTableSelect('conduit-circuit-phase', CableCalculator.CONDUIT_CIRCUIT_PHASES, values.phase,
+            value => CalculationReport.getPhaseName(value)));
+        row.appendChild(this.createTableSelect('conduit-circuit-active-size', CableCalculator.CONDUIT_CIRCUIT_SIZES, values.activeSize,
+            value => `${value} mm²`));
+        row.appendChild(this.createTableSelect('conduit-circuit-earth-size', CableCalculator.CONDUIT_EARTH_SIZES, values.earthSize,
+            value => (value === 'AUTO' ? 'Auto' : `${value} mm²`)));
+        row.appendChild(this.createRemoveButton('remove-conduit-circuit', 'Remove circuit'));
+        document.getElementById('conduit-circuits-tbody').appendChild(row);
+    }
+
+    getConduitCircuits() {
+        return Array.from(document.querySelectorAll('#conduit-circuits-tbody tr')).map(row => ({
+            quantity: parseInt(row.querySelector('.conduit-circuit-quantity').value, 10),
+            cableType: row.querySelector('.conduit-circuit-cable-type').value,
+            phase: row.querySelector('.conduit-circuit-phase').value,
+            activeSize: row.querySelector('.conduit-circuit-active-size').value,
+            earthSize: row.querySelector('.conduit-circuit-earth-size').value
+        }));
+    }
+
+    addDemandLoadRow(load = {}) {
+        // One row per group of identical loads (or points) on the same phase
+        const values = this.normaliseDemandLoad(load);
+        const categories = CableSizingEngine.MAXIMUM_DEMAND_CATEGORIES;
+        const phases = CableCalculator.DEMAND_LOAD_PHASES;
+
+        const row = document.createElement('tr');
+        row.appendChild(this.createTableSelect('demand-load-category', Object.keys(categories), values.category,
+            value => categories[value].name));
+        row.appendChild(this.createTableInput('demand-load-description', 'text', values.description));
+        row.appendChild(this.createTableInput('demand-load-quantity', 'number', values.quantity, { min: 1, step: 1 }));
+        row.appendChild(this.createTableInput('demand-load-power', 'number', values.power, { min: 0, step: 1 }));
+        row.appendChild(this.createTableSelect('demand-load-phase', Object.keys(phases), values.phase, value => phases[value]));
+        row.appendChild(this.createRemoveButton('remove-demand-load', 'Remove load'));
+        document.getElementById('demand-loads-tbody').appendChild(row);
+    }
+
+    getDemandLoads() {
+        return Array.from(document.querySelectorAll('#demand-loads-tbody tr')).map(row => ({
+            category: row.querySelector('.demand-load-category').value,
+            description: row.querySelector('.demand-load-description').value,
+            quantity: parseFloat(row.querySelector('.demand-load-quantity').value),
+            power: parseFloat(row.querySelector('.demand-load-power').value),
+            phase: row.querySelector('.demand-load-phase').value
+        }));
+    }
+
+    getNominalVoltage() {
+        // A listed voltage, or the free-entry value for "Other"
+        const selected = document.getElementById('voltage').value;
+        const voltage = parseFloat(selected === 'other' ? document.getElementById('custom-voltage').value : selected);
+        if (!(voltage > 0)) {
+            throw new Error('Enter a nominal voltage greater than 0 V');
         }
+        return voltage;
     }
 
-    displayResults(results) {
+    displayResults(results, scroll = true) {
         // Store current calculation for PDF export
         this.currentCalculation = results;
         
@@ -865,19 +1342,104 @@ class CableCalculator {
         
         // Update load information
         document.getElementById('load-current').textContent = `${results.designState.rating} A`;
+
+        // Update motor full-load and starting current, starting voltage drop and
+        // whether the protective device carries the starting current
+        const motor = results.motor;
+        document.getElementById('motor-card').style.display = motor ? 'block' : 'none';
+        if (motor) {
+            document.getElementById('motor-full-load-current').textContent = `${motor.fullLoadCurrent} A`;
+            document.getElementById('motor-full-load-current-ref').textContent = `${motor.power} kW, η ${motor.efficiency}%, cos φ ${motor.powerFactor}`;
+            document.getElementById('motor-starting-current').textContent = `${Math.round(motor.startingCurrent)} A (${motor.startingMultiple} × FLC)`;
+            document.getElementById('motor-starting-current-ref').textContent = `${motor.startingName}, cos φ ${motor.startingPowerFactor}`;
+            const starting = results.startingVoltageDrop;
+            const startingElement = document.getElementById('starting-voltage-drop');
+            startingElement.textContent = `${starting.voltageDropPercent.toFixed(2)}% (limit ${starting.limit}%)`;
+            startingElement.className = `value ${starting.passes ? 'success' : 'error'}`;
+            document.getElementById('starting-voltage-drop-ref').textContent = starting.reference;
+            const protectionElement = document.getElementById('motor-starting-protection');
+            protectionElement.textContent = `${Math.round(results.motorStarting.startingCurrent)} A ≤ ${Math.round(results.motorStarting.withstand)} A (${results.motorStarting.passes ? 'pass' : 'fail'})`;
+            protectionElement.className = `value ${results.motorStarting.passes ? 'success' : 'error'}`;
+            document.getElementById('motor-starting-protection-ref').textContent = results.motorStarting.basis;
+            document.getElementById('rating').value = motor.fullLoadCurrent;
+        }
+
+        // Update maximum demand, which sets the design current when used
+        const maximumDemand = results.maximumDemand;
+        document.getElementById('maximum-demand-card').style.display = maximumDemand ? 'block' : 'none';
+        if (maximumDemand) {
+            document.getElementById('demand-per-phase').textContent = maximumDemand.phases
+                .map(phase => `${phase} ${maximumDemand.perPhase[phase].toFixed(1)} A`).join(', ');
+            document.getElementById('demand-design-current').textContent = `${maximumDemand.designCurrent} A (phase ${maximumDemand.worstPhase})`;
+            document.getElementById('demand-ref').textContent = maximumDemand.reference;
+            document.getElementById('rating').value = maximumDemand.designCurrent;
+        }
+        
+        // Update harmonic sizing basis (Table 2)
+        const harmonics = results.deratedRating.harmonics;
+        document.getElementById('harmonic-basis').textContent = harmonics.basis === 'NEUTRAL'
+            ? `Neutral current, factor ${harmonics.factor.toFixed(2)}`
+            : `Phase current, factor ${harmonics.factor.toFixed(2)}`;
+        document.getElementById('harmonic-basis-ref').textContent = harmonics.reference || '';
+        document.getElementById('neutral-current').textContent = `${Math.round(harmonics.neutralCurrent)} A`;
+        
+        // Update protective device and coordination
+        const coordination = results.coordination;
+        document.getElementById('protection-device').textContent = results.protectionDevice.description;
+        const currentElement = document.getElementById('coordination-current');
+        currentElement.textContent = `${Math.round(coordination.I_b)} ≤ ${Math.round(coordination.I_n)} ≤ ${coordination.I_z !== null ? Math.round(coordination.I_z) : '-'} A`;
+        currentElement.className = `value ${coordination.loadCovered && coordination.cableProtected ? 'success' : 'error'}`;
+        const overloadElement = document.getElementById('coordination-overload');
+        overloadElement.textContent = `${Math.round(coordination.I_2)} ≤ ${coordination.I_z !== null ? Math.round(1.45 * coordination.I_z) : '-'} A`;
+        overloadElement.className = `value ${coordination.overloadProtected ? 'success' : 'error'}`;
+        const breaking = results.breakingCapacity;
+        const breakingElement = document.getElementById('breaking-capacity-result');
+        breakingElement.textContent = `${breaking.breakingCapacity} kA ≥ ${(breaking.faultCurrent / 1000).toFixed(2)} kA`;
+        breakingElement.className = `value ${breaking.passes ? 'success' : 'error'}`;
+        document.getElementById('breaking-capacity-ref').textContent = breaking.reference;
+
+        // Prospective fault currents at the origin and the load end
+        const faults = results.faultCurrents;
+        const faultText = level => `${(level.shortCircuit / 1000).toFixed(2)} kA ${faults.basis}, ${(level.earthFault / 1000).toFixed(2)} kA phase-earth`;
+        document.getElementById('fault-origin').textContent = faultText(faults.origin);
+        document.getElementById('fault-origin-ref').textContent = faults.reference;
+        document.getElementById('fault-load').textContent = faultText(faults.load);
+        document.getElementById('fault-load-ref').textContent = `IEC 60909-0, c = ${faults.voltageFactor}, conductors at 20°C`;
         
         // Update cable information
         const selectedSize = results.selectedSize;
-        document.getElementById('phase1-core').textContent = `${selectedSize} mm²`;
-        document.getElementById('phase2-core').textContent = `${selectedSize} mm²`;
-        document.getElementById('phase3-core').textContent = `${selectedSize} mm²`;
-        document.getElementById('neutral-core').textContent = `${selectedSize} mm²`;
-        document.getElementById('earth-core').textContent = `${results.earthConductor.size} mm²`;
+        const sets = results.parallelSets;
+        const setsPrefix = sets > 1 ? `${sets} × ` : '';
+        document.getElementById('phase1-core').textContent = `${setsPrefix}${CableSizingEngine.formatSize(selectedSize)}`;
+        document.getElementById('phase2-core').textContent = `${setsPrefix}${CableSizingEngine.formatSize(selectedSize)}`;
+        document.getElementById('phase3-core').textContent = `${setsPrefix}${CableSizingEngine.formatSize(selectedSize)}`;
+        document.getElementById('neutral-core').textContent = `${setsPrefix}${CableSizingEngine.formatSize(results.neutralConductor.size)}`;
+        document.getElementById('earth-core').textContent = `${setsPrefix}${results.earthConductor.size} mm²`;
         document.getElementById('conductors').textContent = results.designState.conductor === 'CU' ? 'Copper' : 'Aluminium';
         
+        // Engineer override: a size other than the auto size was chosen
+        document.getElementById('override-notice').style.display = results.override ? 'flex' : 'none';
+        document.getElementById('override-text').textContent = results.override
+            ? `Engineer override: ${setsPrefix}${CableSizingEngine.formatSize(selectedSize)} selected, the auto size is ${setsPrefix}${CableSizingEngine.formatSize(results.autoSize)}. All results are for ${CableSizingEngine.formatSize(selectedSize)}.`
+            : '';
+        
         // Update conduit information
-        document.getElementById('conduit-type-result').textContent = results.designState.conduitType;
-        document.getElementById('required-cables').textContent = `1 x ${selectedSize} mm²`;
+        document.getElementById('required-cables').textContent = `${sets} x ${CableSizingEngine.formatSize(selectedSize)}`;
+        const conduit = results.conduit;
+        const conduitSizeElement = document.getElementById('conduit-size-result');
+        if (conduit) {
+            document.getElementById('conduit-type-result').textContent = conduit.conduitName;
+            document.getElementById('conduit-cables').textContent = `${conduit.cableCount} cable${conduit.cableCount === 1 ? '' : 's'}, ${Math.round(conduit.cableArea)} mm²`;
+            conduitSizeElement.textContent = `${conduit.size} mm, ${(conduit.fill * 100).toFixed(1)}% fill`;
+            conduitSizeElement.className = `value ${conduit.passes ? 'success' : 'error'}`;
+            document.getElementById('conduit-size-ref').textContent = conduit.reference;
+        } else {
+            document.getElementById('conduit-type-result').textContent = '-';
+            document.getElementById('conduit-cables').textContent = '-';
+            conduitSizeElement.textContent = 'Not calculated';
+            conduitSizeElement.className = 'value';
+            document.getElementById('conduit-size-ref').textContent = '';
+        }
         
         // Update current rating
         // Find the selected size in deratedRows
@@ -885,19 +1447,25 @@ class CableCalculator {
         const adjustedRating = selectedRow ? Math.round(selectedRow.I_z_adj) : 0;
         const baseRating = selectedRow ? selectedRow.I_z : 0;
         
-        document.getElementById('rated-current').textContent = `${adjustedRating} A`;
+        document.getElementById('rated-current').textContent = sets > 1 ? `${adjustedRating} A per set` : `${adjustedRating} A`;
         // Format reference: Extract table number from table_id (e.g., "T04" -> "4")
         const tableNumber = results.baseRating.table.table_id.replace('T', '');
         document.getElementById('rated-current-ref').textContent = `Table ${tableNumber}, ${results.baseRating.column}`;
+        document.getElementById('grouping-factor').textContent = results.deratedRating.factors.C_g.toFixed(2);
+        document.getElementById('grouping-factor-ref').textContent = results.deratedRating.references.C_g;
+        document.getElementById('soil-factor').textContent = results.deratedRating.factors.C_s.toFixed(2);
+        document.getElementById('soil-factor-ref').textContent = results.deratedRating.references.C_s || 'Not buried';
+        document.getElementById('depth-factor').textContent = selectedRow ? selectedRow.C_d.toFixed(2) : '1.00';
+        document.getElementById('depth-factor-ref').textContent = (selectedRow && selectedRow.depthReference) || 'Not buried';
         
         // Calculate operating temperature from derating factor
-        const ambientTemp = 40;
-        const maxTemp = this.getMaxTemperature(results.designState.insulation);
-        const C_total = results.deratedRating.C_total;
-        const operatingTemp = ambientTemp + (maxTemp - ambientTemp) * (1 - C_total);
+        const operatingTemp = this.engine.calculateOperatingTemperature(results.designState, selectedRow);
         
         document.getElementById('operating-temp').textContent = `${Math.round(operatingTemp)}°C`;
-        document.getElementById('max-operating-temp').textContent = `${this.getMaxTemperature(results.designState.insulation)}°C`;
+        document.getElementById('ambient-temp-result').textContent =
+            `${results.deratedRating.ambientTemperature}°C ${results.deratedRating.ambientMedium}, factor ${results.deratedRating.factors.C_a.toFixed(2)}`;
+        document.getElementById('ambient-factor-ref').textContent = results.deratedRating.references.C_a;
+        document.getElementById('max-operating-temp').textContent = `${this.engine.getMaxTemperature(results.designState.insulation)}°C`;
         
         // Update impedance
         document.getElementById('resistance-per-core').textContent = `${results.cableImpedance.resistance} Ω/km`;
@@ -905,11 +1473,17 @@ class CableCalculator {
         document.getElementById('reactance-per-core').textContent = `${results.cableImpedance.reactance} Ω/km`;
         document.getElementById('reactance-ref').textContent = results.cableImpedance.reactanceRef || 'Table 30 (estimated)';
         document.getElementById('impedance-per-core').textContent = `${results.cableImpedance.impedance.toFixed(4)} Ω/km`;
+        document.getElementById('impedance-temp').textContent = `at ${Math.round(results.cableImpedance.operatingTemperature)}°C operating temp.`;
+        document.getElementById('impedance-max-temp').textContent = `${results.cableImpedance.impedanceMaxTemp.toFixed(4)} Ω/km`;
+        document.getElementById('resistance-max-temp-ref').textContent = results.cableImpedance.resistanceMaxTempRef;
         
         // Update voltage drop
         document.getElementById('voltage-drop-result').textContent = 
             `${results.voltageDrop.voltageDropPercent.toFixed(1)}%, ${results.voltageDrop.voltageDrop.toFixed(1)} V`;
+        document.getElementById('unit-voltage-drop').textContent = `${results.voltageDrop.unitVoltageDrop.toFixed(3)} mV/A.m`;
+        document.getElementById('unit-voltage-drop-ref').textContent = results.voltageDrop.reference;
         document.getElementById('voltage-at-load').textContent = `${results.voltageDrop.voltageAtLoad.toFixed(1)} V`;
+        document.getElementById('voltage-at-load-ref').textContent = `${results.voltageDrop.basis}, ${Math.round(results.voltageDrop.nominalVoltage)} V nominal`;
         document.getElementById('max-distance').textContent = `${Math.round(results.voltageDrop.maxDistance)} m for ${results.designState.maxVoltageDrop}%`;
         
         // Update earth impedance
@@ -917,122 +1491,199 @@ class CableCalculator {
         document.getElementById('earth-reactance').textContent = `${results.earthConductor.reactance} Ω/km`;
         document.getElementById('earth-impedance').textContent = `${results.earthConductor.impedance.toFixed(4)} Ω/km`;
         
+        // Update earth fault loop impedance
+        const loopImpedanceCard = document.getElementById('loop-impedance-card');
+        loopImpedanceCard.style.display = results.designState.checkLoopImpedance ? 'block' : 'none';
+        if (results.designState.checkLoopImpedance) {
+            const loop = results.loopImpedance;
+            const resultElement = document.getElementById('loop-impedance-result');
+            resultElement.textContent = `${loop.totalImpedance.toFixed(3)} / ${loop.maxImpedance.toFixed(3)} Ω (${loop.passes ? 'pass' : 'fail'})`;
+            resultElement.className = `value ${loop.passes ? 'success' : 'error'}`;
+            document.getElementById('loop-trip-current').textContent = `${Math.round(loop.tripCurrent)} A`;
+            document.getElementById('loop-max-length').textContent = `${Math.round(loop.maxLength)} m`;
+            document.getElementById('loop-impedance-ref').textContent = loop.reference;
+        }
+        
+        // Update short circuit withstand
+        const shortCircuitCard = document.getElementById('short-circuit-card');
+        shortCircuitCard.style.display = results.designState.checkShortCircuit ? 'block' : 'none';
+        if (results.designState.checkShortCircuit) {
+            const shortCircuit = results.shortCircuitCheck;
+            const resultElement = document.getElementById('short-circuit-result');
+            resultElement.textContent = `${shortCircuit.I2t.toExponential(2)} / ${shortCircuit.K2S2.toExponential(2)} A²s (${shortCircuit.S} mm², ${shortCircuit.passes ? 'pass' : 'fail'})`;
+            resultElement.className = `value ${shortCircuit.passes ? 'success' : 'error'}`;
+            document.getElementById('short-circuit-k').textContent = shortCircuit.K;
+            document.getElementById('short-circuit-k-ref').textContent = shortCircuit.kReference;
+            document.getElementById('short-circuit-min-size').textContent =
+                shortCircuit.minimumSize ? `${shortCircuit.minimumSize} mm²` : 'Exceeds largest size';
+        }
+        
         // Generate cable selection table
         this.generateCableSelectionTable(results);
         
+        // Generate calculation trace and its warnings/errors
+        this.generateCalculationTrace(results.trace);
+        
         // Generate conduit size options
-        this.generateConduitSizeOptions(selectedSize);
+        this.generateConduitSizeOptions(results.conduit);
         
         // Scroll to results
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
+        if (scroll) {
+            resultsSection.scrollIntoView({ behavior: 'smooth' });
+        }
     }
 
     generateCableSelectionTable(results) {
         const tbody = document.getElementById('cable-selection-tbody');
         tbody.innerHTML = '';
         
-        // Use deratedRows data - show sizes that are available in the table
-        // Limit to common sizes for display
-        const displaySizes = [1, 1.5, 2.5, 4, 6, 10, 16, 25, 35];
-        
-        displaySizes.forEach(size => {
-            // Find this size in deratedRows
-            const deratedRow = results.deratedRating.deratedRows.find(row => row.size === size);
-            if (!deratedRow) return; // Skip if size not in table
-            
+        // Every size in the rating column; sizes more than three steps from the
+        // selected one are only shown after "Show more"
+        const options = results.sizeOptions;
+        const selectedIndex = options.findIndex(option => option.size === results.selectedSize);
+        const sets = results.parallelSets;
+        const setsPrefix = sets > 1 ? `${sets} × ` : '';
+        const checkCell = passes => passes === null
+            ? '<td class="check-off">-</td>'
+            : `<td class="${passes ? 'check-pass' : 'check-fail'}">${passes ? 'Pass' : 'Fail'}</td>`;
+        
+        options.forEach((option, index) => {
             const row = document.createElement('tr');
-            if (size === results.selectedSize) {
+            if (option.size === results.selectedSize) {
                 row.classList.add('selected');
             }
+            if (!option.passes) {
+                row.classList.add('fails');
+            }
+            if (selectedIndex >= 0 && Math.abs(index - selectedIndex) > 3) {
+                row.classList.add('extra-size');
+            }
             
-            const earthSize = this.calculateEarthSize({ ...results.designState, activeSize: size.toString() });
-            const voltageDrop = this.calculateVoltageDrop({ ...results.designState, activeSize: size.toString() }, 
-                this.calculateCableImpedance({ ...results.designState, activeSize: size.toString() }));
-            
-            // Use adjusted current rating (I_z,adj) from deratedRows
-            const currentRating = Math.round(deratedRow.I_z_adj);
+            // Use adjusted current rating (I_z,adj) from deratedRows, for all sets together
+            const currentRating = Math.round(option.I_z_adj * sets);
             
             row.innerHTML = `
                 <td>
-                    <input type="radio" name="cable-size" value="${size}" ${size === results.selectedSize ? 'checked' : ''}>
-                    ${size}
+                    <input type="radio" name="cable-size" value="${option.size}" ${option.size === results.selectedSize ? 'checked' : ''}>
+                    ${setsPrefix}${option.size}
+                    ${results.override && option.size === results.autoSize ? '<span class="size-tag">auto</span>' : ''}
                 </td>
-                <td>${earthSize}</td>
+                <td>${setsPrefix}${option.earthSize}</td>
                 <td>${currentRating}</td>
-                <td>${voltageDrop.voltageDropPercent.toFixed(1)}</td>
+                <td>${option.voltageDropPercent.toFixed(1)}</td>
+                ${checkCell(option.checks.currentRating)}
+                ${checkCell(option.checks.voltageDrop)}
+                ${checkCell(option.checks.startingVoltageDrop)}
+                ${checkCell(option.checks.shortCircuit)}
+                ${checkCell(option.checks.loopImpedance)}
             `;
             
             tbody.appendChild(row);
         });
+        
+        document.getElementById('show-more-cables').style.display =
+            tbody.querySelector('.extra-size') ? '' : 'none';
     }
 
-    generateConduitSizeOptions(cableSize) {
+    generateCalculationTrace(trace) {
+        // Errors and warnings are always listed; the step-by-step trace is collapsible
+        const issues = document.getElementById('trace-issues');
+        issues.innerHTML = '';
+        [...trace.errors, ...trace.warnings, ...this.linkWarnings].forEach(issue => {
+            const item = document.createElement('li');
+            item.className = issue.level;
+            item.textContent = `${issue.level === 'error' ? 'Error' : 'Warning'} (${issue.step}): ${issue.message}`;
+            issues.appendChild(item);
+        });
+        if (issues.children.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'success';
+            item.textContent = 'No fallbacks used';
+            issues.appendChild(item);
+        }
+
+        const tbody = document.getElementById('calculation-trace-tbody');
+        tbody.innerHTML = '';
+        trace.steps.forEach(step => {
+            step.entries.forEach((entry, index) => {
+                const row = document.createElement('tr');
+                [index === 0 ? step.step : '', entry.label, entry.value, entry.reference, entry.basis].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+        });
+    }
+
+    generateConduitSizeOptions(conduit) {
         const container = document.getElementById('conduit-size-options');
         container.innerHTML = '';
+        if (!conduit) {
+            document.getElementById('show-more-conduit').style.display = 'none';
+            return;
+        }
         
-        const conduitSizes = [
-            { size: 40, description: '40 mm' },
-            { size: 50, description: '50 mm' }
-        ];
-        
-        conduitSizes.forEach((conduit, index) => {
-            const option = document.createElement('div');
-            option.className = 'radio-option';
-            if (index === 0) option.classList.add('selected');
+        // Every size of the conduit type with its fill; sizes more than two steps
+        // from the recommended one are only shown after "Show more"
+        const selectedIndex = conduit.options.findIndex(option => option.size === conduit.size);
+        conduit.options.forEach((option, index) => {
+            const element = document.createElement('div');
+            element.className = 'radio-option';
+            if (option.size === conduit.size) element.classList.add('selected');
+            if (Math.abs(index - selectedIndex) > 2) element.classList.add('extra-size');
             
-            option.innerHTML = `
-                <input type="radio" name="conduit-size" value="${conduit.size}" ${index === 0 ? 'checked' : ''}>
-                <span>${conduit.description}: 1 x ${cableSize}mm²</span>
+            element.innerHTML = `
+                <input type="radio" name="conduit-size" value="${option.size}" ${option.size === conduit.size ? 'checked' : ''}>
+                <span>${option.size} mm: ${(option.fill * 100).toFixed(1)}% fill (${option.passes ? 'pass' : 'fail'})</span>
             `;
             
-            container.appendChild(option);
+            container.appendChild(element);
         });
+        
+        document.getElementById('show-more-conduit').style.display =
+            container.querySelector('.extra-size') ? '' : 'none';
     }
 
     selectCableSize(row) {
-        // Remove previous selection
-        document.querySelectorAll('.cable-selection-table tbody tr').forEach(r => r.classList.remove('selected'));
-        
-        // Add selection to clicked row
-        row.classList.add('selected');
-        
-        // Update radio button
-        const radio = row.querySelector('input[type="radio"]');
-        radio.checked = true;
+        // Re-run every check for the clicked size; choosing the auto size again
+        // returns the active size to Auto
+        if (!this.currentCalculation) return;
+        const size = CableSizingEngine.parseConductorSize(row.querySelector('input[type="radio"]').value);
+        this.setActiveSize(size === this.currentCalculation.autoSize ? 'AUTO' : String(size));
+    }
+
+    showActiveSize(size) {
+        const select = document.getElementById('active-size');
+        if (!Array.from(select.options).some(option => option.value === String(size))) {
+            // e.g. an aerial or flexible cord size that is not in the list
+            select.add(new Option(CableSizingEngine.formatSize(size), size));
+        }
+        select.value = String(size);
+    }
+
+    setActiveSize(size) {
+        this.showActiveSize(size);
+        this.storeActiveCircuit();
+        this.performCalculation(false);
     }
 
     updateConduitSelection(size) {
         document.querySelectorAll('.radio-option').forEach(option => option.classList.remove('selected'));
-        document.querySelector(`input[value="${size}"]`).closest('.radio-option').classList.add('selected');
+        document.querySelector(`input[name="conduit-size"][value="${size}"]`).closest('.radio-option').classList.add('selected');
     }
 
     resetForm() {
-        // Reset all form fields to default values
-        document.getElementById('insulation').value = 'PVC_V90';
-        document.getElementById('installation').value = 'Spaced from surface';
-        document.getElementById('phase').value = '3P_AC';
-        document.getElementById('voltage').value = '400';
-        document.getElementById('rating').value = '63';
-        document.getElementById('cable-type').value = 'MULTICORE';
-        document.getElementById('conductor').value = 'CU';
-        document.getElementById('max-voltage-drop').value = '3';
-        document.getElementById('active-size').value = 'AUTO';
-        document.getElementById('distance').value = '40';
-        document.getElementById('earth-size').value = 'AUTO';
-        document.getElementById('flexible-cable').checked = false;
-        document.getElementById('use-parallel').checked = false;
-        document.getElementById('calculate-conduit').checked = true;
-        document.getElementById('conduit-type').value = 'heavy-duty-rigid';
-        document.getElementById('check-short-circuit').checked = false;
-        document.getElementById('check-loop-impedance').checked = false;
-        document.getElementById('show-derating').checked = false;
-        document.getElementById('advanced-options').checked = false;
+        // Reset the active circuit's inputs to the default values; other circuits are kept
+        this.applyDesignState(CableSizingEngine.createDesignState());
+        this.project.clearResults(this.project.activeCircuitId);
+        this.storeActiveCircuit();
+        this.renderCircuitList();
+        this.currentCalculation = null;
         
         // Hide results
         document.getElementById('results-section').style.display = 'none';
-        
-        // Update installation icon
-        this.updateInstallationIcon('Spaced from surface');
     }
 
     showLoading() {
@@ -1053,209 +1704,42 @@ class CableCalculator {
     }
 
     exportToPDF() {
+        // Calculation report for the selected circuit
         if (!this.currentCalculation) {
             this.showError('Please perform a calculation first');
             return;
         }
-
-        // Create a new window for PDF content
-        const printWindow = window.open('', '_blank');
-        
-        const pdfContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Cable Size Calculation Report</title>
-                <style>
-                    body { font-family: Arial, sans-serif; margin: 20px; }
-                    .header { text-align: center; margin-bottom: 30px; }
-                    .section { margin-bottom: 25px; }
-                    .section h3 { color: #2c3e50; border-bottom: 2px solid #3498db; padding-bottom: 5px; }
-                    .result-item { display: flex; justify-content: space-between; margin: 5px 0; }
-                    .label { font-weight: bold; }
-                    table { width: 100%; border-collapse: collapse; margin: 10px 0; }
-                    th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
-                    th { background-color: #f2f2f2; }
-                    .footer { margin-top: 30px; text-align: center; font-size: 0.8em; color: #666; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>Cable Size Calculator AS/NZS 3008</h1>
-                    <h2>Calculation Report</h2>
-                    <p>Generated on: ${new Date().toLocaleDateString()}</p>
-                </div>
-
-                <div class="section">
-                    <h3>Input Parameters</h3>
-                    <div class="result-item">
-                        <span class="label">Standard:</span>
-                        <span>Australian conditions</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Insulation:</span>
-                        <span>${this.getInsulationName(this.currentCalculation.designState.insulation)}</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Installation:</span>
-                        <span>${this.getInstallationName(this.currentCalculation.designState.installation)}</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Phase System:</span>
-                        <span>${this.getPhaseName(this.currentCalculation.designState.phase)}</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Voltage:</span>
-                        <span>${this.currentCalculation.designState.voltage} V</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Load Current:</span>
-                        <span>${this.currentCalculation.designState.rating} A</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Cable Distance:</span>
-                        <span>${this.currentCalculation.designState.distance} m</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Max Voltage Drop:</span>
-                        <span>${this.currentCalculation.designState.maxVoltageDrop}%</span>
-                    </div>
-                </div>
-
-                <div class="section">
-                    <h3>Selected Cable</h3>
-                    <div class="result-item">
-                        <span class="label">Active Conductor Size:</span>
-                        <span>${this.currentCalculation.selectedSize} mm²</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Earth Conductor Size:</span>
-                        <span>${this.currentCalculation.earthConductor.size} mm²</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Conductor Material:</span>
-                        <span>${this.currentCalculation.designState.conductor === 'CU' ? 'Copper' : 'Aluminium'}</span>
-                    </div>
-                </div>
-
-                <div class="section">
-                    <h3>Current Rating</h3>
-                    <div class="result-item">
-                        <span class="label">Rated Current:</span>
-                        <span>${(() => {
-                            const selectedRow = this.currentCalculation.deratedRating.deratedRows.find(
-                                row => row.size === this.currentCalculation.selectedSize
-                            );
-                            return selectedRow ? Math.round(selectedRow.I_z_adj) : 0;
-                        })()} A</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Operating Temperature:</span>
-                        <span>${(() => {
-                            const ambientTemp = 40;
-                            const maxTemp = this.getMaxTemperature(this.currentCalculation.designState.insulation);
-                            const C_total = this.currentCalculation.deratedRating.C_total;
-                            return Math.round(ambientTemp + (maxTemp - ambientTemp) * (1 - C_total));
-                        })()}°C</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Max Operating Temperature:</span>
-                        <span>${this.getMaxTemperature(this.currentCalculation.designState.insulation)}°C</span>
-                    </div>
-                </div>
-
-                <div class="section">
-                    <h3>Voltage Drop</h3>
-                    <div class="result-item">
-                        <span class="label">Voltage Drop:</span>
-                        <span>${this.currentCalculation.voltageDrop.voltageDropPercent.toFixed(1)}% (${this.currentCalculation.voltageDrop.voltageDrop.toFixed(1)} V)</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Voltage at Load:</span>
-                        <span>${this.currentCalculation.voltageDrop.voltageAtLoad.toFixed(1)} V</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Maximum Distance:</span>
-                        <span>${Math.round(this.currentCalculation.voltageDrop.maxDistance)} m for ${this.currentCalculation.designState.maxVoltageDrop}%</span>
-                    </div>
-                </div>
-
-                <div class="section">
-                    <h3>Cable Impedance</h3>
-                    <div class="result-item">
-                        <span class="label">Resistance per Core:</span>
-                        <span>${this.currentCalculation.cableImpedance.resistance} Ω/km</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Reactance per Core:</span>
-                        <span>${this.currentCalculation.cableImpedance.reactance} Ω/km</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Impedance per Core:</span>
-                        <span>${this.currentCalculation.cableImpedance.impedance.toFixed(4)} Ω/km</span>
-                    </div>
-                </div>
-
-                <div class="section">
-                    <h3>Earth Conductor Impedance</h3>
-                    <div class="result-item">
-                        <span class="label">Resistance per Core:</span>
-                        <span>${this.currentCalculation.earthConductor.resistance.toFixed(2)} Ω/km</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Reactance per Core:</span>
-                        <span>${this.currentCalculation.earthConductor.reactance} Ω/km</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="label">Impedance per Core:</span>
-                        <span>${this.currentCalculation.earthConductor.impedance.toFixed(4)} Ω/km</span>
-                    </div>
-                </div>
-
-                <div class="footer">
-                    <p>This calculation is based on AS/NZS 3008.1.1:2017 Electrical installations—Selection of cables</p>
-                    <p>Generated by Cable Size Calculator AS/NZS 3008</p>
-                </div>
-            </body>
-            </html>
-        `;
-
-        printWindow.document.write(pdfContent);
-        printWindow.document.close();
-        
-        // Wait for content to load, then print
-        setTimeout(() => {
-            printWindow.print();
-        }, 500);
-    }
-
-    getInsulationName(insulation) {
-        const names = {
-            'PVC_V75': 'PVC V-75 Standard 60°',
-            'PVC_V90': 'PVC V-90 Standard 75°',
-            'XLPE_90': 'XLPE 90°',
-            'XLPE_110': 'XLPE 110°',
-            'ELASTOMERIC_90': 'Elastomeric 90°',
-            'ELASTOMERIC_110': 'Elastomeric 110°',
-            'MIMS_250': 'MIMS 250°'
-        };
-        return names[insulation] || insulation;
+        const circuit = this.project.getActiveCircuit();
+        this.downloadReport([{ name: circuit.name, results: this.currentCalculation }],
+            `${this.getProjectFileName()} - ${circuit.name.replace(/[^\w\- ]+/g, '').trim() || 'circuit'}.pdf`);
     }
 
-    getInstallationName(installation) {
-        // Return the installation name as-is since it's already a descriptive string
-        return installation || 'Unknown';
+    exportProjectPDF() {
+        // Calculation report for every circuit, each recalculated from its saved inputs
+        if (!this.engine) {
+            this.showError('Database not loaded yet. Please wait...');
+            return;
+        }
+        this.storeActiveCircuit();
+        const circuits = this.project.circuits.map(circuit => {
+            try {
+                return { name: circuit.name, results: this.engine.calculate(CableSizingEngine.createDesignState(circuit.designState)) };
+            } catch (error) {
+                return { name: circuit.name, results: null, error: error.message };
+            }
+        });
+        this.downloadReport(circuits, `${this.getProjectFileName()}.pdf`);
     }
 
-    getPhaseName(phase) {
-        const names = {
-            '1P_AC': '1 Phase AC',
-            '3P_AC': '3 Phase AC',
-            'DC': 'DC',
-            '2P_120deg': '2 Phase 120°',
-            '2P_180deg': '2 Phase 180°'
-        };
-        return names[phase] || phase;
+    downloadReport(circuits, fileName) {
+        try {
+            const report = new CalculationReport(this.engine, { projectName: this.project.name, ...this.project.details });
+            const blob = new Blob([report.createDocument(circuits).toBytes()], { type: 'application/pdf' });
+            this.downloadFile(blob, fileName);
+        } catch (error) {
+            console.error('Report error:', error);
+            this.showError('Report failed: ' + error.message);
+        }
     }
 }
 
@@ -0,0 +1,84 @@
+// Cable Size Calculator AS/NZS 3008 - Batch sizing tests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CableSizingEngine = require('../engine.js');
+const CableSchedule = require('../batch.js');
+const database = require('../as_nzs_3008_scaffold_v2.json');
+
+const createSchedule = () => new CableSchedule(new CableSizingEngine(database));
+const headers = ['Circuit', 'Load current (A)', 'Length (m)', 'Phases', 'Notes'];
+const rows = () => [
+    ['DB1-1', '32', '40', '3', 'Pump'],
+    ['DB1-2', 'abc', '20', '1', ''],
+    ['DB1-3', '10', '25', 'single phase', '']
+];
+
+test('parseCSV reads quoted fields, CRLF line ends and skips blank lines', () => {
+    const text = 'Circuit,Notes\r\n"DB1-1","Pump, ""duty"""\r\n\r\n,\nDB1-2,"two\nlines"';
+    assert.deepEqual(CableSchedule.parseCSV(text), [
+        ['Circuit', 'Notes'],
+        ['DB1-1', 'Pump, "duty"'],
+        ['DB1-2', 'two\nlines']
+    ]);
+});
+
+test('toCSV quotes the cells that need it, and parses back', () => {
+    const table = [['Circuit', 'Notes'], ['DB1-1', 'Pump, "duty"'], ['DB1-2', 'two\nlines']];
+    assert.deepEqual(CableSchedule.parseCSV(CableSchedule.toCSV(table)), table);
+});
+
+test('suggestMapping matches field names and common headers once each', () => {
+    assert.deepEqual(CableSchedule.suggestMapping(headers), ['name', 'rating', 'distance', 'phase', null]);
+    assert.deepEqual(CableSchedule.suggestMapping(['rating', 'Current']), ['rating', null]);
+});
+
+test('convertValue converts a cell to the type of the field', () => {
+    assert.equal(CableSchedule.convertValue('rating', ' 32 A '), 32);
+    assert.throws(() => CableSchedule.convertValue('rating', 'abc'), /"abc" is not a number for rating/);
+    assert.equal(CableSchedule.convertValue('checkShortCircuit', 'Yes'), true);
+    assert.equal(CableSchedule.convertValue('checkShortCircuit', 'no'), false);
+    assert.equal(CableSchedule.convertValue('conductor', 'Aluminium'), 'AL');
+    assert.equal(CableSchedule.convertValue('loadType', 'Motor (DOL)'), 'MOTOR');
+    assert.equal(CableSchedule.convertValue('activeSize', 'auto'), 'AUTO');
+});
+
+test('convertValue recognises every supply system and rejects others', () => {
+    const phase = text => CableSchedule.convertValue('phase', text);
+    assert.equal(phase('3'), '3P_AC');
+    assert.equal(phase('three phase'), '3P_AC');
+    assert.equal(phase('3p_ac'), '3P_AC');
+    assert.equal(phase('1 ph'), '1P_AC');
+    assert.equal(phase('dc'), 'DC');
+    assert.equal(phase('2p_120'), '2P_120deg');
+    assert.equal(phase('2 Phase 180°'), '2P_180deg');
+    assert.throws(() => phase('ac'), /"ac" is not a supply system for phase/);
+});
+
+test('run sizes every row and keeps the error of a row that cannot be read', () => {
+    const mapping = CableSchedule.suggestMapping(headers);
+    const results = createSchedule().run(rows(), mapping, { voltage: 400 });
+    assert.deepEqual(results.map(result => result.name), ['DB1-1', 'DB1-2', 'DB1-3']);
+
+    const engine = new CableSizingEngine(database);
+    const expected = engine.calculate(CableSizingEngine.createDesignState({ voltage: 400, rating: 32, distance: 40, phase: '3P_AC' }));
+    assert.equal(results[0].selectedSize, expected.selectedSize);
+    assert.equal(results[0].device, expected.protectionDevice.description);
+    assert.deepEqual(results[0].failures, []);
+
+    assert.equal(results[1].results, null);
+    assert.deepEqual(results[1].failures, ['"abc" is not a number for rating']);
+    assert.equal(results[2].designState.phase, '1P_AC');
+});
+
+test('appendResults adds the result columns to every row', () => {
+    const mapping = CableSchedule.suggestMapping(headers);
+    const results = createSchedule().run(rows(), mapping);
+    const table = CableSchedule.appendResults(headers, rows(), results);
+    assert.deepEqual(table[0], [...headers, ...CableSchedule.RESULT_COLUMNS]);
+    assert.equal(table.length, 4);
+    table.forEach(row => assert.equal(row.length, headers.length + CableSchedule.RESULT_COLUMNS.length));
+    assert.deepEqual(table[1].slice(0, headers.length), rows()[0]);
+    assert.equal(table[1][headers.length], results[0].selectedSize);
+    assert.equal(table[2][headers.length], '');
+    assert.equal(table[2][table[2].length - 1], '"abc" is not a number for rating');
+});
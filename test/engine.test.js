@@ -0,0 +1,328 @@
+// Cable Size Calculator AS/NZS 3008 - Engine tests
+// Worked examples checked by hand against AS/NZS 3008.1.1 and AS/NZS 3000
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CableSizingEngine = require('../engine.js');
+const database = require('../as_nzs_3008_scaffold_v2.json');
+
+const createEngine = () => new CableSizingEngine(database);
+const designState = overrides => CableSizingEngine.createDesignState(overrides);
+const assertClose = (actual, expected, tolerance) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('calculate fills a partial design state with the defaults', () => {
+    const results = createEngine().calculate({});
+    assert.equal(results.designState.voltage, 400);
+    assert.equal(results.selectedSize, 10);
+    assert.deepEqual(results.trace.errors, []);
+});
+
+test('derating: Table 27(1) ambient factor for XLPE (Table 5, 90 °C) at 50 °C', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    const factor = engine.lookupAmbientTemperatureFactor(designState({
+        insulation: 'XLPE_90', cableType: 'TWO_SINGLE_CORE', ambientTemp: 50
+    }));
+    assert.equal(factor.value, 0.88);
+    assert.match(factor.reference, /θc = 90°C/);
+});
+
+test('derating: V-90 takes the 75 °C Table 27(1) row of the tables it is rated from', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    const factor = engine.lookupAmbientTemperatureFactor(designState({ insulation: 'PVC_V90', ambientTemp: 50 }));
+    assert.equal(factor.value, 0.82);
+    assert.match(factor.reference, /θc = 75°C/);
+});
+
+test('operating temperature of V-90 reaches the 75 °C rating temperature at full load', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    const state = designState({ insulation: 'PVC_V90', ambientTemp: 40, rating: 50 });
+    assert.equal(engine.calculateOperatingTemperature(state, { I_z_adj: 50 }), 75);
+    assert.equal(engine.calculateOperatingTemperature(state, { I_z_adj: 100 }), 40 + 35 / 4);
+});
+
+test('derating: Table 22 grouping factor for three bunched circuits', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    assert.equal(engine.lookupGroupingFactor(designState({ groupCircuits: 3 })).value, 0.7);
+});
+
+test('voltage drop: 32 A three-phase over 50 m of 10 mm² copper', () => {
+    // θ = 40 + (75 - 40) × (32 / 67)² = 48.0 °C; Vd = Vc · I · L = 3.526 mV/A.m
+    // (Table 42 at 48 °C) × 32 A × 50 m = 5.64 V
+    const results = createEngine().calculate({ rating: 32, distance: 50, activeSize: '10' });
+    assertClose(results.cableImpedance.operatingTemperature, 47.98, 0.01);
+    assertClose(results.voltageDrop.unitVoltageDrop, 3.526, 0.001);
+    assertClose(results.voltageDrop.voltageDrop, 5.64, 0.01);
+    assertClose(results.voltageDrop.voltageDropPercent, 1.41, 0.01);
+});
+
+test('fault level: 1000 kVA, 5% impedance transformer', () => {
+    // I = c · S / (√3 · U · Z%) = 1.1 × 1000 kVA / (√3 × 400 V × 0.05) = 31.75 kA
+    const engine = createEngine();
+    engine.issues = [];
+    const source = engine.getSourceFaultLevel(designState({
+        faultLevelMethod: 'TRANSFORMER', transformerKva: 1000, transformerImpedance: 5
+    }));
+    assertClose(source.shortCircuit, 31754, 1);
+});
+
+test('fault level falls along the cable', () => {
+    const results = createEngine().calculate({ checkShortCircuit: true, faultCurrent: 10, distance: 100 });
+    assert.equal(results.faultCurrents.origin.shortCircuit, 10000);
+    assert.ok(results.faultCurrents.load.shortCircuit < results.faultCurrents.origin.shortCircuit);
+});
+
+test('maximum demand: domestic lighting and range, Table C1', () => {
+    // Lighting: 3 A for the first 20 points + 2 A for the next 5 on phase A;
+    // range: 50% of 8 kW at 230.9 V = 17.32 A on phase B
+    const results = createEngine().calculate({
+        useMaximumDemand: true,
+        demandLoads: [
+            { category: 'LIGHTING', quantity: 25, power: 10, phase: 'A' },
+            { category: 'RANGES', quantity: 1, power: 8000, phase: 'B' }
+        ]
+    });
+    assert.equal(results.maximumDemand.perPhase.A, 5);
+    assertClose(results.maximumDemand.perPhase.B, 17.32, 0.01);
+    assert.equal(results.maximumDemand.worstPhase, 'B');
+    assert.equal(results.maximumDemand.designCurrent, 17.4);
+    assert.equal(results.designState.rating, 17.4);
+});
+
+test('maximum demand: points and outlets on ABC are shared out between the phases', () => {
+    // Domestic: 60 lighting points, 20 per phase, are 3 A on each phase
+    const lighting = createEngine().calculate({
+        useMaximumDemand: true,
+        demandLoads: [{ category: 'LIGHTING', quantity: 60, power: 10, phase: 'ABC' }]
+    });
+    assert.deepEqual(lighting.maximumDemand.perPhase, { A: 3, B: 3, C: 3 });
+
+    // Non-domestic: 30 socket-outlets, 10 per phase, are
+    // (1000 W + 9 × 750 W) / 230.9 V = 33.56 A on each phase
+    const outlets = createEngine().calculate({
+        useMaximumDemand: true,
+        demandInstallation: 'NON_DOMESTIC',
+        demandLoads: [{ category: 'SOCKET_OUTLETS', quantity: 30, power: 0, phase: 'ABC' }]
+    });
+    assertClose(outlets.maximumDemand.perPhase.A, 33.56, 0.01);
+    assertClose(outlets.maximumDemand.perPhase.C, 33.56, 0.01);
+
+    // 61 points: the extra point goes on phase A
+    const extra = createEngine().calculate({
+        useMaximumDemand: true,
+        demandLoads: [{ category: 'LIGHTING', quantity: 61, power: 10, phase: 'ABC' }]
+    });
+    assert.deepEqual(extra.maximumDemand.perPhase, { A: 5, B: 3, C: 3 });
+});
+
+test('maximum demand with no loads falls back to the entered current', () => {
+    const results = createEngine().calculate({ useMaximumDemand: true, rating: 20 });
+    assert.equal(results.maximumDemand, null);
+    assert.equal(results.designState.rating, 20);
+    assert.equal(results.trace.errors.length, 1);
+});
+
+test('motor: full-load and direct-on-line starting current of a 30 kW motor', () => {
+    // I = P / (η · cos φ · √3 · U) = 30 kW / (0.9 × 0.85 × √3 × 400 V) = 56.6 A, rounded up
+    const results = createEngine().calculate({ loadType: 'MOTOR', motorPower: 30, distance: 40 });
+    assert.equal(results.motor.fullLoadCurrent, 56.7);
+    assertClose(results.motor.startingCurrent, 340.2, 0.01);
+    assert.equal(results.designState.rating, 56.7);
+});
+
+test('motor: a tight starting voltage drop limit upsizes the cable', () => {
+    const loose = createEngine().calculate({ loadType: 'MOTOR', motorPower: 30, distance: 100, maxVoltageDrop: 10 });
+    const tight = createEngine().calculate({ loadType: 'MOTOR', motorPower: 30, distance: 100, maxVoltageDrop: 10, maxStartingVoltageDrop: 4 });
+    assert.ok(tight.selectedSize > loose.selectedSize);
+    assert.ok(tight.startingVoltageDrop.passes);
+    assert.ok(tight.startingVoltageDrop.voltageDropPercent <= 4);
+});
+
+test('motor: a motor rating of zero is rejected', () => {
+    assert.throws(() => createEngine().calculate({ loadType: 'MOTOR', motorPower: 0 }), /motor rating greater than 0 kW/);
+});
+
+test('auto size: the smallest size that passes the loop impedance check', () => {
+    const results = createEngine().calculate({ rating: 32, distance: 250, maxVoltageDrop: 10, checkLoopImpedance: true });
+    const smallestPassing = results.sizeOptions.find(option => option.passes).size;
+    assert.equal(results.selectedSize, smallestPassing);
+    assert.ok(results.loopImpedance.passes);
+    assert.match(results.trace.steps[results.trace.steps.length - 1].entries[0].basis, /loop impedance/);
+});
+
+test('auto size: no size passing the loop impedance check is a trace error', () => {
+    const results = createEngine().calculate({ rating: 32, distance: 20000, maxVoltageDrop: 100, checkLoopImpedance: true });
+    assert.ok(results.trace.errors.some(error => error.step === 'Size selection'));
+});
+
+test('parallel sets: trial searches leave no warnings in the trace', () => {
+    // Two sets of 300 mm² aluminium; the one-set trial tries 630 mm², which has
+    // no tabulated resistance
+    const results = createEngine().calculate({ useParallel: true, rating: 700, distance: 50, conductor: 'AL' });
+    assert.equal(results.parallelSets, 2);
+    assert.equal(results.selectedSize, 300);
+    assert.deepEqual(results.trace.warnings, []);
+});
+
+test('checks need a resolved active size', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    assert.equal(engine.calculateEarthSize(50), 16);
+    assert.equal(engine.getEarthSize(designState({ activeSize: '95' })), 25);
+    assert.throws(() => engine.getEarthSize(designState({ activeSize: 'AUTO' })), /must be resolved/);
+    assert.throws(() => engine.checkShortCircuitRating(designState({ activeSize: 'AUTO' })), /must be resolved/);
+});
+
+test('aerial strandings keep their tabulated designation', () => {
+    // 7/2.00 (7 wires of 2.00 mm, 21.99 mm²) is the first copper size in Table 20
+    // for 60 A; it takes the earth of the next larger tabulated active size, 25 mm²
+    const aerial = { cableType: 'AERIAL', installation: 'Aerial', aerialConstruction: 'PVC_MULTICORE', rating: 60, distance: 50 };
+    const results = createEngine().calculate(aerial);
+    assert.equal(results.selectedSize, '7/2.00');
+    assert.equal(results.earthConductor.size, 6);
+    assert.deepEqual(results.trace.warnings, []);
+    assert.deepEqual(results.trace.errors, []);
+    assert.equal(results.conduit, null);
+    assert.equal(CableSizingEngine.getConductorArea('7/2.00'), 21.99);
+    assert.equal(CableSizingEngine.formatSize('7/2.00'), '7/2.00');
+    assert.equal(CableSizingEngine.formatSize(16), '16 mm²');
+
+    const entered = createEngine().calculate({ ...aerial, activeSize: '7/2' });
+    assert.equal(entered.selectedSize, '7/2.00');
+    assert.equal(entered.override, false);
+});
+
+test('conduit: bare MIMS cables are not sized for a conduit', () => {
+    const results = createEngine().calculate({ cableType: 'BARE_MULTICORE_MIMS_CABLES_WITH_COPPER_CONDUCTORS', calculateConduit: true });
+    assert.equal(results.conduit, null);
+    assert.ok(!results.trace.errors.some(error => error.step === 'Conduit'));
+});
+
+test('loop impedance: an aluminium active has a copper earth conductor', () => {
+    // 25 mm² AL active with the 6 mm² copper earth of Table 5.1, 63 A MCB (Ia = 4 × 63 A):
+    // L_max = 0.8 U0 / (Ia (ρAL / Sph + ρCU / Spe))
+    //       = 0.8 × 230.9 / (252 × (0.036 / 25 + 0.0225 / 6)) = 141.26 m
+    const engine = createEngine();
+    const results = engine.calculate({ conductor: 'AL', rating: 63, distance: 50, checkLoopImpedance: true });
+    assert.equal(results.selectedSize, 25);
+    assert.equal(results.earthConductor.size, 6);
+    assert.equal(results.earthConductor.resistance,
+        engine.getResistance(6, designState({ conductor: 'CU', rating: 63 })).value);
+    assertClose(results.loopImpedance.maxLength, 141.26, 0.01);
+    assert.ok(results.loopImpedance.passes);
+    assert.deepEqual(results.trace.warnings, []);
+});
+
+test('protection: gG fuse conventional fusing current (IEC 60269-1)', () => {
+    const engine = createEngine();
+    engine.issues = [];
+    const I2 = rating => engine.calculateProtectionDevice(designState({ deviceType: 'FUSE', deviceRating: rating })).I2;
+    assertClose(I2(4), 8.4, 1e-9);
+    assertClose(I2(6), 11.4, 1e-9);
+    assertClose(I2(16), 25.6, 1e-9);
+});
+
+test('derating: bunched in air beyond 6 circuits falls back to the enclosed row with a warning', () => {
+    const results = createEngine().calculate({ groupCircuits: 9, groupArrangement: 'BUNCHED_IN_AIR' });
+    assert.match(results.deratedRating.references.C_g, /Table 22, item 2/);
+    assert.deepEqual(results.trace.warnings.map(warning => warning.message),
+        ['Table 22 item 1 (Bunched in air) has no factor for 9 circuits, using item 2 (Bunched on a surface or enclosed)']);
+});
+
+test('harmonics: Table 2 sizes a multicore cable on phase or neutral current by band', () => {
+    // 32 A three-phase on multicore copper (4 mm² Iz 38 A, 6 mm² 49 A, 10 mm² 67 A)
+    const size = thirdHarmonic => {
+        const results = createEngine().calculate({ rating: 32, distance: 30, thirdHarmonic });
+        return { size: results.selectedSize, harmonics: results.deratedRating.harmonics };
+    };
+
+    // 10%: phase current, no reduction
+    let result = size(10);
+    assert.equal(result.harmonics.basis, 'PHASE');
+    assert.equal(result.harmonics.factor, 1);
+    assert.equal(result.size, 4);
+
+    // 25%: phase current with 0.86; 38 A × 0.86 = 32.68 A ≥ 32 A
+    result = size(25);
+    assert.equal(result.harmonics.basis, 'PHASE');
+    assert.equal(result.harmonics.factor, 0.86);
+    assert.equal(result.size, 4);
+
+    // 40%: neutral current IN = 3 × 0.40 × 32 A = 38.4 A with 0.86;
+    // 4 mm² 32.68 A is too small, 6 mm² 49 A × 0.86 = 42.14 A
+    result = size(40);
+    assert.equal(result.harmonics.basis, 'NEUTRAL');
+    assertClose(result.harmonics.designCurrent, 38.4, 1e-9);
+    assert.equal(result.size, 6);
+
+    // 60%: IN = 57.6 A, no reduction; 10 mm² 67 A
+    result = size(60);
+    assert.equal(result.harmonics.basis, 'NEUTRAL');
+    assert.equal(result.harmonics.factor, 1);
+    assert.equal(result.size, 10);
+});
+
+test('harmonics: single-core circuits size the neutral separately on its current', () => {
+    const results = createEngine().calculate({ rating: 32, distance: 30, thirdHarmonic: 60, cableType: 'TWO_SINGLE_CORE' });
+    assert.equal(results.deratedRating.harmonics.reference, null);
+    assert.equal(results.neutralConductor.independent, true);
+    assertClose(results.neutralConductor.current, 57.6, 1e-9);
+    assert.ok(results.neutralConductor.size > results.selectedSize);
+});
+
+test('voltage drop: two-phase 120° and 180° circuits', () => {
+    // 32 A over 50 m of 10 mm² copper, Table 42 Vc 3.526 mV/A.m at 48 °C.
+    // 120°: the neutral carries the active current, Vc as three-phase against
+    // U0 = 400 / √3 = 230.9 V: 3.526 × 32 × 50 / 1000 = 5.64 V, 2.44%
+    const twoPhase120 = createEngine().calculate({ phase: '2P_120deg', voltage: 400, rating: 32, distance: 50, activeSize: '10' });
+    assertClose(twoPhase120.voltageDrop.unitVoltageDrop, 3.526, 0.001);
+    assertClose(twoPhase120.voltageDrop.nominalVoltage, 230.94, 0.01);
+    assertClose(twoPhase120.voltageDrop.voltageDrop, 5.64, 0.01);
+    assertClose(twoPhase120.voltageDrop.voltageDropPercent, 2.44, 0.01);
+
+    // 180° (split-phase): no neutral current, one conductor's drop against
+    // 480 / 2 = 240 V: Vc = 3.526 / √3 = 2.036, 3.26 V, 1.36%
+    const twoPhase180 = createEngine().calculate({ phase: '2P_180deg', voltage: 480, rating: 32, distance: 50, activeSize: '10' });
+    assertClose(twoPhase180.voltageDrop.unitVoltageDrop, 2.036, 0.001);
+    assertClose(twoPhase180.voltageDrop.nominalVoltage, 240, 1e-9);
+    assertClose(twoPhase180.voltageDrop.voltageDrop, 3.26, 0.01);
+    assertClose(twoPhase180.voltageDrop.voltageDropPercent, 1.36, 0.01);
+});
+
+test('voltage drop: two-wire d.c. from the d.c. resistance', () => {
+    // 10 mm² class 2 copper 1.83 Ω/km at 20 °C, at 48 °C:
+    // 1.83 × (234.5 + 48) / (234.5 + 20) = 2.031 Ω/km; Vc = 2R = 4.063 mV/A.m;
+    // 4.063 × 32 A × 50 m / 1000 = 6.50 V, 5.91% of 110 V
+    const results = createEngine().calculate({ phase: 'DC', voltage: 110, rating: 32, distance: 50, activeSize: '10' });
+    assertClose(results.cableImpedance.resistance, 2.031, 0.001);
+    assertClose(results.voltageDrop.unitVoltageDrop, 4.063, 0.001);
+    assertClose(results.voltageDrop.voltageDrop, 6.50, 0.01);
+    assertClose(results.voltageDrop.voltageDropPercent, 5.91, 0.01);
+    assert.equal(results.voltageDrop.powerFactor, null);
+});
+
+test('voltage drop method: maximum Vc from Table 42, interpolated to the operating temperature', () => {
+    // 10 mm² multicore copper at θ = 47.98 °C, between the 45 °C (3.49) and
+    // 60 °C (3.67) Max columns: 3.49 + 0.18 × 2.98 / 15 = 3.526 mV/A.m
+    const results = createEngine().calculate({ rating: 32, distance: 50, activeSize: '10', voltageDropMethod: 'MAX' });
+    assert.equal(results.voltageDrop.method, 'MAX');
+    assertClose(results.voltageDrop.unitVoltageDrop, 3.526, 0.001);
+    assert.match(results.voltageDrop.reference, /Table 42, Max Vc at 48°C/);
+});
+
+test('voltage drop method: R cos φ + X sin φ at the load power factor', () => {
+    // R at 47.98 °C from Table 35: 2.01 + 0.11 × 2.98 / 15 = 2.032 Ω/km; X = 0.0906 Ω/km (Table 30);
+    // Vc = √3 × (2.032 × 0.8 + 0.0906 × 0.6) = 2.910 mV/A.m; 2.910 × 32 A × 50 m / 1000 = 4.66 V
+    const results = createEngine().calculate({
+        rating: 32, distance: 50, activeSize: '10', voltageDropMethod: 'POWER_FACTOR', powerFactor: 0.8
+    });
+    assert.equal(results.voltageDrop.method, 'POWER_FACTOR');
+    assertClose(results.cableImpedance.resistance, 2.032, 0.001);
+    assert.equal(results.cableImpedance.reactance, 0.0906);
+    assertClose(results.voltageDrop.unitVoltageDrop, 2.910, 0.001);
+    assertClose(results.voltageDrop.voltageDrop, 4.66, 0.01);
+});
@@ -0,0 +1,76 @@
+// Cable Size Calculator AS/NZS 3008 - Distribution network tests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CableSizingEngine = require('../engine.js');
+const DistributionNetwork = require('../network.js');
+const database = require('../as_nzs_3008_scaffold_v2.json');
+
+const createNetwork = () => new DistributionNetwork(new CableSizingEngine(database));
+const circuits = () => [
+    { id: 'mains', name: 'Mains', parentId: null, designState: { rating: 100, distance: 30, checkShortCircuit: true, faultCurrent: 10 } },
+    { id: 'db1', name: 'DB1', parentId: 'mains', designState: { rating: 40, distance: 50 } },
+    { id: 'lights', name: 'Lights', parentId: 'db1', designState: { phase: '1P_AC', voltage: 230, rating: 10, distance: 40 } },
+    { id: 'pump', name: 'Pump', parentId: 'mains', designState: { rating: 20, distance: 80 } }
+];
+
+test('order lists each circuit after the board it is fed from', () => {
+    const ordered = DistributionNetwork.order(circuits());
+    assert.deepEqual(ordered.map(node => node.circuit.id), ['mains', 'db1', 'lights', 'pump']);
+    assert.deepEqual(ordered.map(node => node.depth), [0, 1, 2, 1]);
+    assert.deepEqual(DistributionNetwork.getPaths(ordered), [['mains', 'db1', 'lights'], ['mains', 'pump']]);
+});
+
+test('circuits fed in a loop are analysed from the first circuit of the loop', () => {
+    const looped = [
+        ...circuits(),
+        { id: 'c', name: 'C', parentId: 'b', designState: { rating: 10, distance: 20 } },
+        { id: 'a', name: 'A', parentId: 'b', designState: { rating: 32, distance: 20 } },
+        { id: 'b', name: 'B', parentId: 'a', designState: { rating: 25, distance: 20 } }
+    ];
+    const ordered = DistributionNetwork.order(looped);
+    assert.deepEqual(ordered.map(node => node.circuit.id), ['mains', 'db1', 'lights', 'pump', 'b', 'c', 'a']);
+    assert.deepEqual(ordered.map(node => node.depth), [0, 1, 2, 1, 0, 1, 1]);
+
+    const network = createNetwork();
+    const analysis = network.analyse(looped, 5);
+    assert.equal(analysis.nodes.length, 7);
+    const node = id => analysis.nodes.find(item => item.id === id);
+    assert.equal(node('b').parentId, null);
+    assert.equal(node('a').upstreamPercent, node('b').dropPercent);
+    assert.deepEqual(network.allocateBudget(looped, 5).allocations.map(allocation => allocation.id),
+        ['mains', 'db1', 'lights', 'pump', 'b', 'c', 'a']);
+});
+
+test('voltage drop adds up, as a percentage, from the point of supply', () => {
+    const network = createNetwork().analyse(circuits(), 5);
+    const node = id => network.nodes.find(item => item.id === id);
+    assert.equal(node('db1').upstreamPercent, node('mains').dropPercent);
+    assert.equal(node('lights').cumulativePercent,
+        node('mains').dropPercent + node('db1').dropPercent + node('lights').dropPercent);
+    assert.equal(network.worstPercent, Math.max(node('lights').cumulativePercent, node('pump').cumulativePercent));
+});
+
+test('the fault level at a board is the fault current at the end of its supply', () => {
+    const network = createNetwork().analyse(circuits(), 5);
+    const mains = network.nodes.find(item => item.id === 'mains');
+    const db1 = network.nodes.find(item => item.id === 'db1');
+    const expected = Math.ceil(mains.results.faultCurrents.load.shortCircuit / 10) * 10;
+    assert.equal(db1.results.faultCurrents.origin.shortCircuit, expected);
+    assert.ok(expected < 10000);
+});
+
+test('sharing out the budget keeps every path within it', () => {
+    const network = createNetwork();
+    const budget = network.allocateBudget(circuits(), 5);
+    assert.ok(budget.feasible);
+    const allocated = circuits().map(circuit => ({
+        ...circuit,
+        designState: {
+            ...circuit.designState,
+            maxVoltageDrop: budget.allocations.find(allocation => allocation.id === circuit.id).maxVoltageDrop
+        }
+    }));
+    const results = network.analyse(allocated, 5);
+    assert.ok(results.passes);
+    assert.ok(results.worstPercent <= 5);
+});
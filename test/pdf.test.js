@@ -0,0 +1,43 @@
+// Cable Size Calculator AS/NZS 3008 - PDF writer tests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PdfDocument = require('../pdf.js');
+
+const createDocument = () => {
+    const pdf = new PdfDocument({ Title: 'Test (1)', Author: 'Engineer' });
+    const first = pdf.addPage();
+    pdf.text(first, 50, 800, 'Vd ≤ 5% at 75°C, 2.5 mm²');
+    pdf.line(first, 50, 790, 545, 790);
+    const second = pdf.addPage();
+    pdf.rect(second, 50, 700, 200, 20);
+    return pdf;
+};
+
+test('output has the PDF header, trailer and an xref entry at every object', () => {
+    const pdf = createDocument().output();
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+
+    const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const [header, ...lines] = pdf.slice(xref).split('\n');
+    assert.equal(header, 'xref');
+    const count = Number(lines[0].split(' ')[1]);
+    assert.equal(count, 10); // catalog, pages, two fonts, info and two pages with their contents
+    for (let id = 1; id < count; id++) {
+        const offset = Number(lines[1 + id].slice(0, 10));
+        assert.ok(pdf.startsWith(`${id} 0 obj\n`, offset), `object ${id} at ${offset}`);
+    }
+    assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>`));
+});
+
+test('the same calls give identical bytes', () => {
+    assert.deepEqual(createDocument().toBytes(), createDocument().toBytes());
+});
+
+test('text is written in WinAnsi, with substitutions for characters the fonts lack', () => {
+    assert.equal(PdfDocument.encode('≤ 5 Ω'), '<= 5 ohm');
+    assert.equal(PdfDocument.encode('75°C – 2.5 mm²'), '75\xB0C \x96 2.5 mm\xB2');
+    assert.equal(PdfDocument.escape('Table (1)'), 'Table \\(1\\)');
+    assert.equal(PdfDocument.number(12.3456), '12.35');
+    assert.equal(PdfDocument.number(10), '10');
+});
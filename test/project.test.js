@@ -0,0 +1,44 @@
+// Cable Size Calculator AS/NZS 3008 - Project model tests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CableSizingEngine = require('../engine.js');
+const CableProject = require('../project.js');
+const DistributionNetwork = require('../network.js');
+const database = require('../as_nzs_3008_scaffold_v2.json');
+
+const projectFile = circuits => ({ format: CableProject.FORMAT, version: CableProject.VERSION, circuits });
+
+test('a project file round-trips its circuits and supplies', () => {
+    const project = new CableProject();
+    const mains = project.getActiveCircuit();
+    const db1 = project.addCircuit({ rating: 40 }, 'DB1');
+    project.setParent(db1.id, mains.id);
+    const copy = CableProject.fromJSON(JSON.parse(JSON.stringify(project.toJSON())));
+    assert.deepEqual(copy.circuits.map(circuit => [circuit.name, circuit.parentId]), [['Circuit 1', null], ['DB1', mains.id]]);
+    assert.equal(copy.getCircuit(db1.id).designState.rating, 40);
+});
+
+test('circuits fed in a loop are fed from the point of supply instead', () => {
+    const project = CableProject.fromJSON(projectFile([
+        { id: 'a', name: 'A', parentId: 'b', designState: {} },
+        { id: 'b', name: 'B', parentId: 'a', designState: {} },
+        { id: 'c', name: 'C', parentId: 'b', designState: {} },
+        { id: 'd', name: 'D', parentId: 'd', designState: {} }
+    ]));
+    assert.deepEqual(project.circuits.map(circuit => circuit.parentId), [null, 'a', 'b', null]);
+    assert.equal(DistributionNetwork.order(project.circuits).length, 4);
+});
+
+test('network analysis leaves the entered fault level with each circuit', () => {
+    const project = CableProject.fromJSON(projectFile([
+        { id: 'mains', name: 'Mains', parentId: null, designState: { rating: 100, distance: 30, faultCurrent: 10 } },
+        { id: 'db1', name: 'DB1', parentId: 'mains', designState: { rating: 40, distance: 50, faultCurrent: 10 } }
+    ]));
+    const network = new DistributionNetwork(new CableSizingEngine(database)).analyse(project.circuits, 5);
+    const db1 = network.nodes.find(node => node.id === 'db1');
+    assert.ok(db1.results.designState.faultCurrent < 10);
+
+    project.setResults('db1', db1.results);
+    assert.equal(project.getCircuit('db1').designState.faultCurrent, 10);
+    assert.equal(project.getCircuit('db1').summary.selectedSize, db1.results.selectedSize);
+});
@@ -0,0 +1,43 @@
+// Cable Size Calculator AS/NZS 3008 - Calculation report tests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CableSizingEngine = require('../engine.js');
+const CalculationReport = require('../report.js');
+const database = require('../as_nzs_3008_scaffold_v2.json');
+
+const details = { projectName: 'Test project', reference: 'J100', revision: 'A', date: '2024-01-01', engineer: 'Engineer', company: 'Company' };
+const createPdf = () => {
+    const engine = new CableSizingEngine(database);
+    const circuits = [
+        { name: 'DB1-1', results: engine.calculate(CableSizingEngine.createDesignState({ rating: 32, distance: 50 })) },
+        { name: 'DB1-2', results: engine.calculate(CableSizingEngine.createDesignState({ rating: 20, distance: 30, phase: '1P_AC' })) },
+        { name: 'DB1-3', results: null, error: 'Load current is required' }
+    ];
+    return new CalculationReport(engine, details).createDocument(circuits).toBytes();
+};
+
+test('a report of the same results is byte-identical', () => {
+    const bytes = createPdf();
+    assert.ok(bytes instanceof Uint8Array);
+    assert.deepEqual(createPdf(), bytes);
+});
+
+test('a report is a complete PDF with an xref entry at every object', () => {
+    const pdf = Buffer.from(createPdf()).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+
+    const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const [header, range, free, ...entries] = pdf.slice(xref).split('\n');
+    assert.equal(header, 'xref');
+    assert.equal(free, '0000000000 65535 f ');
+    const count = Number(range.split(' ')[1]);
+    assert.ok(count > 7, 'more than one page');
+    for (let id = 1; id < count; id++) {
+        assert.match(entries[id - 1], /^\d{10} 00000 n $/);
+        const offset = Number(entries[id - 1].slice(0, 10));
+        assert.ok(pdf.startsWith(`${id} 0 obj\n`, offset), `object ${id} at ${offset}`);
+    }
+    assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>`));
+    assert.ok(pdf.includes('(Test project - Cable Calculation Report)'));
+});